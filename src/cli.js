@@ -1,23 +1,51 @@
 // src/cli.js
 import yargs from 'yargs';
-import { hideBin } from 'yargs/helpers';
+import { hideBin, Parser } from 'yargs/helpers';
 import path from 'path';
 // import os from 'os'; // Not currently needed
 
 import defaultConfig from './config.js';
-import createLogger from './logger.js'; // Import the factory function
+import createLogger, { configureLogging, LOG_FORMATS } from './logger.js'; // Import the factory function
 import FileManager from './file_manager.js';
 import ExifWriter from './exif_writer.js';
 import Manager from './manager.js';
+import ProgressDisplay from './progress_display.js';
+import mockServer from './mock/mock_server.js';
+import RunJournal from './run_journal.js';
+import migrateMetadata from './commands/migrate_metadata.js';
+import doctor from './commands/doctor.js';
+import login from './commands/login.js';
+import promptMatrix from './core/prompt_matrix.js';
+import folderMapping from './core/folder_mapping.js';
+import { loadSelectorProfile, applySelectorProfile } from './core/selector_profile.js';
+import handlerRegistry from './core/handler_registry.js';
+import handlerFactory from './core/handler_factory.js';
 
 async function runCli() {
+    // Handler plugins are loaded before parsing so --platform lists their platforms
+    const pluginArgs = Parser(hideBin(process.argv), { string: ['pluginsDir', 'logLevel'], array: ['plugin'], alias: { logLevel: ['l'] } });
+    const pluginLogger = createLogger(pluginArgs.logLevel || defaultConfig.logLevel); // Same instance as `logger` below
+    try {
+        await handlerRegistry.loadPlugins({
+            pluginsDir: pluginArgs.pluginsDir ?? defaultConfig.pluginsDir,
+            packages: [...defaultConfig.handlerPlugins, ...(pluginArgs.plugin || [])],
+        }, pluginLogger);
+    } catch (pluginError) {
+        pluginLogger.error(`Fatal Error: ${pluginError.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
     const argv = yargs(hideBin(process.argv))
         .usage('Usage: node index.js --input <path> [options]')
+        .command('migrate-metadata', "Move app data left in the EXIF 'Make' field by older versions into --metadataStorage and restore Make")
+        .command('doctor', 'Open the platform with the profile in --userDataDir and check every configured selector, uploading a small test image (submits only with --full)')
+        .command('login', 'Open --profile in a visible browser on the platform, wait until you have logged in and record the session as verified')
         .option('input', {
             alias: 'i',
             describe: 'Path to the input image file OR directory containing images (or subdirectories if --recurse)',
             type: 'string',
-            demandOption: true, // Input is always required
+            // Required unless --resume restores it from the run journal (see .check below)
         })
         .option('url', {
             alias: 'u',
@@ -27,21 +55,36 @@ async function runCli() {
         })
         .option('platform', {
             alias: 'P', // Uppercase P to avoid conflict with prompt
-            describe: 'Explicitly specify the platform handler (e.g., gemini, chatgpt)',
+            describe: `Explicitly specify the platform handler. Without --platform and --url, '${defaultConfig.defaultPlatform}' is used.`,
             type: 'string',
-            choices: ['gemini', 'chatgpt'], // Add more as implemented
+            choices: handlerRegistry.platformKeys(), // Built-in handlers and loaded plugins
             // No default, relies on URL detection if omitted
         })
+        .option('pluginsDir', {
+            describe: 'Directory of handler plugin modules (.js/.mjs) and generic platform configs (.json/.yaml), loaded if it exists',
+            type: 'string',
+            default: defaultConfig.pluginsDir,
+        })
+        .option('plugin', {
+            describe: 'npm package exporting handler plugins, or a platform config file (.json/.yaml) for the generic chat handler (repeatable), in addition to config handlerPlugins',
+            type: 'array',
+            string: true,
+        })
         .option('prompt', {
             alias: 'p',
-            describe: 'Text prompt to use with the image',
+            describe: 'Text prompt to use with the image. Repeat --prompt to submit every image once per prompt. May contain per-image variables: {filename}, {basename}, {parentDir}, {index}, {total}, ' +
+                '{successCount}, {failedCount}, {exif.<Tag>} (e.g. {exif.ImageDescription}), {iptc.<Tag>} (e.g. {iptc.Caption}), {xmp.<Tag>}. Use {{ and }} for literal braces.',
             type: 'string',
             // Ensures DEFAULT_PROMPT from config is used if --prompt is omitted
             default: defaultConfig.defaultPrompt,
         })
+        .option('promptsFile', {
+            describe: 'File with several prompts, each submitted for every image: JSON (array of prompts or {id, prompt} objects, or an {id: prompt} object) or text (one prompt per line). Overrides --prompt.',
+            type: 'string',
+        })
         .option('recurse', {
             alias: 'r',
-            describe: 'Enable recursive mode: Processes subdirectories in --input matched with subdirectories in --userDataDir.',
+            describe: 'Enable recursive mode: Processes the images of all subdirectories in --input with the profiles (subdirectories) in --userDataDir; a free profile takes the next image.',
             type: 'boolean',
             default: false,
         })
@@ -57,6 +100,34 @@ async function runCli() {
             type: 'number',
             default: 4, // Default to 4 concurrent processes
         })
+        .option('mapping', {
+            describe: 'Recursive mode: file assigning input folders (names or * ? patterns) to profiles in --userDataDir, optionally with a platform, URL and prompt per rule. ' +
+                'JSON ([{input, profile|profiles, platform, url, prompt}] or {input: profile}) or CSV (header row input,profile[,platform,url,prompt]; several profiles separated by ;). ' +
+                'Unmapped folders go to the profiles no rule names.',
+            type: 'string',
+        })
+        .option('profileConcurrency', {
+            describe: 'Images each profile works on at once: tabs of its browser, or parallel requests for API platforms',
+            type: 'number',
+            default: defaultConfig.profileConcurrency, // Config may set it per profile name
+        })
+        .option('executablePath', {
+            describe: 'Chrome/Chromium executable to launch (default: CHROME_PATH, else detected per OS, else the browser bundled with Puppeteer). ' +
+                'A profile.json in a user data dir may set its own executablePath, proxy, locale, timezone, windowSize and args.',
+            type: 'string',
+            default: defaultConfig.executablePath,
+        })
+        .option('browserWSEndpoint', {
+            describe: 'Attach to a Chrome you started with --remote-debugging-port instead of launching one (ws://.../devtools/browser/...). ' +
+                'Several endpoints act as the profiles of --recurse mode. Only the tabs this tool opens are closed; the browser stays open.',
+            type: 'array',
+            string: true,
+        })
+        .option('browserURL', {
+            describe: 'Like --browserWSEndpoint, with the DevTools HTTP address of the browser (http://127.0.0.1:9222).',
+            type: 'array',
+            string: true,
+        })
         .option('headless', {
             describe: `Run browser in headless mode ('new', true, false)`,
             type: 'string', // Keep as string to handle 'new'
@@ -69,6 +140,33 @@ async function runCli() {
             choices: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'],
             default: defaultConfig.logLevel, // Default from config
         })
+        .option('logFormat', {
+            describe: "Console log lines: 'pretty' (labelled with profile and image) or 'json' (one JSON object per line)",
+            type: 'string',
+            choices: LOG_FORMATS,
+            default: defaultConfig.logFormat,
+        })
+        .option('logFile', {
+            describe: 'Write a JSON-lines log to <outputDir>/logs/imagefromimage.log, rotated by size (--no-logFile to disable)',
+            type: 'boolean',
+            default: defaultConfig.logFile,
+        })
+        .option('progress', {
+            describe: 'Show a live view of each profile\'s current image and phase with an ETA below the log; without a terminal, ' +
+                'log a progress summary every --progressInterval seconds (--no-progress to disable)',
+            type: 'boolean',
+            default: defaultConfig.progress,
+        })
+        .option('progressInterval', {
+            describe: 'Seconds between progress summaries when the output is not a terminal',
+            type: 'number',
+            default: defaultConfig.progressInterval,
+        })
+        .option('profileLogs', {
+            describe: 'Also write the lines of each browser profile to <outputDir>/logs/profile-<name>.log',
+            type: 'boolean',
+            default: defaultConfig.profileLogs,
+        })
         .option('outputDir', {
             alias: 'o',
             describe: 'Directory for output logs/screenshots',
@@ -91,6 +189,80 @@ async function runCli() {
             type: 'number',
             default: defaultConfig.actionTimeout, // Default from config
         })
+        .option('generationTimeout', {
+            describe: 'Longest wait (ms) for one generation; completion is detected as soon as it happens',
+            type: 'number',
+            default: defaultConfig.generationTimeout,
+        })
+        .option('onUsageLimit', {
+            describe: "When the platform reports its usage limit: 'rotate' the remaining images to another free profile in --userDataDir (waits if none is free), " +
+                "'wait' until the limit resets, or 'stop' and leave them queued for --resume. Limited images never count as failed.",
+            type: 'string',
+            choices: ['rotate', 'wait', 'stop'],
+            default: defaultConfig.onUsageLimit,
+        })
+        .option('usageLimitCooldown', {
+            describe: 'Minutes a profile cools down after a usage limit whose message names no reset time',
+            type: 'number',
+            default: defaultConfig.usageLimitCooldown,
+        })
+        .option('mockScenario', {
+            describe: `Scenario script for the local mock platform, cycled per upload (${mockServer.MOCK_SCENARIOS.join(', ')})`,
+            type: 'string',
+            default: defaultConfig.mockScenario,
+        })
+        .option('mockResponseDelayMs', {
+            describe: 'Generation time (ms) of the local mock platform',
+            type: 'number',
+            default: defaultConfig.mockResponseDelayMs,
+        })
+        .option('apiModel', {
+            describe: 'Model for the image API platforms (openai-api, gemini-api); defaults to the handler\'s model',
+            type: 'string',
+        })
+        .option('apiImageSize', {
+            describe: 'openai-api: size of the generated image, e.g. 1024x1024 or 1536x1024',
+            type: 'string',
+        })
+        .option('apiMaxRetries', {
+            describe: 'Image API platforms: retries of rate-limited (429) or temporarily failing requests',
+            type: 'number',
+            default: defaultConfig.apiMaxRetries,
+        })
+        .option('resume', {
+            describe: 'Resume an interrupted run by its run ID (see <outputDir>/runs). Restores input, platform, url, prompt(s), recurse, userDataDir, mapping and browser endpoints from the journal.',
+            type: 'string',
+        })
+        .option('selectors', {
+            describe: 'Selector profile (JSON or YAML) with a version/date and per-platform selectors that override the built-in ones. ' +
+                'A selector may be a list of alternatives, tried in order.',
+            type: 'string',
+        })
+        .option('shutdownTimeout', {
+            describe: 'Seconds the first Ctrl+C (SIGINT/SIGTERM) waits for the images in flight before closing; a second one quits at once',
+            type: 'number',
+            default: defaultConfig.shutdownTimeout,
+        })
+        .option('profile', {
+            describe: 'login: Chrome user data directory to log in with (a path, or a profile name in --userDataDir); created if missing',
+            type: 'string',
+        })
+        .option('loginTimeout', {
+            describe: 'login: minutes to wait for the logged-in platform page',
+            type: 'number',
+            default: defaultConfig.loginTimeout,
+        })
+        .option('full', {
+            describe: 'doctor: also submit the test image and check the response selectors',
+            type: 'boolean',
+            default: false,
+        })
+        .option('metadataStorage', {
+            describe: "Where the success/failure counts are stored: 'xmp' (XMP field in the image), 'sidecar' (<name>.xmp file next to the image) or 'make' (legacy EXIF Make field)",
+            type: 'string',
+            choices: ['xmp', 'sidecar', 'make'],
+            default: defaultConfig.metadataStorage,
+        })
         .option('skipIfCreated', {
             alias: 's',
             describe: 'Skip processing images that already have successCount > 0 in EXIF data.',
@@ -101,17 +273,55 @@ async function runCli() {
         .alias('help', '?') // Standard help alias
         .epilog('ImageFromImage EXIF Updater - Copyright 2025')
         .check((argv) => {
-            // Validation: If recurse is true, userDataDir must be provided
-            if (argv.recurse && !argv.userDataDir) {
-                throw new Error("The --userDataDir option pointing to a directory of profiles is required when using --recurse mode.");
+            if (!argv.input && !argv.resume && !['doctor', 'login'].includes(argv._[0])) {
+                throw new Error("Missing required argument: input (or --resume <runId>)");
+            }
+            // Validation: If recurse is true, userDataDir must be provided (API platforms use no browser profiles)
+            const requiresBrowser = handlerFactory.resolveHandlerClass({ ...argv, defaultPlatform: defaultConfig.defaultPlatform })?.HandlerClass.requiresBrowser ?? true;
+            const endpoints = [...(argv.browserWSEndpoint || []), ...(argv.browserURL || [])];
+            if (argv.recurse && !argv.userDataDir && endpoints.length === 0 && requiresBrowser) {
+                throw new Error("The --userDataDir option pointing to a directory of profiles (or --browserWSEndpoint/--browserURL) is required when using --recurse mode.");
+            }
+            for (const endpoint of argv.browserWSEndpoint || []) {
+                if (!/^wss?:\/\//i.test(endpoint)) throw new Error(`--browserWSEndpoint must be a ws:// URL, got '${endpoint}'.`);
+            }
+            for (const endpoint of argv.browserURL || []) {
+                if (!/^https?:\/\//i.test(endpoint)) throw new Error(`--browserURL must be an http:// URL, got '${endpoint}'.`);
+            }
+            if (argv.mapping && endpoints.length > 0) {
+                throw new Error("The --mapping option assigns folders to profile directories and cannot be combined with --browserWSEndpoint/--browserURL.");
             }
             // Validation: Check if platform is provided if URL detection might fail
-            if (!argv.platform && !argv.url && !defaultConfig.chatgptUrl && !defaultConfig.geminiUrl) {
+            if (!argv.platform && !argv.url && !defaultConfig.defaultPlatform) {
                 throw new Error("Please provide a target --url or specify the --platform.");
             }
+            if (!argv.platform && argv.url && !handlerRegistry.detectHandlerClass(argv.url)) {
+                throw new Error(`No handler matches --url ${argv.url}; specify the --platform (one of: ${handlerRegistry.platformKeys().join(', ')}).`);
+            }
+            if (argv.mapping && !argv.recurse && !argv.resume) {
+                throw new Error("The --mapping option assigns input folders to profiles and requires --recurse.");
+            }
             if (argv.concurrency < 1) {
                 throw new Error("Concurrency must be at least 1.");
             }
+            if (typeof argv.profileConcurrency === 'number' && !(argv.profileConcurrency >= 1)) {
+                throw new Error("--profileConcurrency must be at least 1.");
+            }
+            if (argv._[0] === 'login' && !argv.profile) {
+                throw new Error("The login command needs the profile to log in with: --profile <dir>.");
+            }
+            if (!(argv.shutdownTimeout >= 0)) {
+                throw new Error("--shutdownTimeout must be a number of seconds (0 or more).");
+            }
+            if (!(argv.loginTimeout > 0)) {
+                throw new Error("--loginTimeout must be a positive number of minutes.");
+            }
+            if (!(argv.progressInterval > 0)) {
+                throw new Error("--progressInterval must be a positive number of seconds.");
+            }
+            if (!(argv.usageLimitCooldown > 0)) {
+                throw new Error("--usageLimitCooldown must be a positive number of minutes.");
+            }
             return true;
         })
         .parse(); // Use parse()
@@ -136,8 +346,93 @@ async function runCli() {
         // Concurrency ensures minimum of 1
         concurrency: Math.max(1, argv.concurrency),
     };
+    configureLogging(logger, options); // --logFormat and the log files in outputDir
+
+    // Resuming restores the run's inputs from its journal header
+    if (options.resume) {
+        try {
+            const header = await RunJournal.readHeader(options.outputDir, options.resume);
+            const restored = RunJournal.resumableOptions(header);
+            Object.assign(options, restored);
+            logger.info(`Resuming run ${options.resume} (started ${header.startedAt}) with restored options:`, restored);
+        } catch (resumeError) {
+            logger.error(`Fatal Error: ${resumeError.message}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+    // Running browsers to attach to (single mode uses the first)
+    options.browserEndpoints = [...(options.browserWSEndpoint || []), ...(options.browserURL || [])];
+    try {
+        options.prompts = await promptMatrix.loadPrompts(options);
+        if (options.mapping) {
+            options.folderMapping = await folderMapping.readMappingFile(path.resolve(options.mapping));
+            logger.info(`Loaded ${options.folderMapping.length} folder mapping rule(s) from ${options.mapping}.`);
+        }
+        // Handler selectors with config.js overrides, then the --selectors profile on top
+        const selectorProfilePath = typeof options.selectors === 'string' ? options.selectors : null;
+        options.selectors = handlerRegistry.resolveSelectors(defaultConfig.selectors);
+        if (selectorProfilePath) {
+            const profile = await loadSelectorProfile(selectorProfilePath);
+            options.selectorProfile = { version: profile.version, date: profile.date, filePath: profile.filePath };
+            options.selectors = applySelectorProfile(options.selectors, profile);
+            logger.info(`Loaded selector profile version ${profile.version}${profile.date ? ` (${profile.date})` : ''} from ${profile.filePath} for: ${Object.keys(profile.platforms).join(', ')}`);
+        }
+    } catch (setupError) {
+        logger.error(`Fatal Error: ${setupError.message}`);
+        process.exitCode = 1;
+        return;
+    }
     logger.debug('Effective options:', options);
 
+    if (argv._[0] === 'migrate-metadata') {
+        await migrateMetadata(options, logger);
+        return;
+    }
+
+    // Check the handler's required options before any browser is launched
+    const HandlerClass = handlerFactory.resolveHandlerClass(options)?.HandlerClass;
+    const missingRequirements = HandlerClass ? HandlerClass.missingRequirements(options) : [];
+    if (missingRequirements.length > 0) {
+        logger.error(`Fatal Error: platform '${HandlerClass.platformKey}' requires: ${missingRequirements.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Start the local mock platform when a platform it serves is selected without an explicit URL
+    let mockPlatform = null;
+    if (HandlerClass?.mockServer && options.platform && !options.url) {
+        try {
+            mockPlatform = await mockServer.startMockServer({
+                scenario: options.mockScenario,
+                responseDelayMs: options.mockResponseDelayMs,
+                slowResponseDelayMs: options.mockSlowResponseDelayMs,
+            }, logger);
+            options.url = mockPlatform.url;
+        } catch (mockError) {
+            logger.error(`Fatal Error starting mock platform: ${mockError.message}`, { stack: mockError.stack });
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    if (argv._[0] === 'login') {
+        try {
+            await login(options, logger);
+        } finally {
+            if (mockPlatform) await mockPlatform.close();
+        }
+        return;
+    }
+
+    if (argv._[0] === 'doctor') {
+        try {
+            await doctor(options, logger);
+        } finally {
+            if (mockPlatform) await mockPlatform.close();
+        }
+        return;
+    }
 
     // Instantiate Core Components
     let fileManager;
@@ -153,11 +448,24 @@ async function runCli() {
         if (exifWriter && typeof exifWriter.cleanup === 'function') {
             await exifWriter.cleanup(); // Attempt cleanup
         }
+        if (mockPlatform) await mockPlatform.close();
         return; // Stop execution
     }
 
-    // Run the Manager
+    // Run the Manager. The first SIGINT/SIGTERM stops it gracefully, a second one quits at once
+    const progressDisplay = options.progress ? new ProgressDisplay(logger, options) : null;
+    const onSignal = (signal) => {
+        if (manager.stopRequested) {
+            logger.error(`${signal} received again: quitting without waiting for the images in flight.`);
+            process.exit(130);
+        }
+        process.exitCode = signal === 'SIGTERM' ? 143 : 130;
+        manager.requestStop(signal);
+    };
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
     try {
+        progressDisplay?.attach(manager);
         await manager.run(); // Manager handles recursive vs single mode internally
         logger.info('CLI process finished.');
     } catch (runError) {
@@ -166,6 +474,11 @@ async function runCli() {
         // Ensure cleanup is called even if manager.run throws early
         // Cleanup is now inside Manager's finally block, but call again just in case? Redundant is okay.
         await exifWriter.cleanup();
+    } finally {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+        progressDisplay?.detach();
+        if (mockPlatform) await mockPlatform.close();
     }
 }
 
@@ -0,0 +1,318 @@
+// src/commands/doctor.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import browserFactory from '../core/browser_factory.js';
+import handlerFactory from '../core/handler_factory.js';
+import { alternativesOf, selectorList, waitForAlternatives } from '../core/selector_profile.js';
+import { LoginRequiredError } from '../core/login_state.js';
+
+// 64x64 PNG uploaded to check the upload preview and submit button
+const TEST_IMAGE_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAIAAAAlC+aJAAAAW0lEQVR42u3QMQ0AQAwDsQIriIdTsAXzGDpks3R75NS+jtaz0QoAAAAAAAAAAAAAAAAAAAAAAAAAAAAA4AxID6QPAgAAAAAAAAAAAAAAAAAAAAAAAAAAAAA49wHEt8FaP14fdQAAAABJRU5ErkJggg==';
+const TEST_PROMPT = 'Create a simple variation of this test image.';
+// Selectors that only appear once a prompt was submitted (checked with --full)
+const GENERATION_KEYS = ['loadingIndicator', 'responseArea', 'imageInResponse'];
+// Selectors checked in a specific step; any other configured key is checked on the loaded page
+const STEP_KEYS = ['captchaSelectors', 'usageLimitIndicator', 'loginIndicator', 'readySelectors', 'promptTextarea', 'uploadButtonInitiator', 'fileInputHidden',
+    'uploadButtonLocalImage', 'imagePreviewConfirmation', 'submitButton', ...GENERATION_KEYS];
+
+/**
+ * Collects check results and saves a screenshot and DOM snippet for every failure.
+ */
+class DoctorReport {
+    constructor(page, logger, reportDir) {
+        this.page = page;
+        this.logger = logger;
+        this.reportDir = reportDir;
+        this.rows = [];
+    }
+
+    add(step, key, status, detail) {
+        const row = { step, key, status, detail };
+        this.rows.push(row);
+        return row;
+    }
+
+    /**
+     * Waits for a selector (with its alternatives) and records the result.
+     * @param {string} step - Step name shown in the table.
+     * @param {string} key - Selector name, e.g. "submitButton" or "readySelectors[0]".
+     * @param {string|string[]} value - Configured selector or alternatives.
+     * @param {object} [options] - waitForAlternatives options (visible, timeout, suffix).
+     * @returns {Promise<import('puppeteer').ElementHandle|null>} The element, or null if the check failed.
+     */
+    async check(step, key, value, options = {}) {
+        const alternatives = alternativesOf(value);
+        if (alternatives.length === 0) {
+            this.add(step, key, 'SKIP', 'not configured');
+            return null;
+        }
+        try {
+            const { element, index, selector } = await waitForAlternatives(this.page, alternatives, { ...options, label: key });
+            const which = alternatives.length > 1 ? `alternative ${index + 1}/${alternatives.length}: ` : '';
+            this.add(step, key, 'PASS', `${which}${selector}`);
+            return element;
+        } catch (error) {
+            const row = this.add(step, key, 'FAIL', error.message);
+            await this.captureFailure(row, alternatives);
+            return null;
+        }
+    }
+
+    /** Saves a screenshot and the DOM around the failing selector's likely targets. */
+    async captureFailure(row, alternatives) {
+        const baseName = `${row.key.replace(/[^\w.-]+/g, '_')}`;
+        try {
+            await fs.mkdir(this.reportDir, { recursive: true });
+            row.screenshot = path.join(this.reportDir, `${baseName}.png`);
+            await this.page.screenshot({ path: row.screenshot, fullPage: true });
+        } catch (error) {
+            this.logger.warn(`Could not save screenshot for ${row.key}: ${error.message}`);
+            row.screenshot = null;
+        }
+        try {
+            const snippet = await this.page.evaluate((selectors) => {
+                // Relax each alternative to its tag and first attribute name, e.g. button[data-testid]
+                const relaxed = [...new Set(selectors.map(selector => {
+                    const tag = selector.match(/^[a-z][\w-]*/i)?.[0] || '';
+                    const attribute = selector.match(/\[([\w-]+)/)?.[1];
+                    return tag || attribute ? `${tag}${attribute ? `[${attribute}]` : ''}` : null;
+                }).filter(Boolean))];
+                const lines = [];
+                for (const selector of relaxed) {
+                    let candidates;
+                    try {
+                        candidates = [...document.querySelectorAll(selector)].slice(0, 5);
+                    } catch {
+                        continue;
+                    }
+                    for (const element of candidates) {
+                        lines.push(`<!-- candidate for ${selector} -->\n${element.cloneNode(false).outerHTML}`);
+                    }
+                }
+                if (lines.length > 0) return lines.join('\n');
+                return `<!-- no similar elements; start of body -->\n${document.body?.outerHTML.slice(0, 4000) || ''}`;
+            }, alternatives);
+            await fs.mkdir(this.reportDir, { recursive: true });
+            row.snippet = path.join(this.reportDir, `${baseName}.html`);
+            await fs.writeFile(row.snippet, snippet, 'utf8');
+            row.excerpt = snippet.split('\n').find(line => !line.startsWith('<!--'))?.slice(0, 200) || null;
+        } catch (error) {
+            this.logger.warn(`Could not save DOM snippet for ${row.key}: ${error.message}`);
+        }
+    }
+
+    /** Logs the results as a table followed by the artifacts of each failure, one log line per row. */
+    print() {
+        const header = { step: 'Step', key: 'Selector', status: 'Result', detail: 'Details' };
+        const widths = ['step', 'key', 'status'].map(column =>
+            Math.max(header[column].length, ...this.rows.map(row => row[column].length)));
+        const format = row => {
+            const detail = row.detail.replace(/\s+/g, ' ');
+            return [row.step, row.key, row.status].map((value, i) => value.padEnd(widths[i])).join('  ') +
+                `  ${detail.length > 120 ? `${detail.slice(0, 117)}...` : detail}`;
+        };
+        const lines = [format(header), widths.map(width => '-'.repeat(width)).join('  ') + '  -------'];
+        lines.push(...this.rows.map(format));
+        for (const row of this.rows.filter(r => r.status === 'FAIL')) {
+            lines.push('', `${row.key}: ${row.detail}`);
+            if (row.screenshot) lines.push(`  screenshot: ${row.screenshot}`);
+            if (row.snippet) lines.push(`  DOM snippet: ${row.snippet}`);
+            if (row.excerpt) lines.push(`  ${row.excerpt}`);
+        }
+        for (const line of lines) this.logger.info(line);
+    }
+}
+
+/**
+ * `doctor` command: opens the platform with the configured profile and checks every selector
+ * configured for it. Uploads a small test image to check the upload preview and that the
+ * submit button becomes enabled; only submits (and checks the response selectors) with --full.
+ * Prints a pass/fail table; failing selectors get a screenshot and a DOM snippet of similar
+ * elements under <outputDir>/doctor/<timestamp>.
+ * @param {object} options - Effective CLI options.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function doctor(options, logger) {
+    let handler;
+    try {
+        handler = handlerFactory.getHandler(options, logger);
+    } catch (error) {
+        process.exitCode = 1;
+        return; // getHandler already logged the reason
+    }
+    const platformKey = handler.platformKey;
+    if (!handler.constructor.requiresBrowser) {
+        logger.info(`Doctor: platform '${platformKey}' calls an HTTP API (${handler.targetUrl()}) and has no page selectors to check.`);
+        return;
+    }
+    const selectors = options.selectors?.[platformKey] || {};
+    const targetUrl = handler.targetUrl();
+    if (!targetUrl) {
+        logger.error(`No URL known for platform '${platformKey}': pass --url.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const reportDir = path.join(options.outputDir, 'doctor', new Date().toISOString().replace(/[:.]/g, '-'));
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'iff-doctor-'));
+    const testImagePath = path.join(tempDir, 'doctor_test.png');
+    await fs.writeFile(testImagePath, Buffer.from(TEST_IMAGE_PNG, 'base64'));
+
+    const report = new DoctorReport(null, logger, reportDir);
+    try {
+        await browserFactory.launchBrowser(options, logger);
+        report.page = await browserFactory.newPage(options);
+        logger.info(`Doctor: checking ${platformKey} selectors${options.selectorProfile ? ` (profile ${options.selectorProfile.version})` : ''} on ${targetUrl}`);
+        await runChecks(report, handler, selectors, targetUrl, testImagePath, options, logger);
+    } catch (error) {
+        logger.error(`Doctor aborted: ${error.message}`, { stack: error.stack });
+        report.add('doctor', 'error', 'FAIL', error.message);
+    } finally {
+        await browserFactory.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    report.print();
+    const failed = report.rows.filter(row => row.status === 'FAIL').length;
+    const passed = report.rows.filter(row => row.status === 'PASS').length;
+    logger.info(`Doctor finished: ${passed} passed, ${failed} failed, ${report.rows.length - passed - failed} skipped/warnings.`);
+    if (!options.full && report.rows.some(row => row.step === 'prompt')) logger.info('Nothing was submitted; the test image and prompt may remain as a draft in the composer.');
+    if (failed > 0) process.exitCode = 1;
+}
+
+/**
+ * Runs the checks in page order: loaded page, upload, prompt, and (with --full) generation.
+ * @param {DoctorReport} report - Report whose page is used.
+ * @param {BaseHandler} handler - Handler of the platform, for the login check.
+ * @param {object} selectors - The platform's selectors.
+ * @param {string} targetUrl - Platform URL to open.
+ * @param {string} testImagePath - Test image to upload.
+ * @param {object} options - Effective CLI options.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function runChecks(report, handler, selectors, targetUrl, testImagePath, options, logger) {
+    const { page } = report;
+    const actionTimeout = options.actionTimeout;
+    try {
+        await page.goto(targetUrl, { waitUntil: 'networkidle2', timeout: options.navigationTimeout });
+        report.add('page', 'navigation', 'PASS', page.url());
+    } catch (error) {
+        report.add('page', 'navigation', 'FAIL', error.message);
+        return;
+    }
+
+    // --- Loaded page ---
+    const captcha = alternativesOf(selectors.captchaSelectors);
+    if (captcha.length === 0) {
+        report.add('page', 'captchaSelectors', 'SKIP', 'not configured');
+    } else {
+        const found = [];
+        for (const selector of captcha) {
+            if (await page.$(selector)) found.push(selector);
+        }
+        report.add('page', 'captchaSelectors', found.length > 0 ? 'WARN' : 'PASS',
+            found.length > 0 ? `CAPTCHA present (${found.join(', ')}); later checks may fail` : 'no CAPTCHA present');
+    }
+    // Like the CAPTCHA, the usage-limit banner is expected to be absent
+    if (alternativesOf(selectors.usageLimitIndicator).length > 0) {
+        const banner = await page.$(selectorList(selectors.usageLimitIndicator));
+        report.add('page', 'usageLimitIndicator', banner ? 'WARN' : 'PASS',
+            banner ? 'usage limit banner shown; this profile cannot generate until it resets' : 'no usage limit banner');
+    }
+    // A logged-out profile fails every later check; say so first
+    try {
+        await handler.ensureLoggedIn(page);
+        report.add('page', 'login', 'PASS', 'no login page or button');
+    } catch (error) {
+        if (!(error instanceof LoginRequiredError)) throw error;
+        report.add('page', 'login', 'FAIL', `${error.loginRequired.message}; log in with the login command and --profile`);
+    }
+    const readyEntries = Array.isArray(selectors.readySelectors) ? selectors.readySelectors : alternativesOf(selectors.readySelectors);
+    if (readyEntries.length === 0) report.add('page', 'readySelectors', 'SKIP', 'not configured');
+    for (const [position, entry] of readyEntries.entries()) {
+        await report.check('page', `readySelectors[${position}]`, entry, { visible: true, timeout: actionTimeout });
+    }
+    const promptInput = await report.check('page', 'promptTextarea', selectors.promptTextarea, { visible: true, timeout: actionTimeout });
+    const uploadInitiator = await report.check('page', 'uploadButtonInitiator', selectors.uploadButtonInitiator, { visible: true, timeout: actionTimeout });
+    const fileInput = selectors.fileInputHidden
+        ? await report.check('page', 'fileInputHidden', selectors.fileInputHidden, { timeout: actionTimeout })
+        : null;
+    for (const key of Object.keys(selectors).filter(key => !STEP_KEYS.includes(key))) {
+        await report.check('page', key, selectors[key], { timeout: actionTimeout });
+    }
+
+    // --- Upload the test image ---
+    let uploaded = false;
+    if (selectors.uploadButtonLocalImage) {
+        // Two-step upload: the initiator opens a menu with the local image button
+        let localButton = null;
+        if (uploadInitiator) {
+            await uploadInitiator.click();
+            localButton = await report.check('upload', 'uploadButtonLocalImage', selectors.uploadButtonLocalImage, { visible: true, timeout: actionTimeout });
+        } else {
+            report.add('upload', 'uploadButtonLocalImage', 'SKIP', 'uploadButtonInitiator not found');
+        }
+        if (localButton) {
+            try {
+                const [fileChooser] = await Promise.all([page.waitForFileChooser({ timeout: actionTimeout }), localButton.click()]);
+                await fileChooser.accept([testImagePath]);
+                uploaded = true;
+            } catch (error) {
+                report.add('upload', 'fileChooser', 'FAIL', `No file chooser opened: ${error.message}`);
+            }
+        }
+    } else if (fileInput) {
+        await fileInput.uploadFile(testImagePath);
+        uploaded = true;
+    } else {
+        report.add('upload', 'upload', 'SKIP', 'no file input found');
+    }
+    if (uploaded) {
+        await report.check('upload', 'imagePreviewConfirmation', selectors.imagePreviewConfirmation, { visible: true, timeout: actionTimeout + 15000 });
+    } else {
+        report.add('upload', 'imagePreviewConfirmation', 'SKIP', 'test image was not uploaded');
+    }
+
+    // --- Prompt and submit button ---
+    let submitButton = null;
+    if (promptInput) {
+        await promptInput.click();
+        await page.keyboard.type(TEST_PROMPT);
+        submitButton = await report.check('prompt', 'submitButton', selectors.submitButton, {
+            visible: true, timeout: actionTimeout, suffix: ':not([disabled])',
+        });
+    } else {
+        report.add('prompt', 'submitButton', 'SKIP', 'promptTextarea not found');
+    }
+
+    // --- Generation (only with --full) ---
+    if (!options.full || !submitButton) {
+        const reason = options.full ? 'nothing submitted: submitButton not enabled' : 'not submitted (use --full)';
+        for (const key of GENERATION_KEYS) report.add('generation', key, 'SKIP', reason);
+    } else {
+        logger.info('Doctor: --full given, submitting the test image...');
+        await submitButton.click();
+        let indicator = null;
+        if (selectors.loadingIndicator) {
+            indicator = await report.check('generation', 'loadingIndicator', selectors.loadingIndicator, { visible: true, timeout: 15000 });
+            if (indicator) {
+                await waitForAlternatives(page, alternativesOf(selectors.loadingIndicator), { hidden: true, timeout: options.generationTimeout, label: 'loadingIndicator' })
+                    .catch(error => report.add('generation', 'loadingIndicator', 'WARN', `still visible: ${error.message}`));
+            }
+        } else {
+            report.add('generation', 'loadingIndicator', 'SKIP', 'not configured');
+        }
+        // Without a seen loading indicator the response block is the only sign of completion
+        const responseTimeout = indicator ? actionTimeout : options.generationTimeout;
+        await report.check('generation', 'responseArea', selectors.responseArea, { visible: true, timeout: responseTimeout });
+        // The generated image must be inside a response block
+        const responseImages = alternativesOf(selectors.responseArea).flatMap(area =>
+            alternativesOf(selectors.imageInResponse).map(image => `${area} ${image}`));
+        await report.check('generation', 'imageInResponse', responseImages, { visible: true, timeout: actionTimeout * 4 });
+    }
+}
+
+export default doctor;
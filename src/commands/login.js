@@ -0,0 +1,88 @@
+// src/commands/login.js
+import { existsSync } from 'fs';
+import path from 'path';
+import browserFactory from '../core/browser_factory.js';
+import handlerFactory from '../core/handler_factory.js';
+import { LoginRequiredError, recordSessionState } from '../core/login_state.js';
+
+const CHECK_INTERVAL_MS = 2000; // How often the page is checked while the user logs in
+
+/**
+ * Resolves --profile: a path, or the name of a profile directory in --userDataDir.
+ * @param {string} profile - --profile.
+ * @param {string|null} userDataDir - --userDataDir.
+ * @returns {string} Absolute profile directory.
+ */
+function resolveProfilePath(profile, userDataDir) {
+    if (path.isAbsolute(profile) || existsSync(profile) || !userDataDir) return path.resolve(profile);
+    return path.resolve(userDataDir, profile);
+}
+
+/**
+ * `login` command: opens a profile headful on the platform so the user can log in, waits until
+ * the platform's ready selectors appear on a logged-in page and records the session as
+ * verified, with a timestamp, in the profile directory (see src/core/login_state.js). A new
+ * directory is created as a new profile.
+ * @param {object} options - Effective CLI options (profile, userDataDir, platform/url, loginTimeout).
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function login(options, logger) {
+    let handler;
+    try {
+        handler = handlerFactory.getHandler(options, logger);
+    } catch (error) {
+        process.exitCode = 1;
+        return; // getHandler already logged the reason
+    }
+    const platformKey = handler.platformKey;
+    if (!handler.constructor.requiresBrowser) {
+        logger.info(`Login: platform '${platformKey}' calls an HTTP API (${handler.targetUrl()}) and needs no browser login.`);
+        return;
+    }
+    const targetUrl = handler.targetUrl();
+    if (!targetUrl) {
+        logger.error(`No URL known for platform '${platformKey}': pass --url.`);
+        process.exitCode = 1;
+        return;
+    }
+    const profilePath = resolveProfilePath(options.profile, options.userDataDir);
+    const loginOptions = { ...options, headless: false }; // The user logs in in the window
+
+    let browser = null;
+    try {
+        browser = await browserFactory.launchProfileBrowser(loginOptions, profilePath, logger);
+        const page = await browserFactory.newPage(loginOptions, browser);
+        await page.goto(targetUrl, { waitUntil: 'networkidle2', timeout: options.navigationTimeout });
+        logger.info(`Log in to ${platformKey} in the browser window (profile ${profilePath}). ` +
+            `Waiting up to ${options.loginTimeout} min for the logged-in page...`);
+
+        const deadline = Date.now() + options.loginTimeout * 60000;
+        let lastProblem = null;
+        for (;;) {
+            if (page.isClosed() || !browser.connected) throw new Error('The browser window was closed before the login was verified.');
+            try {
+                await handler.ensureLoggedIn(page);
+                await handler.waitForReady(page, CHECK_INTERVAL_MS);
+                break;
+            } catch (error) {
+                // Login pages and redirects come and go until the user is done
+                lastProblem = error instanceof LoginRequiredError ? error.loginRequired.message : error.message;
+                logger.debug(`Not logged in yet: ${lastProblem}`);
+            }
+            if (Date.now() > deadline) throw new Error(`The platform was not ready within ${options.loginTimeout} min (last check: ${lastProblem}).`);
+            await new Promise(resolve => setTimeout(resolve, CHECK_INTERVAL_MS));
+        }
+
+        const verifiedAt = new Date().toISOString();
+        await recordSessionState(profilePath, platformKey, { status: 'verified', verifiedAt, url: page.url() });
+        logger.info(`Login verified for ${platformKey} with profile ${profilePath} at ${verifiedAt}.`);
+    } catch (error) {
+        logger.error(`Login failed: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await browser?.close().catch(error => logger.warn(`Error closing browser: ${error.message}`));
+    }
+}
+
+export default login;
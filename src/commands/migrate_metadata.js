@@ -0,0 +1,42 @@
+// src/commands/migrate_metadata.js
+import path from 'path';
+import FileManager from '../file_manager.js';
+import ExifWriter from '../exif_writer.js';
+
+/**
+ * `migrate-metadata` command: moves the app data that older versions stored in the EXIF
+ * `Make` field into the configured --metadataStorage (xmp or sidecar) for every image under
+ * --input (searched recursively), restoring the original `Make` where it is known.
+ * @param {object} options - Effective CLI options.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ */
+async function migrateMetadata(options, logger) {
+    if (options.metadataStorage === 'make') {
+        logger.error("migrate-metadata needs a target storage: use --metadataStorage xmp or --metadataStorage sidecar.");
+        process.exitCode = 1;
+        return;
+    }
+
+    const fileManager = new FileManager(logger, options);
+    const exifWriter = new ExifWriter(logger, options);
+    const summary = { migrated: 0, skipped: 0, error: 0 };
+    try {
+        const imagePaths = await fileManager.findImageFiles(options.input, true);
+        logger.info(`Migrating app data of ${imagePaths.length} image(s) in ${path.resolve(options.input)} to '${options.metadataStorage}' storage...`);
+        for (const imagePath of imagePaths) {
+            const result = await exifWriter.migrateLegacyMake(imagePath);
+            summary[result]++;
+        }
+    } finally {
+        await exifWriter.cleanup();
+    }
+
+    logger.info('--- Metadata Migration Summary ---');
+    logger.info(`Migrated: ${summary.migrated}`);
+    logger.info(`Skipped (no legacy data): ${summary.skipped}`);
+    logger.info(`Errors: ${summary.error}`);
+    if (summary.error > 0) process.exitCode = 1;
+}
+
+export default migrateMetadata;
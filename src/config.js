@@ -12,11 +12,15 @@ const SUPPORTED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.
 const EXIF_APP_NAME = 'imageFromImage'; // Namespace for our data
 const EXIF_SUCCESS_KEY = 'successCount';
 const EXIF_FAILED_KEY = 'failedCount';
+// Where the JSON data above is stored: 'xmp' (XMP-iff:AppData in the image), 'sidecar' (<name>.xmp next to the image)
+// or 'make' (legacy: EXIF Make field, overwrites the camera make)
+const METADATA_STORAGE = 'xmp';
 
 // --- Puppeteer Configuration ---
 const DEFAULT_WAIT_TIMEOUT = 5000; // General purpose wait (can be overridden by CLI)
 const DEFAULT_NAVIGATION_TIMEOUT = 60000; // Page navigation timeout
 const DEFAULT_ACTION_TIMEOUT = 30000; // Timeout for clicks, typing etc.
+const DEFAULT_GENERATION_TIMEOUT = 360000; // Longest wait for one generation; completion is detected earlier
 const HEADLESS_MODE = false; // User preference
 const BROWSER_ARGS = [
     // User preference: Only UA uncommented
@@ -33,47 +37,9 @@ const BROWSER_ARGS = [
 const VIEWPORT = null; // User preference
 
 // --- Platform Selectors ---
-// !!! IMPORTANT: Verify selectors regularly, websites change! !!!
-const SELECTORS = {
-    gemini: {
-        readySelectors: [
-            'div.ql-editor.textarea.new-input-ui',
-            'button[aria-label="Open upload file menu"]'
-        ],
-        promptTextarea: 'div.ql-editor.textarea.new-input-ui',
-        uploadButtonInitiator: 'button[aria-label="Open upload file menu"]',
-        uploadButtonLocalImage: 'button#image-uploader-local',
-        imagePreviewConfirmation: 'img[data-test-id="image-preview"]',
-        submitButton: 'button.send-button.submit',
-        responseArea: 'model-response',
-        imageInResponse: 'img',
-        loadingIndicator: 'progress-indicator', // Placeholder
-        captchaSelectors: [ // Example
-            // 'iframe[src*="recaptcha"]',
-            // '#captcha-container'
-        ],
-    },
-    chatgpt: {
-        readySelectors: [
-            // Only check visible button now
-            'button[aria-label="Upload files and more"]'
-        ],
-        promptTextarea: '#prompt-textarea', // The contenteditable div
-        uploadButtonInitiator: 'button[aria-label="Upload files and more"]', // The '+' button
-        fileInputHidden: 'input[type="file"][tabindex="-1"]', // The hidden input for upload
-        imagePreviewConfirmation: 'div.w-fit span[style*="background-image"]', // Span showing preview via style
-        submitButton: 'button[data-testid="send-button"]', // Send button
-        loadingIndicator: 'button[data-testid="stop-button"]', // Stop button
-        responseArea: 'div[data-message-author-role="assistant"]', // Assistant response block
-        imageInResponse: 'img[alt="Generated image"]', // The generated image
-        captchaSelectors: [ // Selectors for CAPTCHA detection
-            'iframe[src*="challenges.cloudflare.com"]',
-            'iframe[src*="hcaptcha"]',
-            '#turnstile-wrapper',
-        ],
-    }
-    // seaart: { ... }
-};
+// Each handler declares its own selectors (static `selectors`); entries here override them per key,
+// e.g. { chatgpt: { submitButton: '...' } }. See also --selectors for versioned selector profiles.
+const SELECTOR_OVERRIDES = {};
 
 
 // --- Exported Configuration ---
@@ -81,11 +47,21 @@ export default {
     defaultPrompt: DEFAULT_PROMPT,
     outputDir: DEFAULT_OUTPUT_DIR,
     logLevel: DEFAULT_LOG_LEVEL,
+    logFormat: 'pretty', // Console lines: 'pretty' (with [profile image] labels) or 'json' (one object per line)
+    logFile: true, // JSON-lines log in <outputDir>/logs/imagefromimage.log
+    logMaxSize: 10 * 1024 * 1024, // Bytes after which the log file is rotated
+    logMaxFiles: 5, // Log files kept, including the current one
+    profileLogs: false, // Also write each profile's lines to <outputDir>/logs/profile-<name>.log
+    progress: true, // Live progress view on a terminal (see src/progress_display.js), else periodic summary lines
+    progressInterval: 60, // Seconds between the summary lines when the output is not a terminal
     supportedImageExtensions: SUPPORTED_IMAGE_EXTENSIONS,
     exifAppName: EXIF_APP_NAME,
     exifSuccessKey: EXIF_SUCCESS_KEY,
     exifFailedKey: EXIF_FAILED_KEY,
+    metadataStorage: METADATA_STORAGE,
+    provenanceHistoryLimit: 20, // Attempts kept in each source image's provenance history
     headless: HEADLESS_MODE,
+    executablePath: null, // Chrome/Chromium to launch; null detects it (see src/core/launch_config.js)
     browserArgs: BROWSER_ARGS,
     viewport: VIEWPORT,
     userDataDir: null, // Set via CLI
@@ -93,14 +69,38 @@ export default {
     navigationTimeout: DEFAULT_NAVIGATION_TIMEOUT,
     actionTimeout: DEFAULT_ACTION_TIMEOUT, // Default for clicks/waits within service methods
 
-    // --- ADDED THIS LINE ---
-    chatGptResponseRenderWaitSeconds: 120, // Fixed wait in seconds (e.g., 2 minutes). ADJUST AS NEEDED!
+    generationTimeout: DEFAULT_GENERATION_TIMEOUT, // See src/core/completion_detector.js
 
-    selectors: SELECTORS,
+    // Images each profile works on at once (tabs of its browser); a number, or per profile
+    // directory name with '*' for the others, e.g. { 'profile-a': 2, '*': 1 }
+    profileConcurrency: 1,
 
-    // Default URLs (can be overridden by --url)
-    geminiUrl: 'https://gemini.google.com/app',
-    chatgptUrl: 'https://chatgpt.com/',
+    // Usage limits ("you've reached your image generation limit"), see src/core/usage_limit.js
+    onUsageLimit: 'rotate', // 'rotate' to another free profile (else wait), 'wait' for the reset, or 'stop' and leave the rest queued
+    usageLimitCooldown: 60, // Minutes a profile cools down when the platform names no reset time
+    usageLimitPatterns: [], // Extra limit messages (case-insensitive strings or RegExps) for every platform
+
+    loginTimeout: 10, // Minutes the login command waits for the user to log in
+    shutdownTimeout: 180, // Seconds a graceful shutdown (first Ctrl+C) waits for the images in flight
+
+    selectors: SELECTOR_OVERRIDES,
+
+    // Platform handlers: built-in ones plus plugins (see src/core/handler_registry.js)
+    defaultPlatform: 'gemini', // Used when neither --platform nor --url is given
+    pluginsDir: './plugins', // Handler modules loaded from here if the directory exists
+    handlerPlugins: [], // npm packages exporting handlers, e.g. ['@acme/iff-handler-studio']
+
+    // Image API platforms (openai-api, gemini-api); keys come from OPENAI_API_KEY / GEMINI_API_KEY
+    apiModel: null, // Model override, e.g. 'gpt-image-1' or 'gemini-2.5-flash-image'
+    apiImageSize: null, // Output size for openai-api, e.g. '1536x1024'
+    apiMaxRetries: 5, // Retries of rate-limited (429) or temporarily failing requests
+    apiMaxRetryDelayMs: 120000, // Longest wait between retries, even if Retry-After asks for more
+    apiTimeoutMs: 300000, // Per request
+
+    // Mock platform (started locally when --platform mock is used without --url)
+    mockScenario: 'success', // Comma separated scenario script, see src/mock/mock_server.js
+    mockResponseDelayMs: 1500,
+    mockSlowResponseDelayMs: 45000,
 
     // Optional ExifTool Path
     // exiftoolPath: process.env.EXIFTOOL_PATH || 'path/to/exiftool',
@@ -0,0 +1,126 @@
+// src/core/api_client.js
+
+// Statuses worth retrying: rate limits and temporary server trouble
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const BASE_RETRY_DELAY_MS = 2000;
+
+/** Error for an HTTP response that was not successful (after retries, if any). */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Description including the API's own error message.
+     * @param {number} status - HTTP status code.
+     * @param {object|string|null} body - Parsed JSON body, or the raw text.
+     * @param {string|null} [retryAt=null] - ISO time the response's Retry-After header asked to wait until.
+     */
+    constructor(message, status, body = null, retryAt = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.body = body;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Reads a Retry-After header: either delay seconds or an HTTP date.
+ * @param {string|null} value - Header value.
+ * @returns {number|null} Delay in milliseconds, or null if absent or unreadable.
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Signal for one request: times out after `timeoutMs`, and aborts early with `signal`.
+ * @param {number} timeoutMs - Timeout of the request.
+ * @param {AbortSignal|null} [signal=null] - Caller's signal, e.g. a shutdown.
+ * @returns {AbortSignal}
+ */
+export function requestSignal(timeoutMs, signal = null) {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal;
+}
+
+/** Waits `ms` milliseconds, or less if `signal` aborts first. */
+function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, {once: true});
+    });
+}
+
+/** Parses a response body as JSON, falling back to its text. */
+async function readBody(response) {
+    const text = await response.text();
+    try {
+        return text ? JSON.parse(text) : null;
+    } catch {
+        return text;
+    }
+}
+
+/** Best error message an API response carries (OpenAI and Google both use `error.message`). */
+function errorMessageOf(body) {
+    if (body && typeof body === 'object') return body.error?.message || body.message || JSON.stringify(body);
+    return body ? String(body).slice(0, 500) : 'no response body';
+}
+
+/**
+ * Sends an HTTP request and returns its parsed JSON body. Rate-limited (429) and temporarily
+ * failing (5xx) requests are retried, waiting as long as the Retry-After header asks (capped at
+ * `maxRetryDelayMs`) or with exponential backoff when there is none.
+ * @param {string} url - Request URL.
+ * @param {object|Function} init - fetch() init, or a function returning it (needed for bodies that cannot be sent twice).
+ * @param {object} [settings={}]
+ * @param {object} [settings.logger] - Logger instance.
+ * @param {number} [settings.maxRetries=5] - Retries after the first attempt.
+ * @param {number} [settings.maxRetryDelayMs=120000] - Longest wait between attempts.
+ * @param {number} [settings.timeoutMs=300000] - Timeout per attempt.
+ * @param {string} [settings.label='API request'] - Name used in log messages.
+ * @param {AbortSignal|null} [settings.signal=null] - Aborts the request and any retry wait, e.g. at shutdown.
+ * @returns {Promise<object|string|null>} Parsed JSON body (or text if the body is not JSON).
+ * @throws {ApiError} If the final attempt does not succeed; `retryAt` is set when its response had a Retry-After header.
+ */
+export async function requestWithRetry(url, init, {logger, maxRetries = 5, maxRetryDelayMs = 120000, timeoutMs = 300000, label = 'API request', signal = null} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw new ApiError(`${label} aborted`, 0);
+        const requestInit = typeof init === 'function' ? init() : init;
+        let response;
+        let body;
+        try {
+            response = await fetch(url, {...requestInit, signal: requestSignal(timeoutMs, signal)});
+            body = await readBody(response);
+        } catch (error) {
+            if (signal?.aborted) throw new ApiError(`${label} aborted`, 0);
+            const reason = error.name === 'TimeoutError' ? `no response within ${timeoutMs / 1000}s` : (error.cause?.message || error.message);
+            throw new ApiError(`${label} failed: ${reason}`, 0);
+        }
+
+        if (response.ok) return body;
+
+        const message = `${label} failed with HTTP ${response.status}: ${errorMessageOf(body)}`;
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= maxRetries) {
+            const retryAt = retryAfter !== null ? new Date(Date.now() + retryAfter).toISOString() : null;
+            throw new ApiError(message, response.status, body, retryAt);
+        }
+        const delay = Math.min(retryAfter ?? BASE_RETRY_DELAY_MS * 2 ** attempt, maxRetryDelayMs);
+        logger?.warn(`${message.replace(/\.$/, '')}. Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 2}/${maxRetries + 1})${retryAfter !== null ? ' as asked by Retry-After' : ''}...`);
+        await sleep(delay, signal);
+    }
+}
+
+export default {
+    requestWithRetry,
+    requestSignal,
+    parseRetryAfter,
+};
@@ -1,16 +1,102 @@
 // src/core/browser_factory.js
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { readProfileSettings, buildLaunchOptions, applyProfileSettings, PROTOCOL_TIMEOUT } from './launch_config.js';
 
 // Apply the stealth plugin to puppeteer-extra
 puppeteer.use(StealthPlugin());
 
 let browser = null;
 let logger = null; // Logger instance passed during launch
+const profileSettingsOf = new WeakMap(); // Browser -> settings of its profile, applied to its pages
+const ownPagesOf = new WeakMap(); // Browser we attached to -> the tabs we opened in it
 
 /**
- * Launches a browser instance using puppeteer-extra with stealth plugin.
- * Includes increased protocolTimeout.
+ * Whether a profile is the DevTools endpoint of a browser the user started with remote debugging
+ * (`ws://...` for --browserWSEndpoint, `http://...` for --browserURL) rather than a user data directory.
+ * @param {string|null} profile
+ * @returns {boolean}
+ */
+function isEndpoint(profile) {
+    return typeof profile === 'string' && /^(wss?|https?):\/\//i.test(profile);
+}
+
+/**
+ * Attaches to a running browser through its DevTools endpoint. Its window, profile and tabs stay
+ * the user's: only the tabs opened by newPage are closed again, see closeBrowser.
+ * @param {string} endpoint - `ws://` WebSocket endpoint or `http://` browser URL.
+ * @param {object} [extLogger] - Logger instance.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function connectBrowser(endpoint, extLogger) {
+    const connectOptions = { defaultViewport: null, protocolTimeout: PROTOCOL_TIMEOUT };
+    if (/^wss?:/i.test(endpoint)) connectOptions.browserWSEndpoint = endpoint;
+    else connectOptions.browserURL = endpoint;
+    extLogger?.info(`Connecting to the running browser at ${endpoint}...`);
+    const attachedBrowser = await puppeteer.connect(connectOptions);
+    ownPagesOf.set(attachedBrowser, new Set());
+    extLogger?.info(`Connected to ${await attachedBrowser.version()} at ${endpoint}.`);
+    return attachedBrowser;
+}
+
+/**
+ * Launches a browser with a profile using puppeteer-extra with stealth plugin, configured by
+ * the launch-config layer (executable, increased protocolTimeout, the profile's profile.json).
+ * @param {object} options - Launch options (headless, args, viewport, timeouts, executablePath, etc.)
+ * @param {string|null} profilePath - Chrome user data directory, or null for the default profile.
+ * @param {object} [extLogger] - Logger instance.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function launchProfileBrowser(options, profilePath, extLogger) {
+    const settings = await readProfileSettings(profilePath);
+    const launchOptions = buildLaunchOptions(options, profilePath, settings);
+    extLogger?.info(`Launching browser with puppeteer-extra (Headless: ${options.headless}, executable: ${launchOptions.executablePath || 'bundled with Puppeteer'})...`);
+    if (profilePath) extLogger?.info(`Using User Data Directory: ${profilePath}`);
+    const configured = [settings.proxy && `proxy ${settings.proxy.server}`, settings.locale && `locale ${settings.locale}`,
+        settings.timezone && `timezone ${settings.timezone}`, settings.windowSize && `window ${settings.windowSize.width}x${settings.windowSize.height}`,
+        settings.args.length > 0 && `${settings.args.length} extra arg(s)`].filter(Boolean);
+    if (configured.length > 0) extLogger?.info(`Profile settings: ${configured.join(', ')}`);
+
+    const profileBrowser = await puppeteer.launch(launchOptions);
+    profileSettingsOf.set(profileBrowser, settings);
+    return profileBrowser;
+}
+
+/**
+ * Opens the browser of a profile: attaches to it if the profile is a DevTools endpoint,
+ * else launches it with the user data directory.
+ * @param {object} options - Launch options.
+ * @param {string|null} profile - Endpoint or user data directory (null for the default profile).
+ * @param {object} [extLogger] - Logger instance.
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+async function openBrowser(options, profile, extLogger) {
+    return isEndpoint(profile) ? connectBrowser(profile, extLogger) : launchProfileBrowser(options, profile, extLogger);
+}
+
+/**
+ * Closes a browser from openBrowser. A browser we attached to is not closed: our tabs are, and
+ * we disconnect from it.
+ * @param {import('puppeteer').Browser} targetBrowser
+ * @param {object} [extLogger] - Logger instance.
+ */
+async function closeBrowser(targetBrowser, extLogger) {
+    const ownPages = ownPagesOf.get(targetBrowser);
+    if (!ownPages) {
+        await targetBrowser.close();
+        return;
+    }
+    for (const page of ownPages) {
+        if (!page.isClosed()) await page.close().catch(error => extLogger?.warn(`Could not close tab: ${error.message}`));
+    }
+    ownPages.clear();
+    await targetBrowser.disconnect();
+    extLogger?.info('Disconnected from the running browser; it stays open.');
+}
+
+/**
+ * Opens the shared browser instance of single mode (profile: the first --browserWSEndpoint or
+ * --browserURL, else --userDataDir).
  * @param {object} options - Launch options (headless, args, viewport, timeouts, etc.)
  * @param {object} extLogger - Logger instance.
  * @returns {Promise<import('puppeteer').Browser>}
@@ -22,29 +108,10 @@ async function launchBrowser(options, extLogger) {
         return browser;
     }
 
-    logger?.info(`Launching browser with puppeteer-extra (Headless: ${options.headless})...`);
-    // Set a longer timeout for underlying CDP communication, crucial for long AI generations
-    const protocolTimeoutDuration = 600000; // 600,000ms = 10 minutes
-    logger?.info(`Setting protocolTimeout to ${protocolTimeoutDuration}ms.`);
-
-    const launchOptions = {
-        headless: options.headless,
-        args: options.browserArgs || [],
-        defaultViewport: options.viewport || null, // Use null viewport from config if set
-        timeout: options.navigationTimeout || 60000, // Initial connection/launch timeout
-        protocolTimeout: protocolTimeoutDuration,   // Pass the increased protocolTimeout
-        ignoreDefaultArgs: ['--enable-automation'],
-    };
-
-    if (options.userDataDir) {
-        launchOptions.userDataDir = options.userDataDir;
-        logger?.info(`Using User Data Directory: ${options.userDataDir}`);
-    }
-
     try {
-        // Use puppeteer-extra's launch method
-        browser = await puppeteer.launch(launchOptions);
-        logger?.info('Browser launched successfully using puppeteer-extra.');
+        const endpoint = options.browserEndpoints?.[0];
+        browser = await openBrowser(options, endpoint || options.userDataDir || null, logger);
+        if (!endpoint) logger?.info('Browser launched successfully using puppeteer-extra.');
 
         browser.on('disconnected', () => {
             logger?.warn('Browser disconnected.');
@@ -60,17 +127,20 @@ async function launchBrowser(options, extLogger) {
 }
 
 /**
- * Creates a new page in the existing browser instance and configures timeouts.
+ * Creates a new page in a browser (the shared instance by default), configures timeouts and
+ * applies the page-level settings of the browser's profile.
  * @param {object} options - Options containing timeout values.
+ * @param {import('puppeteer').Browser} [targetBrowser] - Browser from launchProfileBrowser.
  * @returns {Promise<import('puppeteer').Page>}
  */
-async function newPage(options) {
-    if (!browser) {
+async function newPage(options, targetBrowser = browser) {
+    if (!targetBrowser) {
         logger?.error('Browser not launched. Call launchBrowser first.');
         throw new Error('Browser not available');
     }
     try {
-        const page = await browser.newPage();
+        const page = await targetBrowser.newPage();
+        ownPagesOf.get(targetBrowser)?.add(page);
         logger?.info('New page created.');
 
         // Set default timeouts for the page instance
@@ -81,6 +151,7 @@ async function newPage(options) {
 
         // Corrected Debug Log - log the values we SET
         logger?.debug(`Page timeouts configured: Navigation=${navTimeout}, Action=${actTimeout}`);
+        await applyProfileSettings(page, profileSettingsOf.get(targetBrowser) || {});
         return page;
     } catch (error) {
         logger?.error(`Failed to create new page: ${error.message}`, {stack: error.stack});
@@ -95,8 +166,9 @@ async function close() {
     if (browser) {
         logger?.info('Closing browser (puppeteer-extra)...');
         try {
-            await browser.close();
-            logger?.info('Browser closed successfully.');
+            const attached = ownPagesOf.has(browser);
+            await closeBrowser(browser, logger);
+            if (!attached) logger?.info('Browser closed successfully.');
         } catch (error) {
             logger?.error(`Error closing browser: ${error.message}`);
         } finally {
@@ -111,6 +183,10 @@ async function close() {
 
 // Export the public methods
 export default {
+    isEndpoint,
+    openBrowser,
+    closeBrowser,
+    launchProfileBrowser,
     launchBrowser,
     newPage,
     close,
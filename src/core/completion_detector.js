@@ -0,0 +1,120 @@
+// src/core/completion_detector.js
+
+/**
+ * Default detector settings; handlers override them per platform with `static completion`.
+ * - `stopIndicatorKey`: selector key of the element shown while the platform generates (stop button).
+ * - `quietMs`: the response must stop changing this long once its images have loaded.
+ * - `noImageQuietMs`: ...and this long while it holds no image, since images are often added
+ *   after the text (a response that stays imageless is a refusal or text answer).
+ * - `timeoutMs`: longest wait for one generation (defaults to options.generationTimeout).
+ */
+export const DEFAULT_COMPLETION_SETTINGS = Object.freeze({
+    stopIndicatorKey: 'loadingIndicator',
+    quietMs: 1500,
+    noImageQuietMs: 10000,
+    timeoutMs: 360000,
+});
+
+/**
+ * Runs in the page: true-ish once the latest response is complete. Installs (once per page) a
+ * MutationObserver and capturing load/error listeners that timestamp every change inside a
+ * response block, so the quiet period is measured from real DOM activity rather than sleeps.
+ */
+function responseComplete(areas, stopIndicator, images, countBefore, quietMs, noImageQuietMs) {
+    let state = window.__iffCompletion;
+    if (!state || state.areas !== areas) {
+        state?.observer.disconnect();
+        state = window.__iffCompletion = { areas, lastChange: Date.now() };
+        const inResponse = node => {
+            const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+            return !!element?.closest(areas);
+        };
+        state.observer = new MutationObserver(mutations => {
+            if (mutations.some(mutation => inResponse(mutation.target) || [...mutation.addedNodes].some(node =>
+                node.nodeType === Node.ELEMENT_NODE && (node.matches(areas) || node.querySelector(areas))))) {
+                state.lastChange = Date.now();
+            }
+        });
+        state.observer.observe(document.body, { subtree: true, childList: true, characterData: true, attributes: true });
+        const onImageEvent = event => {
+            if (event.target?.tagName === 'IMG' && inResponse(event.target)) state.lastChange = Date.now();
+        };
+        document.addEventListener('load', onImageEvent, true);
+        document.addEventListener('error', onImageEvent, true);
+    }
+
+    const blocks = document.querySelectorAll(areas);
+    if (blocks.length === 0 || blocks.length <= countBefore) return false;
+    if (stopIndicator && [...document.querySelectorAll(stopIndicator)].some(el => el.getClientRects().length > 0)) return false;
+    const imageElements = images ? [...blocks[blocks.length - 1].querySelectorAll(images)] : [];
+    if (imageElements.some(img => !img.complete)) return false; // Still downloading
+    const loaded = imageElements.filter(img => img.naturalWidth > 0).length;
+    const quietFor = Date.now() - state.lastChange;
+    if (quietFor < (loaded > 0 ? quietMs : noImageQuietMs)) return false;
+    return { imageCount: loaded, quietFor };
+}
+
+/**
+ * Tells when a submitted generation is finished by watching the page instead of sleeping for
+ * the worst case: a new response block exists, the stop button is gone, the block's images have
+ * fired `load`, and the block has stopped mutating for a quiet period.
+ */
+class CompletionDetector {
+    /**
+     * @param {import('./selector_profile.js').default} selectorSet - The platform's selectors
+     * (`responseArea`, `imageInResponse` and the stop indicator).
+     * @param {object} logger - Logger instance.
+     * @param {object} [settings] - See DEFAULT_COMPLETION_SETTINGS.
+     */
+    constructor(selectorSet, logger, settings = {}) {
+        this.selectorSet = selectorSet;
+        this.logger = logger;
+        this.settings = { ...DEFAULT_COMPLETION_SETTINGS };
+        for (const [key, value] of Object.entries(settings)) {
+            if (value !== undefined && value !== null) this.settings[key] = value;
+        }
+        // Response blocks on the page when the awaited prompt was submitted (null: judge the latest block)
+        this.responseCountBeforeSubmit = null;
+    }
+
+    /** Records the response blocks present right before a submit, so only a newer block counts. */
+    async markSubmitted(page) {
+        this.responseCountBeforeSubmit = (await page.$$(this.selectorSet.list('responseArea'))).length;
+    }
+
+    /** Forgets the recorded submit, e.g. after reopening a conversation: the latest block is judged. */
+    forgetSubmission() {
+        this.responseCountBeforeSubmit = null;
+    }
+
+    /**
+     * Waits until the latest generation is complete.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @returns {Promise<{completed: boolean, imageCount: number, elapsedMs: number}>} completed is
+     * false when the timeout passed first; imageCount counts loaded images in the latest block.
+     */
+    async waitForCompletion(page) {
+        const { stopIndicatorKey, quietMs, noImageQuietMs, timeoutMs } = this.settings;
+        const startedAt = Date.now();
+        const stopIndicator = stopIndicatorKey ? this.selectorSet.list(stopIndicatorKey) : '';
+        this.logger.info(`Waiting up to ${timeoutMs / 1000}s for the generation to complete${stopIndicator ? ` ('${stopIndicator}' gone,` : ' ('} response quiet, images loaded)...`);
+        try {
+            const handle = await page.waitForFunction(responseComplete, { timeout: timeoutMs, polling: 250 },
+                this.selectorSet.list('responseArea'), stopIndicator, this.selectorSet.list('imageInResponse'),
+                this.responseCountBeforeSubmit ?? 0, quietMs, noImageQuietMs);
+            const { imageCount } = await handle.jsonValue();
+            await handle.dispose();
+            const elapsedMs = Date.now() - startedAt;
+            this.logger.info(`Generation complete after ${(elapsedMs / 1000).toFixed(1)}s with ${imageCount} loaded image(s).`);
+            return { completed: true, imageCount, elapsedMs };
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            this.logger.warn(`Generation did not complete within ${timeoutMs / 1000}s.`);
+            return { completed: false, imageCount: 0, elapsedMs: Date.now() - startedAt };
+        } finally {
+            this.responseCountBeforeSubmit = null;
+        }
+    }
+}
+
+export default CompletionDetector;
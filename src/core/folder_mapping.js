@@ -0,0 +1,231 @@
+// src/core/folder_mapping.js
+import fs from 'fs/promises';
+import path from 'path';
+import handlerFactory from './handler_factory.js';
+
+const CSV_COLUMNS = ['input', 'profile', 'platform', 'url', 'prompt'];
+
+/**
+ * Splits CSV content into rows of fields. Fields may be quoted ("a, b"; "" for a quote).
+ * @param {string} content - CSV text.
+ * @returns {string[][]}
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Turns a mapping entry into a rule, checking its fields.
+ * @param {object} entry - {input, profile|profiles, platform?, url?, prompt?}.
+ * @param {string} source - Where the entry is, for error messages ("rule 2", "line 3").
+ * @returns {{input: string, profiles: string[], platform: string|null, url: string|null, prompt: string|null, source: string}}
+ * @throws {Error} If a field is missing or has the wrong type.
+ */
+function toRule(entry, source) {
+    if (!entry || typeof entry !== 'object') throw new Error(`${source} must be an object.`);
+    if (typeof entry.input !== 'string' || !entry.input.trim()) throw new Error(`${source} has no 'input' folder.`);
+    const profileList = entry.profiles ?? entry.profile;
+    const profiles = (Array.isArray(profileList) ? profileList : [profileList]).filter(profile => typeof profile === 'string' && profile.trim());
+    if (profiles.length === 0) throw new Error(`${source} (${entry.input}) has no 'profile'.`);
+    for (const key of ['platform', 'url', 'prompt']) {
+        if (entry[key] !== undefined && entry[key] !== null && typeof entry[key] !== 'string') throw new Error(`${source}: '${key}' must be a string.`);
+    }
+    return {
+        input: entry.input.trim(),
+        profiles: profiles.map(profile => profile.trim()),
+        platform: entry.platform?.trim() || null,
+        url: entry.url?.trim() || null,
+        prompt: entry.prompt?.trim() || null,
+        source,
+    };
+}
+
+/**
+ * Reads a folder mapping file (--mapping).
+ * - `.csv`: a header row naming the columns (input, profile, and optionally platform, url, prompt),
+ *   then one rule per row; several profiles are separated by ';'.
+ * - anything else is JSON: an array of `{input, profile|profiles, platform?, url?, prompt?}` rules,
+ *   or an object mapping inputs to a profile, a list of profiles or such a rule without `input`.
+ * Inputs are folder names in --input (or paths) and may use the wildcards `*` and `?`;
+ * profiles are directory names in --userDataDir (or paths).
+ * @param {string} filePath - Path to the mapping file.
+ * @returns {Promise<object[]>} The rules, in file order.
+ * @throws {Error} If the file cannot be read or has an unsupported structure.
+ */
+async function readMappingFile(filePath) {
+    let content;
+    try {
+        content = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    } catch (error) {
+        throw new Error(`Cannot read mapping file ${filePath}: ${error.message}`);
+    }
+    const ruleOf = (entry, source) => {
+        try {
+            return toRule(entry, source);
+        } catch (error) {
+            throw new Error(`Mapping file ${filePath}, ${error.message}`);
+        }
+    };
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [header, ...rows] = parseCsv(content);
+        const columns = (header || []).map(name => name.trim().toLowerCase());
+        const unknown = columns.filter(name => !CSV_COLUMNS.includes(name));
+        if (!columns.includes('input') || !columns.includes('profile') || unknown.length > 0) {
+            throw new Error(`Mapping file ${filePath} needs a header row with the columns input and profile (optional: platform, url, prompt)` +
+                `${unknown.length > 0 ? `; unknown column(s): ${unknown.join(', ')}` : ''}.`);
+        }
+        return rows.map((fields, index) => {
+            const entry = Object.fromEntries(columns.map((name, column) => [name, fields[column]?.trim() || undefined]));
+            entry.profile = entry.profile?.split(';');
+            return ruleOf(entry, `line ${index + 2}`);
+        });
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Mapping file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    if (Array.isArray(parsed)) {
+        return parsed.map((entry, index) => ruleOf(entry, `rule ${index + 1}`));
+    }
+    if (parsed && typeof parsed === 'object') {
+        return Object.entries(parsed).map(([input, target], index) => {
+            const entry = typeof target === 'string' || Array.isArray(target) ? { profiles: target } : { ...target };
+            return ruleOf({ ...entry, input }, `rule ${index + 1}`);
+        });
+    }
+    throw new Error(`Mapping file ${filePath} must contain an array of rules or an object mapping inputs to profiles.`);
+}
+
+/** RegExp matching a folder pattern with `*` and `?` wildcards (case-insensitive on Windows). */
+function patternToRegExp(pattern) {
+    const source = pattern.split('').map(char => {
+        if (char === '*') return '[^/]*';
+        if (char === '?') return '[^/]';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/** Path with forward slashes, for matching on every OS. */
+function toSlashes(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/** Whether a path is an existing directory. */
+async function isDirectory(dirPath) {
+    try {
+        return (await fs.stat(dirPath)).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Applies the mapping rules to the folders and profiles of a recursive run and checks them before
+ * anything starts. Every folder takes the first rule matching it; folders no rule matches go to
+ * the profiles no rule names. Problems are collected and reported together: rules matching no
+ * folder, missing profile directories, unknown platforms, and profiles that rules assign to
+ * different platforms or URLs (a profile's browser serves one platform at a time).
+ * @param {object[]} rules - Rules from readMappingFile.
+ * @param {object} context
+ * @param {string} context.inputDir - --input.
+ * @param {string[]} context.inputSubDirs - Folders of the run (absolute).
+ * @param {string} context.userDataDir - --userDataDir.
+ * @param {string[]} context.profileDirs - Profile directories found in --userDataDir (absolute).
+ * @param {object} context.options - Effective options, for resolving platforms.
+ * @returns {Promise<{folders: Map<string, object|null>, profileSettings: Map<string, {platform: string|null, url: string|null}>, profiles: string[], unmappedProfiles: string[]}>}
+ * `folders` maps each folder to its rule (null if unmapped) with `profilePaths`; `profiles` lists every profile of the run.
+ * @throws {Error} Listing every problem found.
+ */
+async function resolveMapping(rules, { inputDir, inputSubDirs, userDataDir, profileDirs, options }) {
+    const problems = [];
+    const inputRoot = path.resolve(inputDir);
+    const folderNames = new Map(inputSubDirs.map(dir => [dir, toSlashes(path.relative(inputRoot, dir))]));
+
+    const resolvedRules = [];
+    for (const rule of rules) {
+        const pattern = toSlashes(path.isAbsolute(rule.input) ? path.relative(inputRoot, rule.input) : path.normalize(rule.input));
+        const profilePaths = [];
+        for (const profile of rule.profiles) {
+            const profilePath = path.resolve(userDataDir, profile);
+            if (await isDirectory(profilePath)) profilePaths.push(profilePath);
+            else problems.push(`${rule.source}: profile directory not found: ${profilePath}`);
+        }
+        if (rule.platform || rule.url) {
+            const resolved = handlerFactory.resolveHandlerClass({ ...options, platform: rule.platform, url: rule.url });
+            if (!resolved) problems.push(`${rule.source}: no handler for ${rule.platform ? `platform '${rule.platform}'` : `url ${rule.url}`}.`);
+        }
+        resolvedRules.push({ ...rule, regExp: patternToRegExp(pattern), profilePaths, matched: false });
+    }
+
+    const folders = new Map();
+    for (const [dir, name] of folderNames) {
+        const rule = resolvedRules.find(candidate => candidate.regExp.test(name)) || null;
+        if (rule) rule.matched = true;
+        folders.set(dir, rule);
+    }
+    for (const rule of resolvedRules) {
+        if (!rule.matched) problems.push(`${rule.source}: input '${rule.input}' matches no folder in ${inputRoot}.`);
+    }
+
+    // A profile opens one platform: every rule naming it must agree on platform and URL
+    const profileSettings = new Map();
+    const assignedBy = new Map();
+    for (const rule of resolvedRules) {
+        const settings = { platform: rule.platform, url: rule.url };
+        for (const profilePath of rule.profilePaths) {
+            const earlier = profileSettings.get(profilePath);
+            if (earlier && (earlier.platform !== settings.platform || earlier.url !== settings.url)) {
+                const describe = ({ platform, url }) => [platform && `platform ${platform}`, url && `url ${url}`].filter(Boolean).join(', ') || 'the run\'s platform';
+                problems.push(`Profile ${path.basename(profilePath)} is assigned to ${describe(earlier)} by ${assignedBy.get(profilePath)} ` +
+                    `but to ${describe(settings)} by ${rule.source}.`);
+                continue;
+            }
+            profileSettings.set(profilePath, settings);
+            assignedBy.set(profilePath, rule.source);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid folder mapping:\n  - ${problems.join('\n  - ')}`);
+    }
+    const unmappedProfiles = profileDirs.filter(profilePath => !profileSettings.has(profilePath));
+    return {
+        folders,
+        profileSettings,
+        profiles: [...new Set([...profileDirs, ...profileSettings.keys()])],
+        unmappedProfiles,
+    };
+}
+
+export default {
+    readMappingFile,
+    resolveMapping,
+};
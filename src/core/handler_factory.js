@@ -1,53 +1,56 @@
 // src/core/handler_factory.js
-import GeminiHandler from '../handlers/gemini_handler.js';
-import ChatGptHandler from '../handlers/chatgpt_handler.js'; // Import the new handler
-// Future imports:
-// import SeaArtHandler from '../handlers/seaart_handler.js';
+import handlerRegistry from './handler_registry.js';
+
+/**
+ * Finds the handler class for the options: --platform first, then --url detection, then the
+ * configured default platform when neither is given.
+ * @param {object} options - Application configuration options.
+ * @returns {{HandlerClass: typeof BaseHandler, reason: string}|null} The class and how it was chosen, or null.
+ */
+function resolveHandlerClass(options) {
+    const platform = options.platform?.toLowerCase();
+    const url = options.url || '';
+    let HandlerClass = null;
+    let reason;
+    if (platform) {
+        HandlerClass = handlerRegistry.getHandlerClass(platform);
+        reason = 'based on --platform flag';
+    } else if (url) {
+        HandlerClass = handlerRegistry.detectHandlerClass(url);
+        reason = 'based on URL';
+    } else if (options.defaultPlatform) {
+        HandlerClass = handlerRegistry.getHandlerClass(options.defaultPlatform);
+        reason = 'as default platform (no --platform or --url given)';
+    }
+    return HandlerClass ? { HandlerClass, reason } : null;
+}
 
 /**
  * Creates and returns the appropriate platform handler based on URL or options.
+ * Handlers come from the registry (built-in handlers and loaded plugins).
  * @param {object} options - Application configuration options.
  * @param {object} logger - The shared logger instance.
  * @returns {BaseHandler} An instance of a platform-specific handler.
  * @throws {Error} If no suitable handler is found.
  */
 function getHandler(options, logger) {
-    // Prefer explicit platform flag
     const platform = options.platform?.toLowerCase();
-    // Fallback to URL detection
-    const url = options.url || options.geminiUrl || options.chatgptUrl || ''; // Get URL from options
-    const lowerCaseUrl = url.toLowerCase();
-
+    const url = options.url || '';
     logger.info(`Determining handler... (Platform flag: ${platform}, URL: ${url})`);
 
-    // Explicit platform selection
-    if (platform === 'gemini') {
-        logger.info('Selected GeminiHandler based on --platform flag.');
-        return new GeminiHandler(options, logger);
-    } else if (platform === 'chatgpt') {
-        logger.info('Selected ChatGptHandler based on --platform flag.');
-        return new ChatGptHandler(options, logger); // Return new handler
-    }
-    // Add other explicit platform checks here...
-
-    // Fallback to URL detection if platform not specified
-    if (!platform && url) {
-        if (lowerCaseUrl.includes('gemini.google.com')) {
-            logger.info('Selected GeminiHandler based on URL.');
-            return new GeminiHandler(options, logger);
-        } else if (lowerCaseUrl.includes('chatgpt.com') || lowerCaseUrl.includes('chat.openai.com')) { // UPDATED CHECK
-            logger.info('Selected ChatGptHandler based on URL.');
-            return new ChatGptHandler(options, logger); // Return new handler
-        }
-        // Add other URL checks here...
+    const resolved = resolveHandlerClass(options);
+    if (resolved) {
+        logger.info(`Selected ${resolved.HandlerClass.name} ${resolved.reason}.`);
+        return new resolved.HandlerClass(options, logger);
     }
 
     // If neither platform nor a matching URL was provided/found
-    const message = `Could not determine platform handler for platform='${platform}', url='${url}'. Provide a supported --url or use --platform (e.g., --platform gemini, --platform chatgpt).`;
+    const message = `Could not determine platform handler for platform='${platform}', url='${url}'. Provide a supported --url or use --platform (one of: ${handlerRegistry.platformKeys().join(', ')}).`;
     logger.error(message);
     throw new Error(message);
 }
 
 export default {
+    resolveHandlerClass,
     getHandler,
-};
\ No newline at end of file
+};
@@ -0,0 +1,243 @@
+// src/core/handler_registry.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import yaml from 'js-yaml';
+import BaseHandler, { COMPLETION_STRATEGIES } from '../handlers/base_handler.js';
+import SelectorSet, { alternativesOf, selectorList, waitForAlternatives } from './selector_profile.js';
+import GeminiHandler from '../handlers/gemini_handler.js';
+import ChatGptHandler from '../handlers/chatgpt_handler.js';
+import MockHandler from '../handlers/mock_handler.js';
+import GenericChatHandler from '../handlers/generic_chat_handler.js';
+import ApiImageHandler from '../handlers/api_image_handler.js';
+import OpenAiApiHandler from '../handlers/openai_api_handler.js';
+import GeminiApiHandler from '../handlers/gemini_api_handler.js';
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+// Platform configs for GenericChatHandler
+const PLATFORM_CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+// Built-in platform config that drives the local mock platform through GenericChatHandler
+const GENERIC_MOCK_PLATFORM = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mock', 'generic_mock_platform.json');
+
+// What a plugin module's default export receives when it is a factory function, so plugins
+// installed outside this repository do not have to import its files by path
+const PLUGIN_API = Object.freeze({
+    BaseHandler,
+    GenericChatHandler,
+    ApiImageHandler,
+    COMPLETION_STRATEGIES,
+    SelectorSet,
+    alternativesOf,
+    selectorList,
+    waitForAlternatives,
+});
+
+// platformKey -> {HandlerClass, source}, in registration order
+const handlers = new Map();
+
+/**
+ * Registers a handler class. The class declares its platform through static fields:
+ * - `platformKey` (string): the --platform name and the key of its selectors.
+ * - `urlPatterns` (Array<string|RegExp>): matched against --url to detect the platform; strings
+ *   match case-insensitively anywhere in the URL.
+ * - `defaultUrl` (string|null): opened when no --url is given.
+ * - `selectors` (object): the platform's selectors (see config.js for overrides).
+ * - `requiredOptions` (string[], optional): options that must be set to use the handler.
+ * - `mockServer` (boolean, optional): the platform is served by the local mock server, which the
+ *   CLI starts when no --url is given.
+ * - `requiresBrowser` (boolean, optional): false for handlers that call an HTTP API (see
+ *   ApiImageHandler); no browser is launched for them.
+ * - `imageResponses` (object, optional): URL patterns of the network responses that carry the
+ *   generated images, saved byte for byte (see src/core/network_image_capture.js).
+ * - `usageLimit` (object, optional): `textPatterns` of the platform's usage-limit messages,
+ *   replacing the defaults (see src/core/usage_limit.js). A `usageLimitIndicator` selector may
+ *   name the banner shown while the limit applies.
+ * - `login` (object, optional): `urlPatterns` of the platform's login pages, replacing the
+ *   defaults (see src/core/login_state.js). A `loginIndicator` selector may name the login
+ *   button a logged-out page shows.
+ * @param {typeof BaseHandler} HandlerClass - Handler class extending BaseHandler.
+ * @param {string} [source='built-in'] - Where the handler came from, used in messages.
+ * @throws {Error} If the class is not a valid handler or its platform key is taken.
+ */
+function registerHandler(HandlerClass, source = 'built-in') {
+    const name = HandlerClass?.name || String(HandlerClass);
+    if (typeof HandlerClass !== 'function' || !(HandlerClass.prototype instanceof BaseHandler)) {
+        throw new Error(`Handler ${name} from ${source} must be a class extending BaseHandler.`);
+    }
+    const { platformKey, urlPatterns = [], defaultUrl = null, selectors = {}, requiredOptions = [] } = HandlerClass;
+    if (typeof platformKey !== 'string' || !/^[a-z][\w-]*$/.test(platformKey)) {
+        throw new Error(`Handler ${name} from ${source} must declare a lowercase 'static platformKey'.`);
+    }
+    if (!Array.isArray(urlPatterns) || !urlPatterns.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp)) {
+        throw new Error(`Handler ${name} from ${source}: 'urlPatterns' must be an array of strings or regular expressions.`);
+    }
+    if (defaultUrl !== null && typeof defaultUrl !== 'string') {
+        throw new Error(`Handler ${name} from ${source}: 'defaultUrl' must be a string or null.`);
+    }
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        throw new Error(`Handler ${name} from ${source}: 'selectors' must be an object.`);
+    }
+    if (!Array.isArray(requiredOptions)) {
+        throw new Error(`Handler ${name} from ${source}: 'requiredOptions' must be an array of option names.`);
+    }
+    const existing = handlers.get(platformKey);
+    if (existing) {
+        throw new Error(`Platform '${platformKey}' of ${name} from ${source} is already registered by ${existing.HandlerClass.name} (${existing.source}).`);
+    }
+    handlers.set(platformKey, { HandlerClass, source });
+}
+
+/**
+ * Registers the handlers a plugin module exports. The default export (or a named `handlers`
+ * export) may be a handler class, an array of them, or a function that receives the plugin API
+ * ({BaseHandler, COMPLETION_STRATEGIES, SelectorSet, ...}) and returns either.
+ * @param {object} module - The imported plugin module.
+ * @param {string} source - Plugin file or package name.
+ * @returns {string[]} Platform keys registered by the plugin.
+ */
+function registerPluginModule(module, source) {
+    let exported = module.default ?? module.handlers;
+    if (typeof exported === 'function' && !(exported.prototype instanceof BaseHandler)) {
+        exported = exported(PLUGIN_API);
+    }
+    const classes = Array.isArray(exported) ? exported : [exported];
+    if (classes.length === 0 || !exported) throw new Error(`Plugin ${source} exports no handlers.`);
+    for (const HandlerClass of classes) registerHandler(HandlerClass, source);
+    return classes.map(HandlerClass => HandlerClass.platformKey);
+}
+
+/**
+ * Reads a GenericChatHandler platform config (JSON or YAML) and registers its handler.
+ * @param {string} filePath - Path to the platform config.
+ * @param {string} [source] - Name used in messages (defaults to the path).
+ * @returns {Promise<string>} The registered platform key.
+ * @throws {Error} If the file cannot be read or parsed, or the config is invalid.
+ */
+async function registerPlatformConfig(filePath, source = filePath) {
+    let config;
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        config = extension === '.json' ? JSON.parse(content.replace(/^\uFEFF/, '')) : yaml.load(content);
+    } catch (error) {
+        throw new Error(`Cannot load platform config ${source}: ${error.message}`);
+    }
+    const HandlerClass = GenericChatHandler.fromConfig(config, source);
+    registerHandler(HandlerClass, source);
+    return HandlerClass.platformKey;
+}
+
+/**
+ * Loads handler plugins: every .js/.mjs module and every .json/.yaml/.yml platform config
+ * (see GenericChatHandler) in `pluginsDir` (skipped if the directory does not exist), and every
+ * entry of `packages`, which names an npm package or the path of a platform config.
+ * @param {{pluginsDir?: string|null, packages?: string[]}} sources - Where to look.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<void>}
+ * @throws {Error} If a plugin cannot be imported or registers an invalid handler.
+ */
+async function loadPlugins({ pluginsDir = null, packages = [] }, logger) {
+    if (pluginsDir) {
+        const directory = path.resolve(pluginsDir);
+        let entries = [];
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Cannot read plugins directory ${directory}: ${error.message}`);
+            logger?.debug(`No plugins directory at ${directory}.`);
+        }
+        const files = entries
+            .filter(entry => entry.isFile())
+            .map(entry => path.join(directory, entry.name))
+            .sort();
+        for (const file of files) {
+            const extension = path.extname(file).toLowerCase();
+            if (PLUGIN_EXTENSIONS.includes(extension)) {
+                await loadPlugin(() => import(pathToFileURL(file).href), file, logger);
+            } else if (PLATFORM_CONFIG_EXTENSIONS.includes(extension)) {
+                logger?.info(`Loaded platform config ${file}: ${await registerPlatformConfig(file)}`);
+            }
+        }
+    }
+    for (const packageName of packages) {
+        if (PLATFORM_CONFIG_EXTENSIONS.includes(path.extname(packageName).toLowerCase())) {
+            logger?.info(`Loaded platform config ${packageName}: ${await registerPlatformConfig(path.resolve(packageName), packageName)}`);
+        } else {
+            await loadPlugin(() => import(packageName), packageName, logger);
+        }
+    }
+}
+
+/** Imports one plugin and registers its handlers, naming the plugin in errors. */
+async function loadPlugin(importModule, source, logger) {
+    let module;
+    try {
+        module = await importModule();
+    } catch (error) {
+        throw new Error(`Cannot load handler plugin ${source}: ${error.message}`);
+    }
+    const platformKeys = registerPluginModule(module, source);
+    logger?.info(`Loaded handler plugin ${source}: ${platformKeys.join(', ')}`);
+}
+
+/** Registered platform keys, built-in ones first. */
+function platformKeys() {
+    return [...handlers.keys()];
+}
+
+/**
+ * Returns the handler class registered for a platform key.
+ * @param {string} platformKey - Platform name, e.g. "chatgpt".
+ * @returns {typeof BaseHandler|null}
+ */
+function getHandlerClass(platformKey) {
+    return handlers.get(platformKey)?.HandlerClass || null;
+}
+
+/**
+ * Finds the handler class whose `urlPatterns` match a URL.
+ * @param {string} url - Target URL.
+ * @returns {typeof BaseHandler|null}
+ */
+function detectHandlerClass(url) {
+    const lowerCaseUrl = String(url).toLowerCase();
+    for (const { HandlerClass } of handlers.values()) {
+        const matches = HandlerClass.urlPatterns.some(pattern =>
+            pattern instanceof RegExp ? pattern.test(url) : lowerCaseUrl.includes(pattern.toLowerCase()));
+        if (matches) return HandlerClass;
+    }
+    return null;
+}
+
+/**
+ * Builds the selectors of every registered platform, with per-key overrides applied
+ * (config.js `selectors`).
+ * @param {object} [overrides={}] - Per-platform selector overrides.
+ * @returns {object} platformKey -> selectors
+ */
+function resolveSelectors(overrides = {}) {
+    const selectors = {};
+    for (const [platformKey, { HandlerClass }] of handlers) {
+        selectors[platformKey] = { ...HandlerClass.selectors, ...(overrides[platformKey] || {}) };
+    }
+    for (const [platformKey, platformSelectors] of Object.entries(overrides)) {
+        if (!selectors[platformKey]) selectors[platformKey] = { ...platformSelectors };
+    }
+    return selectors;
+}
+
+registerHandler(GeminiHandler);
+registerHandler(ChatGptHandler);
+registerHandler(MockHandler);
+registerHandler(OpenAiApiHandler);
+registerHandler(GeminiApiHandler);
+await registerPlatformConfig(GENERIC_MOCK_PLATFORM, 'built-in');
+
+export default {
+    registerHandler,
+    loadPlugins,
+    platformKeys,
+    getHandlerClass,
+    detectHandlerClass,
+    resolveSelectors,
+};
@@ -0,0 +1,220 @@
+// src/core/image_downloader.js
+import fs from 'fs/promises';
+import path from 'path';
+
+// Maps response content types to the file extension used for saved outputs
+const CONTENT_TYPE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/jpg': '.jpg',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'image/avif': '.avif',
+};
+const DEFAULT_EXTENSION = '.png';
+
+/**
+ * Collects the best available source URL for every image matching `imageSelector`
+ * inside a response container. Prefers the largest `srcset` candidate, then `currentSrc`, then `src`.
+ * @param {import('puppeteer').ElementHandle} containerHandle - The response block to search in.
+ * @param {string} imageSelector - Selector for generated images within the block.
+ * @returns {Promise<{src: string, elementIndex: number}[]>} De-duplicated image URLs (may include blob: and data: URLs)
+ * with the index of the element they were taken from.
+ */
+async function collectImageSources(containerHandle, imageSelector) {
+    return containerHandle.evaluate((el, selector) => {
+        const sources = [];
+        for (const [elementIndex, img] of [...el.querySelectorAll(selector)].entries()) {
+            let best = null;
+            let bestWidth = 0;
+            const srcset = img.getAttribute('srcset');
+            if (srcset) {
+                for (const candidate of srcset.split(',')) {
+                    const [url, descriptor] = candidate.trim().split(/\s+/);
+                    const width = parseInt(descriptor, 10) || 0;
+                    if (url && width >= bestWidth) {
+                        best = url;
+                        bestWidth = width;
+                    }
+                }
+            }
+            const src = best || img.currentSrc || img.src;
+            if (src && !sources.some(source => source.src === src)) sources.push({src, elementIndex});
+        }
+        return sources;
+    }, imageSelector);
+}
+
+/**
+ * Captured images whose URL an image in the response block shows (its `src`, `currentSrc` or
+ * any `srcset` candidate). Only these count as the block's generated images: other captures
+ * since the submit may be the uploaded source image, avatars or previews of another turn.
+ * @param {import('puppeteer').Page} page - The Puppeteer page object.
+ * @param {import('puppeteer').ElementHandle|null} containerHandle - The response block, if found.
+ * @param {{url: string, buffer: Buffer, contentType: string}[]} capturedImages - Images captured since the submit.
+ * @returns {Promise<{url: string, buffer: Buffer, contentType: string}[]>}
+ */
+async function capturesShownIn(page, containerHandle, capturedImages) {
+    if (!containerHandle || capturedImages.length === 0) return [];
+    const urls = await containerHandle.evaluate(el => [...el.querySelectorAll('img')].flatMap(img => [
+        img.getAttribute('src'), img.currentSrc,
+        ...(img.getAttribute('srcset') || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0]),
+    ]).filter(Boolean)).catch(() => []);
+    // srcset candidates may be relative; captured response URLs are absolute
+    const shownUrls = new Set(urls.map(src => (URL.canParse(src, page.url()) ? new URL(src, page.url()).href : src)));
+    return capturedImages.filter(image => shownUrls.has(image.url));
+}
+
+/**
+ * Fetches an image from inside the page so the browser's session cookies apply.
+ * @param {import('puppeteer').Page} page - The Puppeteer page object.
+ * @param {string} src - Image URL to fetch.
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function fetchImageInPage(page, src) {
+    const result = await page.evaluate(async (url) => {
+        const response = await fetch(url, {credentials: 'include'});
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        const blob = await response.blob();
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        return {contentType: blob.type, base64: dataUrl.slice(dataUrl.indexOf(',') + 1)};
+    }, src);
+    return {buffer: Buffer.from(result.base64, 'base64'), contentType: result.contentType};
+}
+
+/**
+ * Builds the next free output path of the form `<source>_<platform>_<n><ext>` in outputDir.
+ * Existing files are never overwritten, so repeated runs keep earlier results.
+ * @param {string} outputDir - Directory to write into.
+ * @param {string} sourceImagePath - Path of the image that was uploaded.
+ * @param {string} platformKey - Platform key (e.g. 'chatgpt').
+ * @param {string} extension - File extension including the dot.
+ * @returns {Promise<string>} Absolute path that does not exist yet.
+ */
+async function nextOutputPath(outputDir, sourceImagePath, platformKey, extension) {
+    const sourceName = path.basename(sourceImagePath, path.extname(sourceImagePath));
+    for (let n = 1; ; n++) {
+        const candidate = path.resolve(outputDir, `${sourceName}_${platformKey}_${n}${extension}`);
+        try {
+            await fs.access(candidate);
+        } catch {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Downloads every generated image found in a response block and writes it to outputDir.
+ * Falls back to an element screenshot when the original bytes cannot be fetched.
+ * @param {import('puppeteer').Page} page - The Puppeteer page object.
+ * @param {import('puppeteer').ElementHandle} containerHandle - The response block holding the images.
+ * @param {string} imageSelector - Selector for generated images within the block.
+ * @param {string} sourceImagePath - Path of the source image the response belongs to.
+ * @param {string} platformKey - Platform key used in the output file name.
+ * @param {object} options - Application options (uses outputDir).
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<string[]>} Absolute paths of the saved files (empty if nothing could be saved).
+ */
+async function saveImagesFromElement(page, containerHandle, imageSelector, sourceImagePath, platformKey, options, logger) {
+    const outputDir = options.outputDir || '.';
+    const savedPaths = [];
+    let sources = [];
+    try {
+        sources = await collectImageSources(containerHandle, imageSelector);
+    } catch (error) {
+        logger.error(`Could not collect generated image sources: ${error.message}`);
+        return savedPaths;
+    }
+    logger.info(`Found ${sources.length} generated image source(s) to save for ${path.basename(sourceImagePath)}.`);
+    await fs.mkdir(outputDir, {recursive: true});
+
+    for (const [index, {src, elementIndex}] of sources.entries()) {
+        try {
+            const {buffer, contentType} = await fetchImageInPage(page, src);
+            const extension = CONTENT_TYPE_EXTENSIONS[contentType?.toLowerCase()] || DEFAULT_EXTENSION;
+            const outputPath = await nextOutputPath(outputDir, sourceImagePath, platformKey, extension);
+            await fs.writeFile(outputPath, buffer);
+            logger.info(`Saved generated image (${contentType || 'unknown type'}, ${buffer.length} bytes) to ${outputPath}`);
+            savedPaths.push(outputPath);
+        } catch (fetchError) {
+            logger.warn(`Could not download generated image #${index + 1} (${src.slice(0, 100)}): ${fetchError.message}. Falling back to element screenshot.`);
+            try {
+                const images = await containerHandle.$$(imageSelector);
+                const imageHandle = images[elementIndex];
+                if (!imageHandle) throw new Error('Image element no longer present.');
+                const outputPath = await nextOutputPath(outputDir, sourceImagePath, platformKey, DEFAULT_EXTENSION);
+                await imageHandle.screenshot({path: outputPath});
+                logger.info(`Saved screenshot of generated image to ${outputPath}`);
+                savedPaths.push(outputPath);
+            } catch (ssError) {
+                logger.error(`Failed to save generated image #${index + 1} for ${path.basename(sourceImagePath)}: ${ssError.message}`);
+            }
+        }
+    }
+    return savedPaths;
+}
+
+/**
+ * Saves image bytes received directly (e.g. from an image API) as the next output file of a source image.
+ * @param {{buffer: Buffer, contentType?: string}} image - Image bytes and their content type.
+ * @param {string} sourceImagePath - Path of the image that was submitted.
+ * @param {string} platformKey - Platform key used in the file name.
+ * @param {object} options - Options containing outputDir.
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<string>} Absolute path of the saved file.
+ */
+async function saveImageBuffer(image, sourceImagePath, platformKey, options, logger) {
+    const outputDir = options.outputDir || '.';
+    await fs.mkdir(outputDir, {recursive: true});
+    const extension = CONTENT_TYPE_EXTENSIONS[image.contentType?.toLowerCase()] || DEFAULT_EXTENSION;
+    const outputPath = await nextOutputPath(outputDir, sourceImagePath, platformKey, extension);
+    await fs.writeFile(outputPath, image.buffer);
+    logger.info(`Saved generated image (${image.contentType || 'unknown type'}, ${image.buffer.length} bytes) to ${outputPath}`);
+    return outputPath;
+}
+
+/**
+ * Saves the generated images of a response: the original bytes captured from the network for
+ * the images the block shows (see capturesShownIn), otherwise the images found in the block.
+ * Captures the block does not show are never saved.
+ * @param {import('puppeteer').Page} page - The Puppeteer page object.
+ * @param {import('puppeteer').ElementHandle|null} containerHandle - The response block, if found.
+ * @param {string} imageSelector - Selector for generated images within the block.
+ * @param {{url: string, buffer: Buffer, contentType: string}[]} capturedImages - Images captured for this response.
+ * @param {string} sourceImagePath - Path of the source image the response belongs to.
+ * @param {string} platformKey - Platform key used in the output file name.
+ * @param {object} options - Application options (uses outputDir).
+ * @param {object} logger - Logger instance.
+ * @returns {Promise<string[]>} Absolute paths of the saved files.
+ */
+async function saveGeneratedImages(page, containerHandle, imageSelector, capturedImages, sourceImagePath, platformKey, options, logger) {
+    if (!containerHandle) return [];
+    const images = await capturesShownIn(page, containerHandle, capturedImages);
+    if (images.length === 0) {
+        if (capturedImages.length > 0) logger.info(`None of the ${capturedImages.length} image(s) captured from the network is shown in the response block; saving the block's images.`);
+        return saveImagesFromElement(page, containerHandle, imageSelector, sourceImagePath, platformKey, options, logger);
+    }
+    logger.info(`Saving ${images.length} generated image(s) captured from the network for ${path.basename(sourceImagePath)}.`);
+    const savedPaths = [];
+    for (const image of images) {
+        try {
+            savedPaths.push(await saveImageBuffer(image, sourceImagePath, platformKey, options, logger));
+        } catch (error) {
+            logger.error(`Failed to save captured image ${image.url.slice(0, 100)}: ${error.message}`);
+        }
+    }
+    return savedPaths;
+}
+
+export default {
+    capturesShownIn,
+    saveImagesFromElement,
+    saveGeneratedImages,
+    saveImageBuffer,
+    nextOutputPath,
+};
@@ -0,0 +1,71 @@
+// src/core/job_queue.js
+
+/**
+ * The image/prompt submissions of a run, shared by every worker (browser page or API slot)
+ * that processes them: a free worker takes the next image it may process. An image's
+ * submissions are handed out together, so only one worker at a time writes an image's metadata.
+ *
+ * Entries are `{imagePath, job, index, total, profiles}`: the prompt job ({id, template}), the
+ * image's 1-based position in its input folder of `total` images, and the profiles that may
+ * process it (null: any profile; see --mapping).
+ */
+class JobQueue {
+    /**
+     * @param {object[]} [entries=[]] - Submissions in processing order.
+     */
+    constructor(entries = []) {
+        this.entries = [...entries];
+    }
+
+    /**
+     * Builds the entries of a folder: every prompt for every image.
+     * @param {string[]} imagePaths - Images of the folder, in order.
+     * @param {{id: string|null, template: string}[]} prompts - Prompt jobs.
+     * @param {string[]|null} [profiles=null] - Profiles that may process the folder (null: any).
+     * @returns {object[]}
+     */
+    static entriesFor(imagePaths, prompts, profiles = null) {
+        return imagePaths.flatMap((imagePath, position) =>
+            prompts.map(job => ({ imagePath, job, index: position + 1, total: imagePaths.length, profiles })));
+    }
+
+    /** Number of submissions waiting. */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Takes the waiting submissions of the next image a worker accepts.
+     * @param {function(object): boolean} [accepts] - Whether the worker may process an entry.
+     * @returns {object[]|null} Its entries, or null when nothing is left for the worker.
+     */
+    takeImage(accepts = () => true) {
+        const start = this.entries.findIndex(accepts);
+        if (start === -1) return null;
+        const { imagePath } = this.entries[start];
+        let end = start + 1;
+        while (end < this.entries.length && this.entries[end].imagePath === imagePath) end++;
+        return this.entries.splice(start, end - start);
+    }
+
+    /**
+     * The part of the queue a worker may take, e.g. the folders mapped to its profile.
+     * @param {function(object): boolean} accepts - Whether the worker may process an entry.
+     * @returns {{size: number, takeImage: function(): object[]|null, requeue: function(object[]): void}}
+     */
+    filtered(accepts) {
+        const queue = this;
+        return {
+            get size() { return queue.entries.filter(accepts).length; },
+            takeImage: () => queue.takeImage(accepts),
+            requeue: entries => queue.requeue(entries),
+        };
+    }
+
+    /** Puts submissions back at the front, e.g. those a usage limit stopped. */
+    requeue(entries) {
+        this.entries.unshift(...entries);
+    }
+}
+
+export default JobQueue;
@@ -0,0 +1,115 @@
+// src/core/login_state.js
+import fs from 'fs/promises';
+import path from 'path';
+
+/** File in a Chrome user data directory recording the login state of the profile per platform. */
+export const SESSION_STATE_FILE = 'imagefromimage-session.json';
+
+/**
+ * URLs of login and auth pages a logged-out profile is redirected to (strings match
+ * case-insensitively anywhere, RegExps as written). Handlers may replace them with
+ * `static login = { urlPatterns }`.
+ */
+export const DEFAULT_LOGIN_URL_PATTERNS = Object.freeze([
+    /\/(?:auth|login|log-in|signin|sign-in)(?:[/?#]|$)/i,
+    'accounts.google.com',
+    'auth.openai.com',
+    'auth0.openai.com',
+]);
+
+/**
+ * Error thrown by services when the platform shows its logged-out state. The profile's session
+ * expired: the image was not judged and no further image can be submitted with the profile.
+ */
+export class LoginRequiredError extends Error {
+    /**
+     * @param {{message: string, url: string|null, platform: string}} loginRequired - What was seen, where.
+     */
+    constructor(loginRequired) {
+        super(`Login required: ${loginRequired.message}`);
+        this.name = 'LoginRequiredError';
+        this.loginRequired = loginRequired;
+    }
+}
+
+/** Whether a URL matches a pattern (RegExp, or a case-insensitive substring). */
+function matchesPattern(url, pattern) {
+    return pattern instanceof RegExp ? pattern.test(url) : url.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Recognizes the logged-out state of a platform page: a URL of a login page, or a visible
+ * `loginIndicator` element (optional selector key, e.g. the "Log in" button).
+ */
+class LoginDetector {
+    /**
+     * @param {import('./selector_profile.js').default} selectorSet - The platform's selectors.
+     * @param {object} logger - Logger instance.
+     * @param {object} [settings={}] - `urlPatterns` (defaults to DEFAULT_LOGIN_URL_PATTERNS).
+     */
+    constructor(selectorSet, logger, settings = {}) {
+        this.selectorSet = selectorSet;
+        this.logger = logger;
+        this.urlPatterns = settings.urlPatterns || DEFAULT_LOGIN_URL_PATTERNS;
+    }
+
+    /**
+     * Checks the page for the logged-out state.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @returns {Promise<{message: string, url: string|null, platform: string}|null>}
+     */
+    async check(page) {
+        let url = null;
+        try {
+            url = page.url();
+        } catch {
+            return null; // Closed page: nothing to judge
+        }
+        const platform = this.selectorSet.platformKey;
+        if (url && this.urlPatterns.some(pattern => matchesPattern(url, pattern))) {
+            return { message: `redirected to a login page (${url})`, url, platform };
+        }
+        if (this.selectorSet.alternatives('loginIndicator').length > 0) {
+            try {
+                const shown = await page.evaluate(selector =>
+                    [...document.querySelectorAll(selector)].some(el => el.getClientRects().length > 0), this.selectorSet.list('loginIndicator'));
+                if (shown) return { message: 'the page shows its login button', url, platform };
+            } catch (error) {
+                this.logger.debug(`Could not check the login indicator: ${error.message}`);
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Reads the login state recorded for a profile: `{ <platform>: {status, verifiedAt, ...} }`.
+ * @param {string} profilePath - Chrome user data directory.
+ * @returns {Promise<object>} The platforms' states (empty if nothing was recorded).
+ */
+export async function readSessionState(profilePath) {
+    try {
+        const parsed = JSON.parse(await fs.readFile(path.join(profilePath, SESSION_STATE_FILE), 'utf8'));
+        return parsed?.platforms && typeof parsed.platforms === 'object' ? parsed.platforms : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Records the login state of a profile for a platform, e.g. `{status: 'verified', verifiedAt}`
+ * after the `login` command or `{status: 'needs-login', detectedAt, message}` when a run found
+ * the profile logged out. The states of other platforms are kept.
+ * @param {string} profilePath - Chrome user data directory.
+ * @param {string} platformKey - Platform the state belongs to.
+ * @param {object} state - The platform's new state.
+ * @returns {Promise<void>}
+ */
+export async function recordSessionState(profilePath, platformKey, state) {
+    const platforms = await readSessionState(profilePath);
+    platforms[platformKey] = state;
+    await fs.mkdir(profilePath, { recursive: true });
+    await fs.writeFile(path.join(profilePath, SESSION_STATE_FILE), `${JSON.stringify({ platforms }, null, 2)}\n`);
+}
+
+export default LoginDetector;
@@ -0,0 +1,123 @@
+// src/core/network_image_capture.js
+
+/**
+ * Default capture settings; handlers declare theirs with `static imageResponses`.
+ * - `urlPatterns`: substrings (case-insensitive) or RegExps an image response URL must match.
+ *   Without patterns nothing is captured and images are taken from the DOM only.
+ * - `minBytes`: smaller image responses (icons, avatars, thumbnails) are ignored.
+ */
+export const DEFAULT_CAPTURE_SETTINGS = Object.freeze({
+    urlPatterns: [],
+    minBytes: 0,
+});
+
+/**
+ * Records the platform's generated-image responses from the network (`page.on('response')`),
+ * so the original bytes can be saved even when the page only shows a scaled, blurred or
+ * lazy-loaded preview. Responses are attributed to the latest submission: `markSubmitted`
+ * starts a new capture window and `take` returns what arrived since. `close` ends the window
+ * before the next image is uploaded; image URLs loaded while it is closed (the upload's
+ * previews) are never captured, not even when a later window loads them again.
+ */
+class NetworkImageCapture {
+    /**
+     * @param {object} logger - Logger instance.
+     * @param {object} [settings] - See DEFAULT_CAPTURE_SETTINGS.
+     */
+    constructor(logger, settings = {}) {
+        this.logger = logger;
+        this.settings = { ...DEFAULT_CAPTURE_SETTINGS, ...settings };
+        this.page = null;
+        this.pending = []; // Promises of {url, buffer, contentType} (null when skipped) in the current window
+        this.open = false; // Whether responses belong to a submission (between markSubmitted and close)
+        this.uploadUrls = new Set(); // Image URLs loaded while the window was closed
+        this.onResponse = response => {
+            if (this.open) this.pending.push(this.read(response));
+            else if (this.isImageResponse(response)) this.uploadUrls.add(response.url());
+        };
+    }
+
+    /** True when the platform declares which responses carry generated images. */
+    get enabled() {
+        return this.settings.urlPatterns.length > 0;
+    }
+
+    /** Listens to `page`, moving the listener over if the handler switched pages. */
+    attach(page) {
+        if (!this.enabled || page === this.page) return;
+        this.detach();
+        this.page = page;
+        page.on('response', this.onResponse);
+    }
+
+    /** Stops listening. */
+    detach() {
+        this.page?.off('response', this.onResponse);
+        this.page = null;
+    }
+
+    /** Starts the capture window of a new submission, discarding anything captured before. */
+    markSubmitted(page) {
+        this.attach(page);
+        this.pending = [];
+        this.open = true;
+    }
+
+    /**
+     * Ends the capture window, e.g. before the next image is uploaded: later responses belong
+     * to no submission. What was captured so far stays available to `take`.
+     * @param {import('puppeteer').Page} [page] - Page to listen to from now on, so the upload's image URLs are known.
+     */
+    close(page) {
+        if (page) this.attach(page);
+        this.open = false;
+    }
+
+    /** Whether a URL is one of the platform's image asset URLs. */
+    matches(url) {
+        const lowerCaseUrl = url.toLowerCase();
+        return this.settings.urlPatterns.some(pattern =>
+            pattern instanceof RegExp ? pattern.test(url) : lowerCaseUrl.includes(String(pattern).toLowerCase()));
+    }
+
+    /** Whether a response is an image from one of the platform's image asset URLs. */
+    isImageResponse(response) {
+        const contentType = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase();
+        return contentType.startsWith('image/') && this.matches(response.url());
+    }
+
+    /** Reads a matching image response's body right away, before the browser evicts it. */
+    async read(response) {
+        const url = response.url();
+        const contentType = (response.headers()['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!this.isImageResponse(response) || this.uploadUrls.has(url)) return null;
+        const status = response.status();
+        if (status < 200 || status >= 300) return null; // Redirects and errors have no image body
+        try {
+            const buffer = await response.buffer();
+            if (buffer.length < this.settings.minBytes) return null;
+            this.logger.debug(`Captured image response (${contentType}, ${buffer.length} bytes): ${url.slice(0, 120)}`);
+            return { url, buffer, contentType };
+        } catch (error) {
+            this.logger.debug(`Could not read image response ${url.slice(0, 120)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the images captured since the last `markSubmitted` (one per URL, the largest if a
+     * URL was loaded more than once) and starts an empty window.
+     * @returns {Promise<{url: string, buffer: Buffer, contentType: string}[]>}
+     */
+    async take() {
+        const results = await Promise.all(this.pending);
+        this.pending = [];
+        const byUrl = new Map();
+        for (const image of results) {
+            if (image && !(byUrl.get(image.url)?.buffer.length >= image.buffer.length)) byUrl.set(image.url, image);
+        }
+        return [...byUrl.values()];
+    }
+}
+
+export default NetworkImageCapture;
@@ -0,0 +1,103 @@
+// src/core/profile_pool.js
+import path from 'path';
+
+/**
+ * The browser profiles (Chrome user data directories, or DevTools endpoints of running browsers)
+ * of a run and their state: in use by a worker, cooling down after the platform reported its
+ * usage limit, or logged out of the platform for the rest of the run. A profile directory can
+ * only be opened by one browser at a time.
+ *
+ * The `null` profile stands for "no dedicated profile" (the default profile, or API platforms
+ * without a browser); it may be used by several workers at once but cools down all the same.
+ */
+class ProfilePool {
+    /**
+     * @param {Array<string|null>} profilePaths - Profile directories of the run.
+     * @param {object} logger - Logger instance.
+     */
+    constructor(profilePaths, logger) {
+        this.logger = logger;
+        this.profiles = new Map();
+        for (const profilePath of profilePaths) this.entry(profilePath);
+    }
+
+    /** Display name of a profile: its directory name, or the host of an endpoint. */
+    static nameOf(profilePath) {
+        if (!profilePath) return 'default';
+        return /^(wss?|https?):\/\//i.test(profilePath) ? new URL(profilePath).host : path.basename(profilePath);
+    }
+
+    /** State of a profile, created on first use. */
+    entry(profilePath) {
+        if (!this.profiles.has(profilePath)) {
+            this.profiles.set(profilePath, { path: profilePath, inUse: false, cooldownUntil: 0, reason: null, loginRequired: null });
+        }
+        return this.profiles.get(profilePath);
+    }
+
+    /**
+     * Marks a profile as in use.
+     * @returns {boolean} False if another worker is using it or it is logged out.
+     */
+    acquire(profilePath) {
+        const profile = this.entry(profilePath);
+        if ((profilePath !== null && profile.inUse) || profile.loginRequired) return false;
+        profile.inUse = profilePath !== null;
+        return true;
+    }
+
+    /** Marks a profile as free again. */
+    release(profilePath) {
+        this.entry(profilePath).inUse = false;
+    }
+
+    /**
+     * Puts a profile in cooldown until the platform's usage limit resets.
+     * @param {string|null} profilePath - Profile that hit the limit.
+     * @param {Date} until - When the limit resets.
+     * @param {string} reason - The platform's message.
+     */
+    coolDown(profilePath, until, reason) {
+        const profile = this.entry(profilePath);
+        profile.cooldownUntil = until.getTime();
+        profile.reason = reason;
+        this.logger.warn(`Profile ${ProfilePool.nameOf(profilePath)} is cooling down until ${until.toLocaleString()}: ${reason}`);
+    }
+
+    /**
+     * Takes a profile out of the run because the platform logged it out: it is not handed out
+     * again until a new run (after the `login` command).
+     * @param {string|null} profilePath - Profile that is logged out.
+     * @param {string} reason - What showed the logged-out state.
+     */
+    requireLogin(profilePath, reason) {
+        this.entry(profilePath).loginRequired = reason;
+        this.logger.error(`Profile ${ProfilePool.nameOf(profilePath)} needs login: ${reason}`);
+    }
+
+    /** Whether a profile was found logged out in this run. */
+    needsLogin(profilePath) {
+        return this.entry(profilePath).loginRequired !== null;
+    }
+
+    /** Milliseconds until a profile's cooldown ends (0 if it is not cooling down). */
+    cooldownRemaining(profilePath) {
+        return Math.max(0, this.entry(profilePath).cooldownUntil - Date.now());
+    }
+
+    /**
+     * Takes a profile that is neither in use, cooling down nor logged out.
+     * @param {function(string): boolean} [accepts] - Whether a profile qualifies, e.g. serves the same folders.
+     * @returns {string|null|undefined} Its path, or undefined if none is available.
+     */
+    acquireAvailable(accepts = () => true) {
+        for (const profile of this.profiles.values()) {
+            if (profile.path === null || profile.inUse || profile.loginRequired || this.cooldownRemaining(profile.path) > 0 || !accepts(profile.path)) continue;
+            profile.inUse = true;
+            return profile.path;
+        }
+        return undefined;
+    }
+}
+
+export default ProfilePool;
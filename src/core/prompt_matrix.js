@@ -0,0 +1,100 @@
+// src/core/prompt_matrix.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const PROMPT_ID_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Derives a stable ID for a prompt without an explicit one, so its counters are found
+ * again on later runs even if the prompt list is reordered.
+ * @param {string} template - Prompt text.
+ * @returns {string} e.g. "p-1a2b3c4d"
+ */
+function promptIdFor(template) {
+    return `p-${crypto.createHash('sha1').update(template).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Parses a prompts file.
+ * - `.json`: an array of prompt strings or `{id, prompt}` objects, or an object mapping id -> prompt.
+ * - anything else: one prompt per line; blank lines and lines starting with `#` are ignored.
+ * @param {string} filePath - Path to the prompts file.
+ * @returns {Promise<{id: string|null, template: string}[]>}
+ * @throws {Error} If the file cannot be read or has an unsupported structure.
+ */
+async function readPromptsFile(filePath) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read prompts file ${filePath}: ${error.message}`);
+    }
+    if (path.extname(filePath).toLowerCase() !== '.json') {
+        return content.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(template => ({ id: null, template }));
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Prompts file ${filePath} is not valid JSON: ${error.message}`);
+    }
+    if (Array.isArray(parsed)) {
+        return parsed.map((entry, index) => {
+            if (typeof entry === 'string') return { id: null, template: entry };
+            if (entry && typeof entry.prompt === 'string') return { id: entry.id ?? null, template: entry.prompt };
+            throw new Error(`Prompts file ${filePath}: entry ${index + 1} must be a string or an {id, prompt} object.`);
+        });
+    }
+    if (parsed && typeof parsed === 'object') {
+        return Object.entries(parsed).map(([id, template]) => {
+            if (typeof template !== 'string') throw new Error(`Prompts file ${filePath}: prompt '${id}' must be a string.`);
+            return { id, template };
+        });
+    }
+    throw new Error(`Prompts file ${filePath} must contain an array or an object of prompts.`);
+}
+
+/**
+ * Builds the list of prompts every image is submitted with, from `--promptsFile` or `--prompt`
+ * (which may be given several times). A single `--prompt` keeps the classic behaviour: its id is
+ * null and the image's top-level counters are used. With several prompts each one gets an id
+ * (explicit, or derived from its text) and its own counters.
+ * @param {object} options - Effective options (prompt, promptsFile).
+ * @returns {Promise<{id: string|null, template: string}[]>}
+ * @throws {Error} If no prompt is given, or ids are invalid or duplicated.
+ */
+async function loadPrompts(options) {
+    let prompts;
+    if (options.promptsFile) {
+        prompts = await readPromptsFile(path.resolve(options.promptsFile));
+    } else {
+        const list = (Array.isArray(options.prompt) ? options.prompt : [options.prompt])
+            .filter(prompt => typeof prompt === 'string' && prompt.trim());
+        if (list.length === 1) return [{ id: null, template: list[0] }];
+        prompts = list.map(template => ({ id: null, template }));
+    }
+    if (prompts.length === 0) throw new Error('No prompts given.');
+
+    const seen = new Set();
+    return prompts.map(({ id, template }) => {
+        const promptId = id === null || id === undefined || id === '' ? promptIdFor(template) : String(id);
+        if (!PROMPT_ID_PATTERN.test(promptId)) {
+            throw new Error(`Invalid prompt id '${promptId}': use letters, digits, '_', '-' and '.' only.`);
+        }
+        if (seen.has(promptId)) {
+            throw new Error(`Duplicate prompt id '${promptId}'${id ? '' : ' (the same prompt text is listed twice)'}.`);
+        }
+        seen.add(promptId);
+        return { id: promptId, template };
+    });
+}
+
+export default {
+    loadPrompts,
+    promptIdFor,
+};
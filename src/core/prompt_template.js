@@ -0,0 +1,108 @@
+// src/core/prompt_template.js
+import path from 'path';
+
+// {name} or {namespace.Tag}; {{ and }} produce literal braces
+const TOKEN_PATTERN = /\{\{|\}\}|\{([A-Za-z][\w-]*(?:\.[A-Za-z][\w:-]*)?)\}/g;
+
+// Variables computed from the image's path and position in its batch
+const PATH_VARIABLES = ['filename', 'basename', 'parentDir', 'index', 'total'];
+// Namespaces resolved from the image's embedded metadata ({exif.ImageDescription}, {iptc.Caption})
+const METADATA_NAMESPACES = ['exif', 'iptc', 'xmp'];
+// Short IPTC names mapped to ExifTool's tag names
+const IPTC_ALIASES = {
+    Caption: 'Caption-Abstract',
+    Description: 'Caption-Abstract',
+    Title: 'ObjectName',
+};
+
+/**
+ * Lists the distinct variable names used in a prompt template.
+ * @param {string} template - Prompt template, e.g. "Render {filename} as ...".
+ * @returns {string[]}
+ */
+function listVariables(template) {
+    const names = new Set();
+    for (const match of String(template ?? '').matchAll(TOKEN_PATTERN)) {
+        if (match[1]) names.add(match[1]);
+    }
+    return [...names];
+}
+
+/**
+ * Returns the template's variables that are not known at all (typos), as opposed to known
+ * variables that merely have no value for some image.
+ * @param {string} template - Prompt template.
+ * @param {object} options - Effective options (counter names come from exifSuccessKey/exifFailedKey).
+ * @returns {string[]}
+ */
+function findUnknownVariables(template, options) {
+    const counterNames = [options.exifSuccessKey, options.exifFailedKey];
+    return listVariables(template).filter(name => {
+        const [namespace, tag] = name.split('.');
+        if (tag) return !METADATA_NAMESPACES.includes(namespace);
+        return !PATH_VARIABLES.includes(name) && !counterNames.includes(name);
+    });
+}
+
+/** True if the template reads embedded metadata, i.e. tags must be loaded for each image. */
+function needsMetadata(template) {
+    return listVariables(template).some(name => name.includes('.'));
+}
+
+/** Converts an ExifTool tag value into prompt text. */
+function formatValue(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (Array.isArray(value)) return value.length > 0 ? value.map(formatValue).join(', ') : null;
+    if (typeof value === 'object') return value.rawValue ?? value.toString();
+    return String(value).trim() || null;
+}
+
+/**
+ * Resolves one variable for an image.
+ * @param {string} name - Variable name without braces.
+ * @param {{imagePath: string, index: number, total: number, appData: object|null, tags: object|null}} context
+ * @returns {string|null} The value, or null if the image has none.
+ */
+function resolveVariable(name, context) {
+    const { imagePath } = context;
+    const [namespace, tag] = name.split('.');
+    if (tag) {
+        const tagName = namespace === 'iptc' ? (IPTC_ALIASES[tag] || tag) : tag;
+        return formatValue(context.tags?.[tagName]);
+    }
+    switch (name) {
+        case 'filename': return path.basename(imagePath);
+        case 'basename': return path.basename(imagePath, path.extname(imagePath));
+        case 'parentDir': return path.basename(path.dirname(imagePath));
+        case 'index': return String(context.index);
+        case 'total': return String(context.total);
+        default: return String(context.appData?.[name] ?? 0); // success/failed counters
+    }
+}
+
+/**
+ * Renders a prompt template for one image. Variables without a value become empty text.
+ * @param {string} template - Prompt template.
+ * @param {{imagePath: string, index: number, total: number, appData: object|null, tags: object|null}} context
+ * @returns {{prompt: string, unresolved: string[]}} The prompt and the variables that had no value.
+ */
+function renderPrompt(template, context) {
+    const unresolved = new Set();
+    const prompt = String(template ?? '').replace(TOKEN_PATTERN, (token, name) => {
+        if (!name) return token[0]; // Escaped brace
+        const value = resolveVariable(name, context);
+        if (value === null) {
+            unresolved.add(name);
+            return '';
+        }
+        return value;
+    }).trim();
+    return { prompt, unresolved: [...unresolved] };
+}
+
+export default {
+    listVariables,
+    findUnknownVariables,
+    needsMetadata,
+    renderPrompt,
+};
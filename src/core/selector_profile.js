@@ -0,0 +1,262 @@
+// src/core/selector_profile.js
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+
+/**
+ * Ordered alternatives of a selector value: a string is a single alternative, an array
+ * lists alternatives to try in turn.
+ * @param {string|string[]|undefined} value - Selector value from the config or a selector profile.
+ * @returns {string[]}
+ */
+export function alternativesOf(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value.flat(Infinity) : [value]).filter(Boolean).map(String);
+}
+
+/**
+ * Joins every alternative of one or more selector values into a CSS selector list that matches
+ * any of them, for in-page code and checks where the order does not matter.
+ * @param {string|Array<string|string[]>} value
+ * @returns {string}
+ */
+export function selectorList(value) {
+    return alternativesOf(value).join(', ');
+}
+
+/** Wraps a timeout so it names the logical selector and its alternatives. */
+function selectorTimeoutError(label, candidates, timeout) {
+    const error = new Error(`Waiting for selector ${label} (${candidates.join(' | ')}) failed: ${timeout}ms exceeded`);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+/**
+ * Waits for the first of several alternative selectors, trying them in order on every poll.
+ * A single alternative behaves exactly like `page.waitForSelector`.
+ * @param {import('puppeteer').Page} page - Page to search.
+ * @param {string[]} alternatives - Alternatives, most preferred first.
+ * @param {object} [options]
+ * @param {boolean} [options.visible=false] - Require a visible element.
+ * @param {boolean} [options.hidden=false] - Wait until no alternative matches a visible element instead.
+ * @param {number} [options.timeout=30000] - Timeout (ms).
+ * @param {string} [options.suffix=''] - Appended to each alternative, e.g. ':not([disabled])'.
+ * @param {string} [options.label] - Name used in timeout errors.
+ * @returns {Promise<{element: import('puppeteer').ElementHandle|null, index: number, selector: string|null}>}
+ * The element and which alternative matched (index -1 and no element for `hidden` waits).
+ */
+export async function waitForAlternatives(page, alternatives, options = {}) {
+    const { visible = false, hidden = false, timeout = 30000, suffix = '', label } = options;
+    const candidates = alternatives.map(selector => `${selector}${suffix}`);
+    if (candidates.length === 0) throw new Error(`No selector configured for ${label || 'element'}.`);
+
+    if (candidates.length === 1) {
+        const element = await page.waitForSelector(candidates[0], { visible, hidden, timeout });
+        return { element: hidden ? null : element, index: hidden ? -1 : 0, selector: hidden ? null : candidates[0] };
+    }
+
+    try {
+        if (hidden) {
+            await page.waitForFunction((selectors) => {
+                const isVisible = el => {
+                    const style = getComputedStyle(el);
+                    const rect = el.getBoundingClientRect();
+                    return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+                };
+                return selectors.every(selector => ![...document.querySelectorAll(selector)].some(isVisible));
+            }, { timeout, polling: 500 }, candidates);
+            return { element: null, index: -1, selector: null };
+        }
+
+        const match = await page.waitForFunction((selectors, mustBeVisible) => {
+            const isVisible = el => {
+                const style = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return style.visibility !== 'hidden' && style.display !== 'none' && rect.width > 0 && rect.height > 0;
+            };
+            for (const [index, selector] of selectors.entries()) {
+                const element = [...document.querySelectorAll(selector)].find(el => !mustBeVisible || isVisible(el));
+                if (element) return [index, element];
+            }
+            return false;
+        }, { timeout, polling: 250 }, candidates, visible);
+        const index = await (await match.getProperty('0')).jsonValue();
+        const element = (await match.getProperty('1')).asElement();
+        await match.dispose();
+        return { element, index, selector: candidates[index] };
+    } catch (error) {
+        if (error.name === 'TimeoutError') throw selectorTimeoutError(label || 'element', candidates, timeout);
+        throw error;
+    }
+}
+
+/**
+ * Reads a selector profile: a JSON or YAML file with a `version`, an optional `date` and
+ * per-platform selectors, e.g.
+ * `{ "version": "2025.06.1", "date": "2025-06-12", "platforms": { "chatgpt": { "submitButton": ["...", "..."] } } }`.
+ * @param {string} filePath - Path to the profile (.json, .yaml or .yml).
+ * @returns {Promise<{version: string, date: string|null, platforms: object, filePath: string}>}
+ * @throws {Error} If the file cannot be read or is not a valid selector profile.
+ */
+export async function loadSelectorProfile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    let content;
+    try {
+        content = await fs.readFile(absolutePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read selector profile ${absolutePath}: ${error.message}`);
+    }
+
+    let profile;
+    try {
+        const extension = path.extname(absolutePath).toLowerCase();
+        profile = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Selector profile ${absolutePath} could not be parsed: ${error.message}`);
+    }
+
+    if (!profile || typeof profile !== 'object') throw new Error(`Selector profile ${absolutePath} must contain an object.`);
+    if (profile.version === undefined || profile.version === null || profile.version === '') {
+        throw new Error(`Selector profile ${absolutePath} has no 'version'.`);
+    }
+    if (profile.date !== undefined && Number.isNaN(new Date(profile.date).getTime())) {
+        throw new Error(`Selector profile ${absolutePath} has an invalid 'date': ${profile.date}`);
+    }
+    if (!profile.platforms || typeof profile.platforms !== 'object') {
+        throw new Error(`Selector profile ${absolutePath} has no 'platforms' object.`);
+    }
+    for (const [platformKey, selectors] of Object.entries(profile.platforms)) {
+        if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+            throw new Error(`Selector profile ${absolutePath}: platforms.${platformKey} must be an object of selectors.`);
+        }
+        for (const [key, value] of Object.entries(selectors)) {
+            const valid = typeof value === 'string' || (Array.isArray(value) && value.flat(Infinity).every(item => typeof item === 'string'));
+            if (!valid) {
+                throw new Error(`Selector profile ${absolutePath}: platforms.${platformKey}.${key} must be a selector or a list of alternatives.`);
+            }
+        }
+    }
+
+    const date = profile.date instanceof Date ? profile.date.toISOString().slice(0, 10) : (profile.date ?? null);
+    return { version: String(profile.version), date: date === null ? null : String(date), platforms: profile.platforms, filePath: absolutePath };
+}
+
+/**
+ * Overlays a selector profile on the built-in selectors. Keys in the profile replace the
+ * built-in value; keys it does not mention keep their built-in selectors.
+ * @param {object} baseSelectors - Built-in selectors (config.js `selectors`).
+ * @param {{platforms: object}} profile - Profile from loadSelectorProfile.
+ * @returns {object} New selectors object.
+ */
+export function applySelectorProfile(baseSelectors, profile) {
+    const merged = { ...baseSelectors };
+    for (const [platformKey, selectors] of Object.entries(profile.platforms)) {
+        merged[platformKey] = { ...(baseSelectors[platformKey] || {}), ...selectors };
+    }
+    return merged;
+}
+
+/**
+ * A platform's selectors with fallback chains. Every logical selector (e.g. `submitButton`)
+ * may be one selector or an ordered list of alternatives; lookups try them in turn and log
+ * which alternative matched whenever that changes.
+ */
+class SelectorSet {
+    /**
+     * @param {object} selectors - The platform's selectors (e.g. `options.selectors.chatgpt`).
+     * @param {object} logger - Logger instance.
+     * @param {string} platformKey - Platform name used in log messages.
+     */
+    constructor(selectors, logger, platformKey) {
+        this.selectors = selectors || {};
+        this.logger = logger;
+        this.platformKey = platformKey;
+        this.matched = new Map(); // key -> index of the alternative that matched last
+    }
+
+    /** Ordered alternatives of a logical selector. */
+    alternatives(key) {
+        return alternativesOf(this.selectors[key]);
+    }
+
+    /** All alternatives of a logical selector as one CSS selector list. */
+    list(key) {
+        return selectorList(this.selectors[key]);
+    }
+
+    /** Logs the alternative that matched when it differs from the previous match. */
+    noteMatch(key, index, selector) {
+        if (index < 0 || this.matched.get(key) === index) return;
+        this.matched.set(key, index);
+        const entry = key.match(/^(\w+)\[(\d+)\]$/); // Entry of a selector list, e.g. readySelectors[1]
+        const total = alternativesOf(entry ? this.selectors[entry[1]]?.[Number(entry[2])] : this.selectors[key]).length;
+        if (index > 0) {
+            this.logger.info(`Selector ${this.platformKey}.${key}: using fallback alternative ${index + 1}/${total}: ${selector}`);
+        } else {
+            this.logger.debug(`Selector ${this.platformKey}.${key}: matched primary alternative${total > 1 ? ` (of ${total})` : ''}: ${selector}`);
+        }
+    }
+
+    /**
+     * Waits for the element of a logical selector, trying its alternatives in order.
+     * @param {import('puppeteer').Page} page - Page to search.
+     * @param {string} key - Logical selector name.
+     * @param {object} [options] - See waitForAlternatives (visible, hidden, timeout, suffix).
+     * @returns {Promise<import('puppeteer').ElementHandle|null>} The element (null for `hidden` waits).
+     */
+    async waitFor(page, key, options = {}) {
+        const { element, index, selector } = await waitForAlternatives(page, this.alternatives(key), {
+            ...options, label: `${this.platformKey}.${key}`,
+        });
+        this.noteMatch(key, index, selector);
+        return element;
+    }
+
+    /**
+     * Waits for every entry of a selector list such as `readySelectors`, where each entry is
+     * a selector or an ordered list of alternatives.
+     * @param {import('puppeteer').Page} page - Page to search.
+     * @param {string} key - Name of the selector list.
+     * @param {object} [options] - See waitForAlternatives (visible, timeout).
+     * @returns {Promise<void>}
+     */
+    async waitForAll(page, key, options = {}) {
+        const entries = Array.isArray(this.selectors[key]) ? this.selectors[key] : alternativesOf(this.selectors[key]);
+        await Promise.all(entries.map(async (entry, position) => {
+            const { index, selector } = await waitForAlternatives(page, alternativesOf(entry), {
+                ...options, label: `${this.platformKey}.${key}[${position}]`,
+            });
+            this.noteMatch(`${key}[${position}]`, index, selector);
+        }));
+    }
+
+    /**
+     * Returns the first alternative of a logical selector that currently matches inside `root`
+     * (a page or element), or the primary alternative if none does.
+     * @param {import('puppeteer').Page|import('puppeteer').ElementHandle} root - Where to search.
+     * @param {string} key - Logical selector name.
+     * @returns {Promise<string>}
+     */
+    async resolve(root, key) {
+        const alternatives = this.alternatives(key);
+        for (const [index, selector] of alternatives.entries()) {
+            if (await root.$(selector)) {
+                this.noteMatch(key, index, selector);
+                return selector;
+            }
+        }
+        return alternatives[0];
+    }
+
+    /**
+     * All elements matching the first alternative of a logical selector that matches anything.
+     * @param {import('puppeteer').Page|import('puppeteer').ElementHandle} root - Where to search.
+     * @param {string} key - Logical selector name.
+     * @returns {Promise<import('puppeteer').ElementHandle[]>}
+     */
+    async queryAll(root, key) {
+        return root.$$(await this.resolve(root, key));
+    }
+}
+
+export default SelectorSet;
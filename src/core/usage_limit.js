@@ -0,0 +1,133 @@
+// src/core/usage_limit.js
+
+/**
+ * Texts announcing that the account hit the platform's usage limit (strings match
+ * case-insensitively anywhere, RegExps as written). Handlers may replace them with
+ * `static usageLimit = { textPatterns }`; config `usageLimitPatterns` adds to them.
+ */
+export const DEFAULT_USAGE_LIMIT_PATTERNS = Object.freeze([
+    /\b(?:hit|reached)\s+(?:the|your|our)\s+(?:[\w-]+\s+){0,4}limit/i, // "You've hit the plus plan limit", "reached the current limit"
+    /\blimit\s+(?:resets|will reset)\b/i,
+    /\busage\s+(?:cap|limit)\b/i,
+    /\btoo many (?:requests|images)\b/i,
+    /\bcan(?:'|’|no)?t (?:create|generate|make) (?:any )?more images\b/i,
+]);
+
+const DURATION_UNITS_MS = { sec: 1000, min: 60000, hr: 3600000, hou: 3600000, day: 86400000 };
+
+/**
+ * Error thrown by services when the platform refuses to work because of a usage limit.
+ * The image was not judged and must not count as failed.
+ */
+export class UsageLimitError extends Error {
+    /**
+     * @param {{message: string, retryAt: string|null}} usageLimit - What the platform said and when it resets.
+     * @param {object|null} [previousOutcome=null] - Pipelined handlers: result of the previous image,
+     * judged before the limit showed up (null if the limit hit that image too).
+     */
+    constructor(usageLimit, previousOutcome = null) {
+        super(`Usage limit reached: ${usageLimit.message}`);
+        this.name = 'UsageLimitError';
+        this.usageLimit = usageLimit;
+        this.previousOutcome = previousOutcome;
+    }
+}
+
+/**
+ * Reads when a limit resets from its message: "in 2 hours and 5 minutes", "at 14:32",
+ * "after 2:30 PM", "tomorrow at 9 AM". Clock times are local and roll over to the next day
+ * when already past.
+ * @param {string} text - Limit message.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {Date|null} Reset time, or null if the message names none.
+ */
+export function parseRetryTime(text, now = new Date()) {
+    if (!text) return null;
+    const relative = text.match(/\bin\s+((?:\d+\s*(?:days?|hours?|hrs?|minutes?|mins?|seconds?|secs?)\b[\s,]*(?:and\s+)?)+)/i);
+    if (relative) {
+        let delayMs = 0;
+        for (const [, amount, unit] of relative[1].matchAll(/(\d+)\s*(sec|min|hr|hou|day)/gi)) {
+            delayMs += Number(amount) * DURATION_UNITS_MS[unit.toLowerCase()];
+        }
+        if (delayMs > 0) return new Date(now.getTime() + delayMs);
+    }
+
+    for (const [, hourText, minuteText, meridiem] of text.matchAll(/\b(?:at|after|until|by)\s+(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?m?\b/gi)) {
+        if (minuteText === undefined && !meridiem) continue; // "at 2 images" is no time
+        let hours = Number(hourText);
+        const minutes = Number(minuteText ?? 0);
+        if (meridiem) {
+            if (hours < 1 || hours > 12) continue;
+            hours = (hours % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) continue;
+        const resetAt = new Date(now);
+        resetAt.setHours(hours, minutes, 0, 0);
+        if (/\btomorrow\b/i.test(text) || resetAt <= now) resetAt.setDate(resetAt.getDate() + 1);
+        return resetAt;
+    }
+    return null;
+}
+
+/** Whether a text matches a pattern (RegExp, or a case-insensitive substring). */
+function matchesPattern(text, pattern) {
+    return pattern instanceof RegExp ? pattern.test(text) : text.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+/**
+ * Recognizes usage-limit messages on a platform page: a visible `usageLimitIndicator` element
+ * (optional selector key, e.g. a banner replacing the composer) or a response without image
+ * whose text matches the limit patterns.
+ */
+class UsageLimitDetector {
+    /**
+     * @param {import('./selector_profile.js').default} selectorSet - The platform's selectors.
+     * @param {object} logger - Logger instance.
+     * @param {object} [settings={}] - `textPatterns` (defaults to DEFAULT_USAGE_LIMIT_PATTERNS).
+     * @param {Array<string|RegExp>} [extraPatterns=[]] - Additional patterns (config `usageLimitPatterns`).
+     */
+    constructor(selectorSet, logger, settings = {}, extraPatterns = []) {
+        this.selectorSet = selectorSet;
+        this.logger = logger;
+        this.textPatterns = [...(settings.textPatterns || DEFAULT_USAGE_LIMIT_PATTERNS), ...extraPatterns];
+    }
+
+    /**
+     * Usage limit announced by a text, e.g. the answer to a prompt that produced no image.
+     * @param {string|null} text - Text to check.
+     * @returns {{message: string, retryAt: string|null}|null}
+     */
+    matchText(text) {
+        if (!text || !this.textPatterns.some(pattern => matchesPattern(text, pattern))) return null;
+        return { message: text.trim().replace(/\s+/g, ' ').slice(0, 300), retryAt: parseRetryTime(text)?.toISOString() ?? null };
+    }
+
+    /**
+     * Checks the page for a usage limit.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {string|null} [responseText=null] - Text of the latest response, if it has no image.
+     * @returns {Promise<{message: string, retryAt: string|null}|null>}
+     */
+    async check(page, responseText = null) {
+        if (this.selectorSet.alternatives('usageLimitIndicator').length > 0) {
+            try {
+                const bannerText = await page.evaluate(selector => {
+                    const banner = [...document.querySelectorAll(selector)].find(el => el.getClientRects().length > 0);
+                    return banner ? (banner.innerText || banner.textContent || '').trim() : null;
+                }, this.selectorSet.list('usageLimitIndicator'));
+                if (bannerText !== null) {
+                    const usageLimit = { message: bannerText.replace(/\s+/g, ' ').slice(0, 300) || 'Usage limit indicator shown.', retryAt: parseRetryTime(bannerText)?.toISOString() ?? null };
+                    this.logger.warn(`Usage limit banner shown: ${usageLimit.message}`);
+                    return usageLimit;
+                }
+            } catch (error) {
+                this.logger.debug(`Could not check the usage limit indicator: ${error.message}`);
+            }
+        }
+        const usageLimit = this.matchText(responseText);
+        if (usageLimit) this.logger.warn(`Response reports a usage limit: ${usageLimit.message}`);
+        return usageLimit;
+    }
+}
+
+export default UsageLimitDetector;
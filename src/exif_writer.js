@@ -1,6 +1,39 @@
 // src/exif_writer.js
-import { ExifTool } from 'exiftool-vendored';
+import { ExifTool, DefaultExiftoolArgs } from 'exiftool-vendored';
+import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ExifTool config defining the XMP-iff namespace used by the 'xmp' and 'sidecar' modes
+const EXIFTOOL_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'exiftool', 'imagefromimage.config');
+const LEGACY_FIELD = 'Make';
+const XMP_FIELD = 'XMP-iff:AppData';
+const IPTC_EXTENSIONS = ['.jpg', '.jpeg', '.tif', '.tiff', '.png'];
+
+/**
+ * Where the app's JSON data is stored. Every mode keeps the same JSON document
+ * ({ "<appName>": { successCount, failedCount, ... } }); only the location differs.
+ * - xmp: custom XMP namespace field (XMP-iff:AppData) inside the image itself.
+ * - sidecar: the same XMP field in a `<name>.xmp` sidecar next to the image; the image is never modified.
+ * - make: legacy mode, JSON in the EXIF `Make` field (overwrites the camera make).
+ */
+const STORAGE_BACKENDS = {
+    xmp: {
+        field: XMP_FIELD,
+        readKey: 'AppData',
+        location: filePath => filePath,
+    },
+    sidecar: {
+        field: XMP_FIELD,
+        readKey: 'AppData',
+        location: filePath => path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.xmp`),
+    },
+    make: {
+        field: LEGACY_FIELD,
+        readKey: LEGACY_FIELD,
+        location: filePath => filePath,
+    },
+};
 
 class ExifWriter {
     constructor(logger, options) {
@@ -8,16 +41,64 @@ class ExifWriter {
         this.appName = options.exifAppName;
         this.successKey = options.exifSuccessKey;
         this.failedKey = options.exifFailedKey;
-        const exiftoolOptions = options.exiftoolPath ? { exiftoolPath: options.exiftoolPath } : {};
+        this.historyLimit = options.provenanceHistoryLimit ?? 20;
+        this.storageMode = options.metadataStorage || 'xmp';
+        this.storage = STORAGE_BACKENDS[this.storageMode];
+        if (!this.storage) {
+            throw new Error(`Unknown metadata storage '${this.storageMode}'. Expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}.`);
+        }
+        const exiftoolOptions = {
+            // Load the XMP-iff namespace definition; -config must precede the stay_open arguments
+            exiftoolArgs: ['-config', EXIFTOOL_CONFIG_PATH, ...DefaultExiftoolArgs],
+        };
+        if (options.exiftoolPath) exiftoolOptions.exiftoolPath = options.exiftoolPath;
         this.exiftool = new ExifTool(exiftoolOptions);
-        this.targetExifField = 'Make'; // This field will have count of successful creation and unsuccessful creation
+        this.targetExifField = this.storage.field; // This field will have count of successful creation and unsuccessful creation
         this.logger.info(`ExifWriter initialized for app '${this.appName}'. Success key: '${this.successKey}', Failed key: '${this.failedKey}'.`);
-        this.logger.info(`Targeting EXIF field: ${this.targetExifField}`);
+        this.logger.info(`Metadata storage: ${this.storageMode} (field: ${this.targetExifField}${this.storageMode === 'sidecar' ? ' in .xmp sidecar files' : ''})`);
         this.logger.debug(`Using ExifTool path: ${this.exiftool.exiftoolPath}`);
     }
 
+    /** Path of the file that holds the app data for an image in the current storage mode. */
+    storageLocation(filePath) {
+        return this.storage.location(filePath);
+    }
+
+    /**
+     * Reads a field and returns our app's nested data if it holds our JSON document.
+     * @param {string} targetPath - File to read (image or sidecar).
+     * @param {string} field - Tag to read.
+     * @param {string} readKey - Key of the tag in ExifTool's result.
+     * @returns {Promise<{appData: object|null, rawValue: string|null}>}
+     * @private
+     */
+    async _readField(targetPath, field, readKey) {
+        const tags = await this.exiftool.read(targetPath, [`-${field}`]);
+        const tagValue = tags?.[readKey];
+        if (!tagValue || typeof tagValue !== 'string') {
+            return { appData: null, rawValue: tagValue ?? null };
+        }
+
+        let parsedData;
+        try {
+            parsedData = JSON.parse(tagValue);
+        } catch (parseError) {
+            // Log only if parsing fails on existing data, ignore for overwrite warning here
+            this.logger.debug(`Data in ${field} of ${path.basename(targetPath)} is not valid JSON: "${tagValue}".`);
+            return { appData: null, rawValue: tagValue };
+        }
+
+        if (parsedData && typeof parsedData === 'object' && parsedData[this.appName]) {
+            this.logger.debug(`Found existing app data in ${field} for ${path.basename(targetPath)}.`);
+            return { appData: parsedData[this.appName], rawValue: tagValue }; // Return only our app's nested data
+        }
+        return { appData: null, rawValue: tagValue };
+    }
+
     /**
-     * Reads the application-specific JSON data from the target EXIF tag.
+     * Reads the application-specific JSON data from the configured storage.
+     * In the xmp/sidecar modes, data left in the legacy `Make` field is used as a fallback
+     * so images processed before switching modes are still recognised.
      * Kept private as it's an internal detail.
      * @param {string} filePath - Absolute path to the image file.
      * @returns {Promise<object|null>} The parsed data object or null on error/not found.
@@ -25,46 +106,62 @@ class ExifWriter {
      */
     async _readAppDataInternal(filePath) {
         // Renamed to avoid conflict if user wants different public read later
+        const targetPath = this.storageLocation(filePath);
         try {
-            const tags = await this.exiftool.read(filePath, [`-${this.targetExifField}`]);
-            const tagValue = tags?.[this.targetExifField];
-
-            if (!tagValue || typeof tagValue !== 'string') {
-                return null;
-            }
-
-            let parsedData;
-            try {
-                parsedData = JSON.parse(tagValue);
-            } catch (parseError) {
-                // Log only if parsing fails on existing data, ignore for overwrite warning here
-                this.logger.debug(`Data in ${this.targetExifField} of ${path.basename(filePath)} is not valid JSON: "${tagValue}".`);
-                return null;
+            // A missing sidecar simply means the image has no data in the new storage yet
+            if (targetPath === filePath || await this._exists(targetPath)) {
+                const { appData } = await this._readField(targetPath, this.storage.field, this.storage.readKey);
+                if (appData) return appData;
             }
-
-            if (parsedData && typeof parsedData === 'object' && parsedData[this.appName]) {
-                this.logger.debug(`Found existing app data in ${this.targetExifField} for ${path.basename(filePath)}.`);
-                return parsedData[this.appName]; // Return only our app's nested data
-            } else {
-                return null;
+            if (this.storageMode !== 'make') {
+                const { appData: legacyData } = await this._readField(filePath, LEGACY_FIELD, LEGACY_FIELD);
+                if (legacyData) {
+                    this.logger.debug(`Using legacy app data from ${LEGACY_FIELD} for ${path.basename(filePath)} (run migrate-metadata to move it).`);
+                    return legacyData;
+                }
             }
-
+            return null;
         } catch (error) {
             // Only log errors not related to file missing (which is handled by Manager checking existence first)
             if (!error.message.includes("File not found")) {
-                this.logger.error(`EXIF Read Error for ${this.targetExifField} in ${path.basename(filePath)}: ${error.message}`);
+                this.logger.error(`EXIF Read Error for ${this.targetExifField} in ${path.basename(targetPath)}: ${error.message}`);
             }
             return null;
         }
     }
 
+    /**
+     * Writes our app's data to the configured storage.
+     * @param {string} filePath - Absolute path to the image file.
+     * @param {object} appData - App data to store under the app name.
+     * @private
+     */
+    async _writeAppData(filePath, appData) {
+        const targetPath = this.storageLocation(filePath);
+        const updateData = {};
+        updateData[this.targetExifField] = JSON.stringify({ [this.appName]: appData });
+        // Creating a new sidecar must not pass -overwrite_original (there is no original yet)
+        const args = (targetPath !== filePath && !(await this._exists(targetPath))) ? [] : ['-overwrite_original'];
+        await this.exiftool.write(targetPath, updateData, args);
+    }
+
+    /** True if the path exists. */
+    async _exists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
     /**
      * Public method to get the application-specific data (including counts).
      * @param {string} filePath - Absolute path to the image file.
      * @returns {Promise<object|null>} Object like { successCount: N, failedCount: M } or null if no data.
      */
     async getAppData(filePath) {
-        this.logger.debug(`Reading app data from ${this.targetExifField} for ${path.basename(filePath)}`);
+        this.logger.debug(`Reading app data from ${this.targetExifField} (${this.storageMode}) for ${path.basename(filePath)}`);
         const appData = await this._readAppDataInternal(filePath);
         // Return the app data directly, or null if not found/error
         return appData;
@@ -72,12 +169,31 @@ class ExifWriter {
 
 
     /**
-     * Increments a success or failure counter in the image's target EXIF tag.
+     * Reads all embedded metadata of an image (EXIF, IPTC, XMP...), e.g. for prompt variables.
+     * @param {string} filePath - Absolute path to the image file.
+     * @returns {Promise<object|null>} ExifTool tags keyed by tag name, or null on error.
+     */
+    async readTags(filePath) {
+        try {
+            return await this.exiftool.read(filePath);
+        } catch (error) {
+            this.logger.warn(`Could not read metadata of ${path.basename(filePath)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Increments a success or failure counter in the image's app data and, if given,
+     * appends the attempt's provenance to the image's `history` (newest last, capped).
+     * With a prompt ID the variant's own counters (`prompts.<id>`) are incremented as well
+     * as the image's totals.
      * @param {string} filePath - Absolute path to the image file.
      * @param {string} keyToIncrement - Either the successKey or failedKey from config.
+     * @param {object|null} [attempt=null] - Provenance of the attempt ({timestamp, platform, prompt, conversationUrl, profile, outcome, outputPaths}).
+     * @param {string|null} [promptId=null] - Prompt variant of a prompt-matrix run.
      * @returns {Promise<boolean>} True if the update was successful, false otherwise.
      */
-    async incrementCounter(filePath, keyToIncrement) {
+    async incrementCounter(filePath, keyToIncrement, attempt = null, promptId = null) {
         if (keyToIncrement !== this.successKey && keyToIncrement !== this.failedKey) {
             this.logger.error(`Invalid key provided to incrementCounter: ${keyToIncrement}`);
             return false;
@@ -85,27 +201,33 @@ class ExifWriter {
 
         this.logger.info(`Attempting to increment '${keyToIncrement}' counter in ${this.targetExifField} for: ${path.basename(filePath)}`);
 
-        // Use the internal reader, default to 0 counts if no data exists
-        let currentAppData = await this._readAppDataInternal(filePath);
-        const defaultData = { [this.successKey]: 0, [this.failedKey]: 0 };
-        currentAppData = { ...defaultData, ...(currentAppData || {}) }; // Merge with defaults
-
-        // Increment the specified counter
-        currentAppData[keyToIncrement]++;
+        try {
+            // Use the internal reader, default to 0 counts if no data exists
+            let currentAppData = await this._readAppDataInternal(filePath);
+            const defaultData = { [this.successKey]: 0, [this.failedKey]: 0 };
 
-        this.logger.debug(`New counts for ${path.basename(filePath)}: Success=${currentAppData[this.successKey]}, Failed=${currentAppData[this.failedKey]}`);
+            // Legacy mode overwrites Make: keep the camera make so migrate-metadata can restore it
+            if (this.storageMode === 'make' && !currentAppData) {
+                const { rawValue } = await this._readField(filePath, LEGACY_FIELD, LEGACY_FIELD);
+                if (rawValue) defaultData.originalMake = String(rawValue);
+            }
+            currentAppData = { ...defaultData, ...(currentAppData || {}) }; // Merge with defaults
 
-        const finalTagData = {
-            [this.appName]: currentAppData,
-        };
-        const jsonString = JSON.stringify(finalTagData);
+            // Increment the specified counter
+            currentAppData[keyToIncrement]++;
+            if (promptId) {
+                const variant = { [this.successKey]: 0, [this.failedKey]: 0, ...(currentAppData.prompts?.[promptId] || {}) };
+                variant[keyToIncrement]++;
+                currentAppData.prompts = { ...(currentAppData.prompts || {}), [promptId]: variant };
+            }
+            if (attempt && this.historyLimit > 0) {
+                currentAppData.history = [...(currentAppData.history || []), attempt].slice(-this.historyLimit);
+            }
 
-        try {
-            const updateData = {};
-            updateData[this.targetExifField] = jsonString;
+            this.logger.debug(`New counts for ${path.basename(filePath)}: Success=${currentAppData[this.successKey]}, Failed=${currentAppData[this.failedKey]}${promptId ? ` (prompt ${promptId}: ${JSON.stringify(currentAppData.prompts[promptId])})` : ''}`);
 
-            await this.exiftool.write(filePath, updateData, ['-overwrite_original']);
-            this.logger.info(`Successfully updated EXIF ${this.targetExifField} for ${path.basename(filePath)}.`);
+            await this._writeAppData(filePath, currentAppData);
+            this.logger.info(`Successfully updated ${this.targetExifField} for ${path.basename(this.storageLocation(filePath))}.`);
             return true;
         } catch (error) {
             this.logger.error(`EXIF Write Error for ${this.targetExifField} in ${path.basename(filePath)}: ${error.message}`, { stack: error.stack });
@@ -113,6 +235,82 @@ class ExifWriter {
         }
     }
 
+    /**
+     * Writes provenance into a generated image so it can be traced back to its source:
+     * standard XMP/IPTC fields for other tools, plus the full record as JSON in XMP-iff:AppData.
+     * @param {string} outputPath - Absolute path to the generated image.
+     * @param {object} provenance - Attempt provenance plus `sourcePath`.
+     * @returns {Promise<boolean>} True if the metadata was written.
+     */
+    async writeOutputProvenance(outputPath, provenance) {
+        const { outputPaths, ...record } = provenance;
+        const tags = {
+            'XMP-dc:Source': provenance.sourcePath,
+            'XMP-xmp:CreatorTool': `${this.appName} (${provenance.platform || 'unknown platform'})`,
+            'XMP-xmp:CreateDate': provenance.timestamp,
+            [XMP_FIELD]: JSON.stringify({ [this.appName]: { provenance: record } }),
+        };
+        if (provenance.prompt) tags['XMP-dc:Description'] = provenance.prompt;
+        if (provenance.conversationUrl) tags['XMP-dc:Relation'] = provenance.conversationUrl;
+        // WebP has no IPTC block; ExifTool stores IPTC in JPEG/TIFF/PNG
+        if (IPTC_EXTENSIONS.includes(path.extname(outputPath).toLowerCase())) {
+            tags['IPTC:CodedCharacterSet'] = 'UTF8'; // Prompts are often not Latin-1
+            tags['IPTC:OriginatingProgram'] = this.appName;
+            if (provenance.prompt) tags['IPTC:Caption-Abstract'] = provenance.prompt;
+        }
+        try {
+            await this.exiftool.write(outputPath, tags, ['-overwrite_original']);
+            this.logger.info(`Wrote provenance metadata to ${path.basename(outputPath)}.`);
+            return true;
+        } catch (error) {
+            this.logger.warn(`Could not write provenance metadata to ${path.basename(outputPath)}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Moves legacy app data out of the EXIF `Make` field into the configured storage and
+     * restores the original `Make` where possible (the `originalMake` saved by legacy mode,
+     * else an XMP copy of the make); otherwise the field is removed.
+     * @param {string} filePath - Absolute path to the image file.
+     * @returns {Promise<'migrated'|'skipped'|'error'>} 'skipped' if Make holds no app data.
+     */
+    async migrateLegacyMake(filePath) {
+        if (this.storageMode === 'make') {
+            throw new Error("Cannot migrate into the legacy 'make' storage. Choose --metadataStorage xmp or sidecar.");
+        }
+        const imageName = path.basename(filePath);
+        try {
+            const { appData: legacyData } = await this._readField(filePath, LEGACY_FIELD, LEGACY_FIELD);
+            if (!legacyData) {
+                this.logger.debug(`No legacy app data in ${LEGACY_FIELD} of ${imageName}.`);
+                return 'skipped';
+            }
+
+            // Data already in the new storage wins: it includes the legacy counts it was merged from
+            const targetPath = this.storageLocation(filePath);
+            let existingData = null;
+            if (targetPath === filePath || await this._exists(targetPath)) {
+                ({ appData: existingData } = await this._readField(targetPath, this.storage.field, this.storage.readKey));
+            }
+            const { originalMake, ...migratedData } = existingData || legacyData;
+            if (existingData) delete migratedData.originalMake;
+            await this._writeAppData(filePath, migratedData);
+
+            let restoredMake = legacyData.originalMake || null;
+            if (!restoredMake) {
+                const xmpTags = await this.exiftool.read(filePath, ['-XMP-tiff:Make']);
+                restoredMake = typeof xmpTags?.Make === 'string' && !xmpTags.Make.includes(this.appName) ? xmpTags.Make : null;
+            }
+            await this.exiftool.write(filePath, { [LEGACY_FIELD]: restoredMake }, ['-overwrite_original']);
+            this.logger.info(`Migrated app data of ${imageName} to ${this.storageMode}; ${LEGACY_FIELD} ${restoredMake ? `restored to '${restoredMake}'` : 'removed (original value unknown)'}.`);
+            return 'migrated';
+        } catch (error) {
+            this.logger.error(`Failed to migrate app data of ${imageName}: ${error.message}`, { stack: error.stack });
+            return 'error';
+        }
+    }
+
     /** Cleans up the ExifTool process. */
     async cleanup() {
         this.logger.info('Shutting down ExifTool process...');
@@ -134,4 +332,4 @@ class ExifWriter {
     }
 }
 
-export default ExifWriter;
\ No newline at end of file
+export default ExifWriter;
@@ -36,7 +36,7 @@ class FileManager {
             throw new Error(`Failed to list subdirectories for path: ${absoluteBasePath}`);
         }
         this.logger.info(`Found ${subdirectories.length} subdirectory(s).`);
-        // Sort alphabetically for consistent pairing
+        // Sort alphabetically for a consistent order
         subdirectories.sort();
         return subdirectories;
     }
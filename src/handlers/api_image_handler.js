@@ -0,0 +1,140 @@
+// src/handlers/api_image_handler.js
+import BaseHandler, {COMPLETION_STRATEGIES} from './base_handler.js';
+import {requestWithRetry} from '../core/api_client.js';
+import {UsageLimitError} from '../core/usage_limit.js';
+import imageDownloader from '../core/image_downloader.js';
+import path from 'path';
+
+/**
+ * Base class for handlers that generate images through an official HTTP API instead of a
+ * browser. They follow the same `processImage` contract as the browser handlers (the page
+ * argument is null), so outcomes, EXIF counters and saved outputs work unchanged.
+ *
+ * Subclasses declare `apiKeyEnv` (environment variables holding the API key, first set one wins)
+ * and implement `generate(imagePath, prompt)`. The API base URL is --url or `defaultUrl`, so a
+ * local stub server can stand in for the real API. API keys are only read from the environment,
+ * never from options, so they cannot end up in logs.
+ */
+class ApiImageHandler extends BaseHandler {
+    static completionStrategy = COMPLETION_STRATEGIES.SYNCHRONOUS;
+    static requiresBrowser = false;
+    /** Environment variables checked for the API key, in order. */
+    static apiKeyEnv = [];
+
+    static missingRequirements(options) {
+        const missing = super.missingRequirements(options);
+        if (this.apiKeyEnv.length > 0 && !this.apiKeyEnv.some(name => process.env[name])) {
+            missing.push(`env ${this.apiKeyEnv.join(' or ')}`);
+        }
+        return missing;
+    }
+
+    constructor(options, logger) {
+        super(options, logger); // Sets this.options, this.logger, this.platformKey
+        if (this.constructor === ApiImageHandler) {
+            throw new Error("Abstract class 'ApiImageHandler' cannot be instantiated directly.");
+        }
+        // Result of the last generate() call, saved by awaitCompletion
+        this.lastGeneration = null;
+    }
+
+    /** The API key from the first configured environment variable that is set. */
+    get apiKey() {
+        const name = this.constructor.apiKeyEnv.find(envName => process.env[envName]);
+        return name ? process.env[name] : null;
+    }
+
+    /** API base URL without a trailing slash. */
+    get baseUrl() {
+        return String(this.targetUrl() || '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Sends a request to the API, retrying rate limits and temporary failures per the api* options.
+     * @param {string} url - Request URL.
+     * @param {object|Function} init - fetch() init, or a function returning a fresh one per attempt.
+     * @returns {Promise<object>} Parsed response body.
+     */
+    async request(url, init) {
+        return requestWithRetry(url, init, {
+            logger: this.logger,
+            maxRetries: this.options.apiMaxRetries ?? 5,
+            maxRetryDelayMs: this.options.apiMaxRetryDelayMs ?? 120000,
+            timeoutMs: this.options.apiTimeoutMs ?? 300000,
+            label: `${this.platformKey} request`,
+            signal: this.abortSignal,
+        });
+    }
+
+    /**
+     * Calls the API for one image. Must be implemented by subclasses.
+     * @param {string} imagePath - Absolute path to the image file.
+     * @param {string} prompt - The text prompt to use.
+     * @returns {Promise<{images: {buffer: Buffer, contentType: string}[], refusal?: string}>}
+     * Generated images, or a refusal reason when the API answered without an image.
+     */
+    async generate(imagePath, prompt) {
+        throw new Error("Method 'generate()' must be implemented by subclasses.");
+    }
+
+    /**
+     * Sends the image and prompt to the API. The API answers in the same request, so the
+     * response is kept for awaitCompletion. Requests the API rejects (e.g. content policy) are
+     * submitted-but-failed images; network failures and exhausted retries fail the submission,
+     * except for rate limits (429), which mean the account's quota is used up for now.
+     * @param {null} page - Unused; API handlers run without a browser.
+     * @param {string} imagePath - Absolute path to the image file.
+     * @param {string} prompt - The text prompt to use.
+     * @returns {Promise<{submitted: boolean, error?: string}>}
+     * @throws {UsageLimitError} If the API still answers 429 after all retries, resetting when its Retry-After says.
+     */
+    async submitImage(page, imagePath, prompt) {
+        const imageName = path.basename(imagePath);
+        this.logger.info(`--- Starting ${this.platformKey} API request for: ${imageName} ---`);
+        this.lastGeneration = null;
+        try {
+            const generation = await this.generate(imagePath, prompt);
+            this.emitPhase('uploaded', imagePath);
+            this.lastGeneration = {imagePath, ...generation};
+            return {submitted: true};
+        } catch (error) {
+            if (error.status === 400) {
+                // The API understood the request and declined it, like a chat refusal
+                this.emitPhase('uploaded', imagePath);
+                this.lastGeneration = {imagePath, images: [], refusal: error.message};
+                return {submitted: true};
+            }
+            if (error.status === 429) throw new UsageLimitError({message: error.message, retryAt: error.retryAt ?? null});
+            if (this.abortSignal?.aborted) return {submitted: false, error: error.message}; // Given up on at shutdown
+            this.logger.error(`!!! ${this.constructor.name} failed for ${imageName}: ${error.message}`);
+            return {submitted: false, error: error.message};
+        }
+    }
+
+    /**
+     * Saves the images returned for the submitted image.
+     * @param {null} page - Unused; API handlers run without a browser.
+     * @param {string} imagePath - Absolute path to the submitted image file.
+     * @returns {Promise<{success: boolean, outputPaths: string[], error?: string}>}
+     */
+    async awaitCompletion(page, imagePath) {
+        const generation = this.lastGeneration;
+        this.lastGeneration = null;
+        if (!generation || generation.imagePath !== imagePath) {
+            return {success: false, outputPaths: [], error: 'No API response for this image'};
+        }
+        if (generation.images.length === 0) {
+            const reason = generation.refusal || 'The API returned no image';
+            this.logger.warn(`${this.platformKey} returned no image for ${path.basename(imagePath)}: ${reason}`);
+            return {success: false, outputPaths: [], error: reason};
+        }
+        const outputPaths = [];
+        for (const image of generation.images) {
+            outputPaths.push(await imageDownloader.saveImageBuffer(image, imagePath, this.platformKey, this.options, this.logger));
+        }
+        this.logger.info(`--- ${this.platformKey} processing finished for: ${path.basename(imagePath)}. Success: true ---`);
+        return {success: true, outputPaths};
+    }
+}
+
+export default ApiImageHandler;
@@ -1,33 +1,315 @@
 // src/handlers/base_handler.js
 import path from 'path'; // Needed for potential screenshots inside captcha handler
+import {EventEmitter} from 'events';
+import SelectorSet, {selectorList} from '../core/selector_profile.js';
+import {UsageLimitError} from '../core/usage_limit.js';
+import {LoginRequiredError} from '../core/login_state.js';
+import {childLogger} from '../logger.js';
+
+/**
+ * How a handler learns the outcome of a submitted image.
+ * - PIPELINED: the outcome of image N is judged while submitting image N+1 (the page is
+ *   busy generating while the next upload happens); the last image is settled by `settlePending`.
+ * - SYNCHRONOUS: `processImage` waits for the image's own result before returning.
+ */
+export const COMPLETION_STRATEGIES = Object.freeze({
+    PIPELINED: 'pipelined',
+    SYNCHRONOUS: 'synchronous',
+});
+
+/**
+ * @typedef {object} ImageOutcome
+ * @property {string} imagePath - Source image the outcome belongs to.
+ * @property {object} context - Caller data passed to `processImage`, returned unchanged.
+ * @property {boolean} success - True if the platform produced a generated image.
+ * @property {string[]} outputPaths - Generated images saved to outputDir.
+ * @property {string} platform - Platform key of the handler that produced the outcome.
+ * @property {string|null} prompt - Prompt submitted with the image (null if unknown, e.g. recovered outcomes).
+ * @property {string|null} conversationUrl - Chat thread the image was processed in.
+ * @property {string} timestamp - ISO time the outcome became known.
+ * @property {string} [error] - Error message when the image failed before producing a result.
+ * @property {{message: string, retryAt: string|null}} [usageLimit] - Set when the platform refused
+ * because the account reached its usage limit: the image was not judged and must be retried
+ * later, so it does not count as failed.
+ * @property {{message: string, url: string|null, platform: string}} [loginRequired] - Set when the
+ * profile turned out to be logged out: like a usage limit, the image is retried later (with a
+ * logged-in profile) and does not count as failed.
+ */
+
+/**
+ * @typedef {object} ImageResult
+ * @property {boolean} submitted - True if the current image was submitted to the platform.
+ * @property {ImageOutcome[]} outcomes - Outcomes that became known during this call. For pipelined
+ * handlers this is usually the previous image; for synchronous handlers the current one.
+ * @property {{message: string, retryAt: string|null}} [usageLimit] - Set when the platform reported
+ * its usage limit; no further image should be submitted with this profile until `retryAt`.
+ * @property {{message: string, url: string|null, platform: string}} [loginRequired] - Set when the
+ * profile is logged out; no further image should be submitted with it until it logs in again.
+ */
 
 /**
  * Abstract base class for platform-specific handlers.
- * Defines the contract for processing images and common utilities like CAPTCHA handling.
+ * Defines the result lifecycle every handler follows (submit, await completion, report outcome)
+ * and common utilities like CAPTCHA handling. Subclasses implement `submitImage` and
+ * `awaitCompletion`, and declare their strategy via `static completionStrategy`.
+ * Emits `phase` events ({phase, imagePath, ...details}) as an image moves through the lifecycle,
+ * and `screenshot` events ({imagePath, context, screenshotPath}) for every screenshot it saves.
  */
-class BaseHandler {
+class BaseHandler extends EventEmitter {
+    /** Subclasses override this to declare how their results are determined. */
+    static completionStrategy = COMPLETION_STRATEGIES.SYNCHRONOUS;
+    /** Platform declaration read by the handler registry (see src/core/handler_registry.js). */
+    static platformKey = null; // Derived from the class name when not set
+    static urlPatterns = [];
+    static defaultUrl = null;
+    static selectors = {};
+    static requiredOptions = [];
+    static mockServer = false; // Served by the local mock platform (src/mock/mock_server.js)
+    static requiresBrowser = true; // False for handlers that talk to an HTTP API instead of a page
+    static completion = {}; // Completion detector settings for the platform (see src/core/completion_detector.js)
+    static imageResponses = {}; // Network responses carrying generated images (see src/core/network_image_capture.js)
+    static usageLimit = {}; // Usage-limit message patterns (see src/core/usage_limit.js)
+    static login = {}; // Login page URL patterns (see src/core/login_state.js)
+
+    /**
+     * Requirements of the handler that are not met, as readable names (e.g. "--apiModel").
+     * Subclasses may add their own (e.g. environment variables).
+     */
+    static missingRequirements(options) {
+        return this.requiredOptions
+            .filter(name => options[name] === undefined || options[name] === null || options[name] === '')
+            .map(name => `--${name}`);
+    }
+
     constructor(options, logger) {
+        super();
         if (this.constructor === BaseHandler) {
             throw new Error("Abstract class 'BaseHandler' cannot be instantiated directly.");
         }
+        const missingRequirements = this.constructor.missingRequirements(options);
+        if (missingRequirements.length > 0) {
+            throw new Error(`${this.constructor.name} requires: ${missingRequirements.join(', ')}`);
+        }
         this.options = options;
-        this.logger = logger;
-        // Determine platform key (lowercase handler name without 'Handler') for accessing selectors
-        this.platformKey = this.constructor.name.replace('Handler', '').toLowerCase();
-        this.logger.debug(`${this.constructor.name} initialized for platform key: ${this.platformKey}`);
+        // Lines of the handler (and of its services) name the image it works on, see setActiveImage
+        this.logContext = {};
+        this.logger = childLogger(logger, this.logContext);
+        // Platform key for accessing selectors (declared, or lowercase handler name without 'Handler')
+        this.platformKey = this.constructor.platformKey || this.constructor.name.replace('Handler', '').toLowerCase();
+        this.completionStrategy = this.constructor.completionStrategy;
+        this.selectorSet = new SelectorSet(options.selectors?.[this.platformKey], this.logger, this.platformKey);
+        // Pipelined handlers only: the submitted image whose outcome is not known yet
+        this.pendingSubmission = null;
+        // Image currently being submitted and its context, attached to phase and screenshot events
+        this.activeImagePath = null;
+        this.activeContext = {};
+        // Signal of the current processImage/settlePending call; aborted when the caller gives up on it
+        this.abortSignal = null;
+        this.logger.debug(`${this.constructor.name} initialized for platform key: ${this.platformKey} (completion: ${this.completionStrategy})`);
+    }
+
+    /**
+     * Runs the full lifecycle for one image: submit it, then report every outcome that is now known.
+     * Pipelined handlers report the previous image's outcome once the current one is submitted;
+     * synchronous handlers wait for the current image's result.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the image file.
+     * @param {string} prompt - The text prompt to use.
+     * @param {object} [context={}] - Caller data echoed back in the image's outcome.
+     * @param {AbortSignal|null} [signal=null] - Aborted when the caller stops waiting (shutdown
+     * deadline): API requests are cancelled and no result is saved for the image any more.
+     * @returns {Promise<ImageResult>}
+     */
+    async processImage(page, imagePath, prompt, context = {}, signal = null) {
+        const imageName = path.basename(imagePath);
+        this.abortSignal = signal;
+        this.setActiveImage(imagePath, context);
+        let submission;
+        try {
+            submission = await this.submitImage(page, imagePath, prompt);
+        } catch (error) {
+            if (error instanceof UsageLimitError) {
+                submission = {submitted: false, usageLimit: error.usageLimit, previousOutcome: error.previousOutcome};
+            } else if (error instanceof LoginRequiredError) {
+                submission = {submitted: false, loginRequired: error.loginRequired};
+            } else {
+                this.logger.error(`Submission of ${imageName} failed: ${error.message}`, {stack: error.stack});
+                submission = {submitted: false, error: error.message};
+            }
+        }
+
+        const outcomes = [];
+        if (submission.usageLimit || submission.loginRequired) {
+            // Neither this image nor a pending one the limit (or logout) hit was judged; both are retried later
+            const refusal = submission.usageLimit ? {usageLimit: submission.usageLimit} : {loginRequired: submission.loginRequired};
+            this.logger.warn(`${imageName} was not submitted: ${submission.usageLimit ? 'the platform reports a usage limit' : 'the profile is logged out'}.`);
+            if (this.pendingSubmission) {
+                const pending = this.pendingSubmission;
+                this.pendingSubmission = null;
+                outcomes.push(this.buildOutcome(pending, submission.previousOutcome || refusal));
+            }
+            outcomes.push(this.buildOutcome({imagePath, context, prompt, conversationUrl: this.currentUrl(page)}, refusal));
+            return {submitted: false, outcomes, ...refusal};
+        }
+        if (!submission.submitted) {
+            // A failed submission never produces a result; a pending pipelined image stays pending
+            outcomes.push(this.buildOutcome(
+                {imagePath, context, prompt, conversationUrl: this.currentUrl(page)},
+                {success: false, error: submission.error || 'Submission failed'}
+            ));
+            return {submitted: false, outcomes};
+        }
+
+        const conversationUrl = this.currentUrl(page);
+        this.emitPhase('submitted', imagePath, {conversationUrl, prompt});
+        if (this.completionStrategy === COMPLETION_STRATEGIES.PIPELINED) {
+            if (this.pendingSubmission) {
+                // The previous image lives in the same thread, whose URL is final by now
+                outcomes.push(this.buildOutcome({...this.pendingSubmission, conversationUrl}, submission.previousOutcome));
+            }
+            this.pendingSubmission = {imagePath, context, prompt, conversationUrl};
+        } else {
+            const result = await this.safeAwaitCompletion(page, imagePath);
+            // New threads often get their permanent URL only once the answer arrives
+            outcomes.push(this.buildOutcome({imagePath, context, prompt, conversationUrl: this.currentUrl(page) || conversationUrl}, result));
+            if (result.usageLimit) return {submitted: true, outcomes, usageLimit: result.usageLimit};
+            if (result.loginRequired) return {submitted: true, outcomes, loginRequired: result.loginRequired};
+        }
+        return {submitted: true, outcomes};
+    }
+
+    /**
+     * Settles the image still waiting for its result (pipelined handlers), e.g. at the end of a batch.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {AbortSignal|null} [signal=null] - Aborted when the caller stops waiting, see processImage.
+     * @returns {Promise<ImageOutcome[]>} The pending image's outcome, or an empty array if nothing was pending.
+     */
+    async settlePending(page, signal = null) {
+        this.abortSignal = signal;
+        if (!this.pendingSubmission) return [];
+        const pending = this.pendingSubmission;
+        this.pendingSubmission = null;
+        this.setActiveImage(pending.imagePath, pending.context);
+        this.logger.info(`Settling pending result for ${path.basename(pending.imagePath)}...`);
+        const result = await this.safeAwaitCompletion(page, pending.imagePath);
+        return [this.buildOutcome({...pending, conversationUrl: this.currentUrl(page) || pending.conversationUrl}, result)];
+    }
+
+    /**
+     * Tries to determine the outcome of an image submitted by an earlier, interrupted run
+     * (e.g. by reopening its conversation). Handlers that cannot recover return null and
+     * the image is submitted again.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {string} imagePath - Source image that was submitted.
+     * @param {string|null} conversationUrl - Page URL recorded right after the submission.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}|null>}
+     */
+    async recoverOutcome(page, imagePath, conversationUrl) {
+        return null;
     }
 
     /**
-     * Abstract method to process a single image on the target platform.
+     * Announces that an image reached a lifecycle phase (e.g. 'uploaded', 'submitted').
+     * The event carries the `context` given to `processImage` for the image being submitted.
+     * @param {string} phase - Phase name.
+     * @param {string} imagePath - Image the phase belongs to.
+     * @param {object} [details={}] - Extra data for listeners.
+     */
+    emitPhase(phase, imagePath, details = {}) {
+        this.emit('phase', {phase, imagePath, context: this.activeContext, ...details});
+    }
+
+    /**
+     * Sets the image the handler works on: attached to phase and screenshot events, and to the
+     * `inputDir` and `image` labels of its log lines.
+     * @param {string} imagePath - Source image.
+     * @param {object} context - Caller data given to `processImage` for it.
+     */
+    setActiveImage(imagePath, context) {
+        this.activeImagePath = imagePath;
+        this.activeContext = context;
+        this.logContext.inputDir = path.basename(path.dirname(imagePath));
+        this.logContext.image = path.basename(imagePath) + (context?.promptId ? ` [${context.promptId}]` : '');
+    }
+
+    /** Current page URL, or null if the page is unavailable. */
+    currentUrl(page) {
+        try {
+            return page && !page.isClosed() ? page.url() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Abstract method that submits a single image and prompt to the platform.
+     * Pipelined handlers also determine the outcome of the previously submitted image here.
      * Must be implemented by subclasses.
      * @param {import('puppeteer').Page} page - The Puppeteer page object.
      * @param {string} imagePath - Absolute path to the image file.
      * @param {string} prompt - The text prompt to use.
-     * @returns {Promise<{success: boolean}>} A promise resolving to an object indicating if the process succeeded (found image in response).
-     * @throws {Error} If a critical error occurs during processing specific to this handler.
+     * @returns {Promise<{submitted: boolean, error?: string, previousOutcome?: {success: boolean, outputPaths: string[]}}>}
+     * @throws {UsageLimitError} If the platform reports its usage limit instead of accepting the image.
+     */
+    async submitImage(page, imagePath, prompt) {
+        throw new Error("Method 'submitImage()' must be implemented by subclasses.");
+    }
+
+    /**
+     * Abstract method that waits for the result of the most recently submitted image.
+     * Required for synchronous handlers; pipelined handlers use it to settle the last pending image.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {string} imagePath - Source image the awaited result belongs to.
+     * @returns {Promise<{success: boolean, outputPaths: string[], usageLimit?: object}>} usageLimit is set
+     * when the platform answered with a usage-limit message instead of a result.
      */
-    async processImage(page, imagePath, prompt) {
-        throw new Error("Method 'processImage()' must be implemented by subclasses.");
+    async awaitCompletion(page, imagePath) {
+        throw new Error("Method 'awaitCompletion()' must be implemented by subclasses.");
+    }
+
+    /** Calls awaitCompletion, turning thrown errors into a failed result. Skipped once the call was given up on. */
+    async safeAwaitCompletion(page, imagePath) {
+        if (this.abortSignal?.aborted) return {success: false, outputPaths: [], error: 'Given up on before its result was known'};
+        try {
+            return await this.awaitCompletion(page, imagePath);
+        } catch (error) {
+            if (error instanceof UsageLimitError) return {success: false, outputPaths: [], usageLimit: error.usageLimit};
+            if (error instanceof LoginRequiredError) return {success: false, outputPaths: [], loginRequired: error.loginRequired};
+            this.logger.error(`Waiting for the result of ${path.basename(imagePath)} failed: ${error.message}`, {stack: error.stack});
+            await this.takeScreenshot(page, `error_handler_${this.platformKey}_completion_${path.basename(imagePath)}`, imagePath);
+            return {success: false, outputPaths: [], error: error.message};
+        }
+    }
+
+    /**
+     * Normalizes a raw result into an ImageOutcome.
+     * @param {{imagePath: string, context: object, prompt?: string, conversationUrl?: string}} submission - The image the result belongs to.
+     * @param {object} [result] - Raw result from the handler ({success, outputPaths, error, usageLimit, loginRequired}).
+     * @returns {ImageOutcome}
+     */
+    buildOutcome(submission, result = {}) {
+        const outcome = {
+            imagePath: submission.imagePath,
+            context: submission.context || {},
+            success: !!result?.success,
+            outputPaths: result?.outputPaths || [],
+            platform: this.platformKey,
+            prompt: submission.prompt ?? null,
+            conversationUrl: submission.conversationUrl ?? null,
+            timestamp: new Date().toISOString(),
+        };
+        if (result?.error) outcome.error = result.error;
+        if (result?.usageLimit) {
+            outcome.success = false;
+            outcome.outputPaths = [];
+            outcome.usageLimit = result.usageLimit;
+        }
+        if (result?.loginRequired) {
+            outcome.success = false;
+            outcome.outputPaths = [];
+            outcome.loginRequired = result.loginRequired;
+        }
+        return outcome;
     }
 
     /**
@@ -49,7 +331,7 @@ class BaseHandler {
             return false; // Indicate no CAPTCHA handled
         }
 
-        const captchaSelectorString = captchaSelectors.join(', ');
+        const captchaSelectorString = selectorList(captchaSelectors);
         this.logger.info(`Checking for known CAPTCHA elements (${captchaSelectorString})...`);
 
         try {
@@ -58,7 +340,7 @@ class BaseHandler {
             await Promise.race([
                 page.waitForSelector(captchaSelectorString, {visible: true, timeout: checkTimeout}),
                 // If ready selectors appear first, assume no CAPTCHA
-                page.waitForSelector(readySelectors.join(', '), {visible: true, timeout: checkTimeout})
+                page.waitForSelector(selectorList(readySelectors), {visible: true, timeout: checkTimeout})
             ]);
 
             // If the race didn't throw, check *which* selector was found
@@ -75,8 +357,8 @@ class BaseHandler {
 
                 // Re-validate the page is usable after CAPTCHA using readySelectors
                 if (readySelectors.length > 0) {
-                    await page.waitForSelector(readySelectors.join(', '), {visible: true, timeout: 30000}); // Wait 30s for page to be ready after CAPTCHA
-                    this.logger.info(`Page seems ready after CAPTCHA based on readySelectors: ${readySelectors.join(', ')}`);
+                    await page.waitForSelector(selectorList(readySelectors), {visible: true, timeout: 30000}); // Wait 30s for page to be ready after CAPTCHA
+                    this.logger.info(`Page seems ready after CAPTCHA based on readySelectors: ${selectorList(readySelectors)}`);
                 } else {
                     this.logger.warn("No readySelectors configured to verify page state after potential CAPTCHA.");
                 }
@@ -101,11 +383,13 @@ class BaseHandler {
 
     /**
      * Waits for a specified time if essential 'readySelectors' are NOT found quickly after navigation/action.
-     * Infers a potential slow load or unknown blocker (could be an undetected CAPTCHA).
+     * Infers a potential slow load or unknown blocker (could be an undetected CAPTCHA), unless the
+     * page shows that the profile is logged out, which no waiting fixes.
      * @param {import('puppeteer').Page} page - The Puppeteer page object.
      * @param {string[]} readySelectors - Selectors indicating the page is ready.
      * @param {number} [checkTimeout=5000] - Timeout (ms) for the initial check.
      * @param {number} [delayMs=this.options.waitTimeout] - Milliseconds to wait if check fails.
+     * @throws {LoginRequiredError} If the ready selectors are missing because the profile is logged out.
      */
     async delayIfCaptcha(page, readySelectors = [], checkTimeout = 5000, delayMs) {
         // This method remains separate - it's a fallback/slow-load handler
@@ -116,7 +400,7 @@ class BaseHandler {
             return;
         }
 
-        const selectorString = readySelectors.join(', ');
+        const selectorString = selectorList(readySelectors);
         this.logger.info(`Checking if page seems ready (selectors: ${selectorString}, timeout: ${checkTimeout}ms)...`);
 
         try {
@@ -124,6 +408,7 @@ class BaseHandler {
             this.logger.info('Page seems ready, proceeding without extra delay.');
         } catch (error) {
             if (error.name === 'TimeoutError') {
+                await this.ensureLoggedIn(page);
                 this.logger.warn(`Ready selector(s) not found within ${checkTimeout}ms in 'delayIfCaptcha'. Assuming potential blocker or slow load. Waiting ${waitTime}ms.`);
                 await new Promise(resolve => setTimeout(resolve, waitTime));
                 this.logger.info("Wait finished after potential blocker/delay.");
@@ -133,19 +418,55 @@ class BaseHandler {
         }
     }
 
+    /**
+     * Waits until every `readySelectors` entry of the platform is visible (entries may list
+     * alternatives, see SelectorSet).
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {number} [timeout=15000] - Timeout (ms).
+     * @returns {Promise<void>}
+     */
+    async waitForReady(page, timeout = 15000) {
+        await this.selectorSet.waitForAll(page, 'readySelectors', {visible: true, timeout});
+    }
+
+    /**
+     * Checks that the profile is logged in to the platform. Handlers with a page delegate to their
+     * service; handlers without one have no login to check.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @returns {Promise<void>}
+     * @throws {LoginRequiredError} If the page shows the platform's logged-out state.
+     */
+    async ensureLoggedIn(page) {
+    }
+
+    /** URL to open: --url, or the platform's default URL. */
+    targetUrl() {
+        return this.options.url || this.constructor.defaultUrl;
+    }
+
     /** Simple delay function. */
     async delay(ms) {
         this.logger.debug(`Waiting for ${ms} ms...`);
         await new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    /** Helper to take screenshots on error/detection */
-    async takeScreenshot(page, prefix = 'screenshot') {
+    /**
+     * Helper to take screenshots on error/detection. Emits a `screenshot` event for the image it
+     * belongs to (by default the image being submitted), e.g. for the run report.
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {string} [prefix='screenshot'] - File name prefix.
+     * @param {string|null} [imagePath] - Source image the screenshot documents.
+     */
+    async takeScreenshot(page, prefix = 'screenshot', imagePath = this.activeImagePath) {
         if (page && !page.isClosed()) {
             try {
                 const screenshotPath = path.join(this.options.outputDir || '.', `${prefix}_${Date.now()}.png`);
                 await page.screenshot({path: screenshotPath, fullPage: true});
                 this.logger.info(`Screenshot saved to ${screenshotPath}`);
+                // A pipelined handler's pending image has its own context
+                const pending = imagePath !== this.activeImagePath && imagePath === this.pendingSubmission?.imagePath;
+                const context = pending ? this.pendingSubmission.context : this.activeContext;
+                if (imagePath) this.emit('screenshot', {imagePath, context, screenshotPath});
             } catch (ssError) {
                 this.logger.error(`Failed to take screenshot (${prefix}): ${ssError.message}`);
             }
@@ -1,9 +1,46 @@
 // src/handlers/chatgpt_handler.js
-import BaseHandler from './base_handler.js';
+import BaseHandler, { COMPLETION_STRATEGIES } from './base_handler.js';
+import { UsageLimitError } from '../core/usage_limit.js';
+import { LoginRequiredError } from '../core/login_state.js';
 import ChatGptService from '../services/chatgpt_service.js';
 import path from 'path';
 
 class ChatGptHandler extends BaseHandler {
+    // The previous image's result is judged while the next image is being submitted
+    static completionStrategy = COMPLETION_STRATEGIES.PIPELINED;
+    static platformKey = 'chatgpt';
+    static urlPatterns = ['chatgpt.com', 'chat.openai.com'];
+    static defaultUrl = 'https://chatgpt.com/';
+    // The image is rendered progressively and often only starts after the text, so the
+    // response needs longer quiet periods before it counts as complete
+    static completion = { quietMs: 5000, noImageQuietMs: 30000 };
+    // Generated images are served from the files API / Azure blob storage; smaller ones are avatars and thumbnails
+    static imageResponses = { urlPatterns: ['oaiusercontent.com', '/backend-api/estuary/content', '/backend-api/files/'], minBytes: 20000 };
+    // !!! IMPORTANT: Verify selectors regularly, websites change! !!!
+    static selectors = {
+        readySelectors: [
+            // Only check visible button now
+            'button[aria-label="Upload files and more"]'
+        ],
+        promptTextarea: '#prompt-textarea', // The contenteditable div
+        uploadButtonInitiator: 'button[aria-label="Upload files and more"]', // The '+' button
+        fileInputHidden: 'input[type="file"][tabindex="-1"]', // The hidden input for upload
+        imagePreviewConfirmation: 'div.w-fit span[style*="background-image"]', // Span showing preview via style
+        submitButton: 'button[data-testid="send-button"]', // Send button
+        loadingIndicator: 'button[data-testid="stop-button"]', // Stop button
+        responseArea: 'div[data-message-author-role="assistant"]', // Assistant response block
+        imageInResponse: 'img[alt="Generated image"]', // The generated image
+        loginIndicator: [ // "Log in" buttons shown when the session expired
+            'button[data-testid="login-button"]',
+            'button[data-testid="welcome-login-button"]',
+        ],
+        captchaSelectors: [ // Selectors for CAPTCHA detection
+            'iframe[src*="challenges.cloudflare.com"]',
+            'iframe[src*="hcaptcha"]',
+            '#turnstile-wrapper',
+        ],
+    };
+
     constructor(options, logger) {
         super(options, logger); // Sets this.options, this.logger, this.platformKey ('chatgpt')
         // Get ready selectors specific to ChatGPT for checks within this handler
@@ -15,32 +52,49 @@ class ChatGptHandler extends BaseHandler {
         this.chatgptService = null;
     }
 
+    /** Creates the service on first use and keeps its page reference current. */
+    getService(page) {
+        if (!this.chatgptService) {
+            this.chatgptService = new ChatGptService(page, this.logger, this.options, this.constructor.completion, this.constructor.imageResponses, this.constructor.usageLimit, this.constructor.login,
+                (servicePage, prefix) => this.takeScreenshot(servicePage, prefix));
+        }
+        this.chatgptService.page = page; // Ensure service always has the correct page object
+        return this.chatgptService;
+    }
+
     /**
-     * Processes a single image submission. Uploads, enters prompt, waits for submit
-     * button enable, checks success of *previous* prompt using image count,
-     * and clicks submit. Includes retry logic for submit timeout.
+     * Checks that the profile is logged in to ChatGPT (see BaseHandler.ensureLoggedIn).
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @throws {LoginRequiredError} If ChatGPT shows its login page or button.
+     */
+    async ensureLoggedIn(page) {
+        await this.getService(page).ensureLoggedIn();
+    }
+
+    /**
+     * Submits a single image. Uploads, enters prompt, waits for the *previous* prompt's
+     * generation to complete, checks its success using image count, and clicks submit.
+     * Includes retry logic for submit timeout.
      *
      * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
      * @param {string} imagePath - Absolute path to the image file.
      * @param {string} prompt - The text prompt to use.
-     * @returns {Promise<{submitted: boolean, successStatusOfPrevious: boolean}>}
-     * Object indicating if submission occurred for the *current* image and
-     * the success status determined for the *previous* image.
+     * @returns {Promise<{submitted: boolean, error?: string, previousOutcome?: {success: boolean, outputPaths: string[]}}>}
+     * Object indicating if submission occurred for the *current* image, and
+     * the success status and saved output files determined for the *previous* image.
+     * @throws {UsageLimitError} If ChatGPT reports its usage limit (see BaseHandler.processImage).
+     * @throws {LoginRequiredError} If the profile is logged out of ChatGPT.
      */
-    async processImage(page, imagePath, prompt) {
+    async submitImage(page, imagePath, prompt) {
         const imageName = path.basename(imagePath);
         this.logger.info(`--- Starting ChatGPT submission process for: ${imageName} (Delayed Check Flow) ---`);
-
-        // Instantiate or update service reference
-        if (!this.chatgptService) {
-            this.chatgptService = new ChatGptService(page, this.logger, this.options);
-        }
-        this.chatgptService.page = page; // Ensure service always has the correct page object
+        const chatgptService = this.getService(page);
 
         const maxRetries = 1; // Allow one retry attempt after reload on submit timeout
         let retryAttempt = 0;
-        let successStatusOfPrevious = false; // Default status for previous image check
+        let previousOutcome = null; // Result determined for the previous image, if any
         let submitted = false; // Track if submit was clicked successfully for *this* image
+        let lastError = null;
 
         while (retryAttempt <= maxRetries) {
             if (retryAttempt > 0) {
@@ -58,11 +112,7 @@ class ChatGptHandler extends BaseHandler {
                 // Final check for essential elements needed to start
                 try {
                     if (this.readySelectors?.length > 0) {
-                        await Promise.all(
-                            this.readySelectors.map(selector =>
-                                page.waitForSelector(selector, { visible: true, timeout: 15000 })
-                            )
-                        );
+                        await this.waitForReady(page, 15000);
                         this.logger.info('Required UI elements confirmed ready.');
                     } else {
                         this.logger.warn("No readySelectors configured to verify page state.");
@@ -71,22 +121,26 @@ class ChatGptHandler extends BaseHandler {
                     this.logger.error(`UI elements not ready for ${imageName} (Attempt ${retryAttempt + 1}). Skipping file.`, { error: readyError.message });
                     await this.takeScreenshot(page, `error_handler_${this.platformKey}_not_ready_${imageName}`);
                     submitted = false; // Ensure submission is marked false
-                    successStatusOfPrevious = false; // Assume previous failed if current fails here
+                    lastError = `UI elements not ready: ${readyError.message}`;
                     break; // Exit retry loop for this file
                 }
 
                 // 2. Perform core actions: Upload, Prompt, checkPreviousAndSubmit
-                await this.chatgptService.uploadImage(imagePath);
-                await this.chatgptService.enterPrompt(prompt);
+                await chatgptService.uploadImage(imagePath);
+                this.emitPhase('uploaded', imagePath);
+                await chatgptService.enterPrompt(prompt);
 
-                // This service method now waits for enable, checks PREVIOUS success, updates count, clicks submit
-                successStatusOfPrevious = await this.chatgptService.checkPreviousSuccessAndSubmit();
+                // This service method waits for enable, checks PREVIOUS success, saves its images, clicks submit
+                previousOutcome = await chatgptService.checkPreviousSuccessAndSubmit(this.pendingSubmission?.imagePath ?? null);
                 submitted = true; // If checkPreviousAndSubmit didn't throw, submission occurred
 
                 this.logger.info(`--- ChatGPT submission successful for: ${imageName}. ---`);
                 break; // Exit the while loop on successful submission
 
             } catch (error) {
+                // Not a failure of this image; the Manager decides how to go on
+                if (error instanceof UsageLimitError || error instanceof LoginRequiredError) throw error;
+                lastError = error.message;
                 this.logger.error(`!!! ChatGPT Handler failed on attempt ${retryAttempt + 1} for ${imageName}: ${error.message}`, { stack: (retryAttempt === maxRetries ? error.stack : undefined) });
                 await this.takeScreenshot(page, `error_handler_${this.platformKey}_${imageName}_attempt${retryAttempt + 1}`);
 
@@ -103,22 +157,48 @@ class ChatGptHandler extends BaseHandler {
                     } catch (reloadError) {
                         this.logger.error(`Failed to reload page after submit timeout: ${reloadError.message}`);
                         submitted = false; // Mark as not submitted
-                        successStatusOfPrevious = false; // Assume previous failed
+                        lastError = `Page reload failed: ${reloadError.message}`;
                         break; // Exit loop if reload fails
                     }
                 } else {
                     // If it was a different error, or if max retries reached, record failure and exit the loop
                     this.logger.error(`Unrecoverable error or max retries reached for ${imageName}.`);
                     submitted = false; // Mark as not submitted
-                    successStatusOfPrevious = false; // Assume previous failed
                     break; // Exit the while loop
                 }
             }
         } // End while loop
 
         this.logger.info(`--- Finished processing attempts for: ${imageName} ---`);
-        // Return the final determined status for the *previous* image and whether *this* image was submitted
-        return { submitted, successStatusOfPrevious };
+        // Return whether *this* image was submitted and, if so, the status determined for the *previous* image
+        return submitted ? { submitted, previousOutcome } : { submitted, error: lastError || 'Submission failed' };
+    }
+
+    /**
+     * Waits for the latest generation to finish and judges it. Used to settle the last
+     * image of a batch, whose result is not checked by a following submission.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Source image of the latest prompt.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}>}
+     */
+    async awaitCompletion(page, imagePath) {
+        return this.getService(page).waitForLatestResponse(imagePath);
+    }
+
+    /**
+     * Recovers the result of an image submitted by an interrupted run by reopening its
+     * conversation; the image's prompt is the latest one there. Only works once ChatGPT
+     * has assigned a conversation URL (`/c/<id>`).
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Source image that was submitted.
+     * @param {string|null} conversationUrl - Page URL recorded after the submission.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}|null>}
+     */
+    async recoverOutcome(page, imagePath, conversationUrl) {
+        if (!conversationUrl || !conversationUrl.includes('/c/')) return null;
+        this.logger.info(`Reopening conversation ${conversationUrl} to recover result of ${path.basename(imagePath)}...`);
+        await page.goto(conversationUrl, { waitUntil: 'networkidle2', timeout: this.options.navigationTimeout });
+        return this.getService(page).waitForLatestResponse(imagePath, true);
     }
 
     // Inherited methods: handlePotentialCaptcha, delayIfCaptcha, delay, takeScreenshot from BaseHandler
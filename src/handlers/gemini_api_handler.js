@@ -0,0 +1,69 @@
+// src/handlers/gemini_api_handler.js
+import ApiImageHandler from './api_image_handler.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-image';
+const IMAGE_CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+};
+
+/**
+ * Handler for the Gemini API image generation endpoint
+ * (POST {base}/models/{model}:generateContent). The source image travels inline next to the
+ * prompt; generated images come back as inline data parts. Options: --apiModel (default
+ * gemini-2.5-flash-image).
+ */
+class GeminiApiHandler extends ApiImageHandler {
+    static platformKey = 'gemini-api';
+    static urlPatterns = ['generativelanguage.googleapis.com'];
+    static defaultUrl = 'https://generativelanguage.googleapis.com/v1beta';
+    static apiKeyEnv = ['GEMINI_API_KEY', 'GOOGLE_API_KEY'];
+
+    async generate(imagePath, prompt) {
+        const model = this.options.apiModel || DEFAULT_MODEL;
+        const imageBytes = await fs.readFile(imagePath);
+        const mimeType = IMAGE_CONTENT_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png';
+        this.logger.info(`Requesting image generation from ${this.baseUrl} (model: ${model})...`);
+
+        const body = await this.request(`${this.baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json', 'x-goog-api-key': this.apiKey},
+            body: JSON.stringify({
+                contents: [{
+                    role: 'user',
+                    parts: [
+                        {text: prompt},
+                        {inline_data: {mime_type: mimeType, data: imageBytes.toString('base64')}},
+                    ],
+                }],
+                generationConfig: {responseModalities: ['TEXT', 'IMAGE']},
+            }),
+        });
+
+        const blockReason = body?.promptFeedback?.blockReason;
+        if (blockReason) return {images: [], refusal: `Prompt blocked: ${blockReason}`};
+
+        const candidate = body?.candidates?.[0];
+        const images = [];
+        const texts = [];
+        for (const part of candidate?.content?.parts || []) {
+            const inlineData = part.inlineData || part.inline_data;
+            if (inlineData?.data) {
+                images.push({buffer: Buffer.from(inlineData.data, 'base64'), contentType: inlineData.mimeType || inlineData.mime_type || 'image/png'});
+            } else if (part.text) {
+                texts.push(part.text.trim());
+            }
+        }
+        if (images.length > 0) return {images};
+        const reason = texts.join(' ') || (candidate?.finishReason ? `Finish reason: ${candidate.finishReason}` : 'The response contained no image data');
+        return {images, refusal: reason};
+    }
+}
+
+export default GeminiApiHandler;
@@ -1,9 +1,42 @@
 // src/handlers/gemini_handler.js
-import BaseHandler from './base_handler.js';
+import BaseHandler, {COMPLETION_STRATEGIES} from './base_handler.js';
+import {UsageLimitError} from '../core/usage_limit.js';
+import {LoginRequiredError} from '../core/login_state.js';
 import GeminiService from '../services/gemini_service.js';
 import path from 'path';
 
 class GeminiHandler extends BaseHandler {
+    // Gemini answers each prompt before the next one can be entered
+    static completionStrategy = COMPLETION_STRATEGIES.SYNCHRONOUS;
+    static platformKey = 'gemini';
+    static urlPatterns = ['gemini.google.com'];
+    static defaultUrl = 'https://gemini.google.com/app';
+    // Generated images are served from googleusercontent.com; smaller ones are avatars and icons
+    static imageResponses = { urlPatterns: ['googleusercontent.com'], minBytes: 20000 };
+    // !!! IMPORTANT: Verify selectors regularly, websites change! !!!
+    static selectors = {
+        readySelectors: [
+            'div.ql-editor.textarea.new-input-ui',
+            'button[aria-label="Open upload file menu"]'
+        ],
+        promptTextarea: 'div.ql-editor.textarea.new-input-ui',
+        uploadButtonInitiator: 'button[aria-label="Open upload file menu"]',
+        uploadButtonLocalImage: 'button#image-uploader-local',
+        imagePreviewConfirmation: 'img[data-test-id="image-preview"]',
+        submitButton: 'button.send-button.submit',
+        responseArea: 'model-response',
+        imageInResponse: 'img',
+        loadingIndicator: [ // The send button turns into a stop button while Gemini generates
+            'button[aria-label="Stop response"]',
+            'button.send-button.stop',
+        ],
+        loginIndicator: 'a[href*="accounts.google.com/ServiceLogin"]', // "Sign in" link shown when the session expired
+        captchaSelectors: [ // Example
+            // 'iframe[src*="recaptcha"]',
+            // '#captcha-container'
+        ],
+    };
+
     constructor(options, logger) {
         super(options, logger); // Sets this.options, this.logger, this.platformKey ('gemini')
         // Get ready selectors specific to Gemini for checks within this handler
@@ -15,23 +48,39 @@ class GeminiHandler extends BaseHandler {
         this.geminiService = null;
     }
 
+    /** Creates the service on first use and keeps its page reference current. */
+    getService(page) {
+        if (!this.geminiService) {
+            this.geminiService = new GeminiService(page, this.logger, this.options, this.constructor.completion, this.constructor.imageResponses, this.constructor.usageLimit, this.constructor.login,
+                (servicePage, prefix) => this.takeScreenshot(servicePage, prefix));
+        }
+        this.geminiService.page = page; // Ensure service has the correct page object
+        return this.geminiService;
+    }
+
     /**
-     * Processes a single image using the Gemini platform service on the provided reusable page,
+     * Checks that the profile is logged in to Gemini (see BaseHandler.ensureLoggedIn).
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @throws {LoginRequiredError} If Gemini shows its login page or button.
+     */
+    async ensureLoggedIn(page) {
+        await this.getService(page).ensureLoggedIn();
+    }
+
+    /**
+     * Submits a single image using the Gemini platform service on the provided reusable page,
      * WITHOUT navigating or reloading between images. Includes CAPTCHA checks.
      * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
      * @param {string} imagePath - Absolute path to the image file.
      * @param {string} prompt - The text prompt to use.
-     * @returns {Promise<{success: boolean}>} Object indicating if an image was found in the response.
+     * @returns {Promise<{submitted: boolean, error?: string}>} Object indicating if the prompt was submitted.
+     * @throws {UsageLimitError} If Gemini reports its usage limit (see BaseHandler.processImage).
+     * @throws {LoginRequiredError} If the profile is logged out of Gemini.
      */
-    async processImage(page, imagePath, prompt) {
+    async submitImage(page, imagePath, prompt) {
         const imageName = path.basename(imagePath);
         this.logger.info(`--- Starting Gemini processing for: ${imageName} (REUSING PAGE STATE) ---`);
-
-        // Instantiate or update service reference
-        if (!this.geminiService) {
-            this.geminiService = new GeminiService(page, this.logger, this.options);
-        }
-        this.geminiService.page = page; // Ensure service has the correct page object
+        const geminiService = this.getService(page);
 
         try {
             // 1. <<< HANDLE POTENTIAL CAPTCHA / CHECK PAGE READINESS >>>
@@ -46,37 +95,63 @@ class GeminiHandler extends BaseHandler {
                 if (!this.readySelectors || this.readySelectors.length === 0) {
                     this.logger.warn("No 'readySelectors' to verify page state before processing.");
                 } else {
-                    await Promise.all(
-                        this.readySelectors.map(selector =>
-                            page.waitForSelector(selector, {visible: true, timeout: 15000}) // Give 15s
-                        )
-                    );
+                    await this.waitForReady(page, 15000); // Give 15s
                     this.logger.info('Required UI elements confirmed ready.');
                 }
             } catch (readyError) {
                 this.logger.error(`Required UI elements not found for ${imageName}. Page might be stuck or state invalid. Skipping file.`, {error: readyError.message});
                 await this.takeScreenshot(page, `error_handler_${this.platformKey}_not_ready_${imageName}`);
-                return {success: false};
+                return {submitted: false, error: `UI elements not ready: ${readyError.message}`};
             }
 
 
-            // 2. Perform core actions (upload, prompt, submit, wait)
-            await this.geminiService.uploadImage(imagePath);
-            await this.geminiService.enterPrompt(prompt);
-            await this.geminiService.submit();
-            const result = await this.geminiService.waitForResponse();
-
-            this.logger.info(`--- Gemini processing finished for: ${imageName}. Success: ${result.success} ---`);
+            // 2. Perform core actions (upload, prompt, submit)
+            await geminiService.uploadImage(imagePath);
+            this.emitPhase('uploaded', imagePath);
+            await geminiService.enterPrompt(prompt);
+            await geminiService.submit();
 
-            return {success: result.success};
+            this.logger.info(`--- Gemini submission finished for: ${imageName} ---`);
+            return {submitted: true};
 
         } catch (error) {
+            if (error instanceof UsageLimitError || error instanceof LoginRequiredError) throw error;
             this.logger.error(`!!! Gemini Handler failed for ${imageName}: ${error.message}`, {stack: error.stack});
             // Use screenshot helper from BaseHandler
             await this.takeScreenshot(page, `error_handler_${this.platformKey}_${imageName}`);
-            return {success: false}; // Indicate failure
+            return {submitted: false, error: error.message}; // Indicate failure
         }
     }
+
+    /**
+     * Waits for Gemini's answer to the submitted image and saves any generated images.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the submitted image file.
+     * @returns {Promise<{success: boolean, outputPaths: string[], usageLimit?: object}>} Object indicating if an image was
+     * found in the response, the paths of the generated images saved to outputDir, and the usage limit Gemini
+     * answered with, if any.
+     */
+    async awaitCompletion(page, imagePath) {
+        const result = await this.getService(page).waitForResponse(imagePath);
+        this.logger.info(`--- Gemini processing finished for: ${path.basename(imagePath)}. Success: ${result.success} ---`);
+        return {success: result.success, outputPaths: result.outputPaths, usageLimit: result.usageLimit};
+    }
+
+    /**
+     * Recovers the result of an image submitted by an interrupted run by reopening its
+     * chat (`/app/<id>`), where its prompt is the latest one.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Source image that was submitted.
+     * @param {string|null} conversationUrl - Page URL recorded after the submission.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}|null>}
+     */
+    async recoverOutcome(page, imagePath, conversationUrl) {
+        if (!conversationUrl || !/\/app\/[^/?#]+/.test(conversationUrl)) return null;
+        this.logger.info(`Reopening chat ${conversationUrl} to recover result of ${path.basename(imagePath)}...`);
+        await page.goto(conversationUrl, {waitUntil: 'networkidle2', timeout: this.options.navigationTimeout});
+        this.getService(page).completionDetector.forgetSubmission();
+        return this.awaitCompletion(page, imagePath);
+    }
 }
 
 export default GeminiHandler;
\ No newline at end of file
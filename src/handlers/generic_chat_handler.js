@@ -0,0 +1,191 @@
+// src/handlers/generic_chat_handler.js
+import BaseHandler, {COMPLETION_STRATEGIES} from './base_handler.js';
+import {UsageLimitError} from '../core/usage_limit.js';
+import {LoginRequiredError} from '../core/login_state.js';
+import GenericChatService from '../services/generic_chat_service.js';
+import path from 'path';
+
+const UPLOAD_STRATEGIES = ['fileInput', 'fileChooser'];
+const PROMPT_METHODS = ['type', 'innerText'];
+const SUBMIT_METHODS = ['click', 'enter'];
+const COMPLETION_SIGNALS = ['events', 'loadingIndicator', 'responseImage', 'domQuiet'];
+
+const DEFAULT_FLOW = {
+    upload: {strategy: 'fileInput', openMenu: false},
+    prompt: {method: 'type'},
+    submit: {method: 'click'},
+    completion: {signal: 'events', timeoutMs: 360000, quietMs: 3000, noImageQuietMs: 10000},
+};
+
+/**
+ * Handler for chat platforms that follow the common upload -> prompt -> submit -> image-in-last-
+ * response flow, with every step taken from a platform config instead of code:
+ *
+ *     {
+ *       "platformKey": "acme",
+ *       "urlPatterns": ["chat.acme.example"],
+ *       "defaultUrl": "https://chat.acme.example/",
+ *       "selectors": { "promptTextarea": "...", "fileInputHidden": "...", "submitButton": "...",
+ *                      "responseArea": "...", "imageInResponse": "img", ... },
+ *       "flow": {
+ *         "upload": { "strategy": "fileInput" | "fileChooser", "openMenu": false },
+ *         "prompt": { "method": "type" | "innerText" },
+ *         "submit": { "method": "click" | "enter" },
+ *         "completion": { "signal": "events" | "loadingIndicator" | "responseImage" | "domQuiet",
+ *                         "timeoutMs": 360000, "quietMs": 3000, "noImageQuietMs": 10000 }
+ *       },
+ *       "imageResponses": { "urlPatterns": ["cdn.acme.example"], "minBytes": 20000 },
+ *       "usageLimit": { "textPatterns": ["daily limit", { "regex": "limit resets" }] },
+ *       "login": { "urlPatterns": ["/sign-in", { "regex": "accounts\\.acme\\.example" }] }
+ *     }
+ *
+ * `imageResponses` is optional: when set, the generated images are saved from the matching
+ * network responses (original bytes) instead of the rendered page. `usageLimit` is optional
+ * too: its patterns replace the default usage-limit messages (see src/core/usage_limit.js); a
+ * `usageLimitIndicator` selector names a banner shown while the limit applies. Likewise `login`
+ * replaces the URL patterns of login pages (see src/core/login_state.js) and a `loginIndicator`
+ * selector names the login button of a logged-out page.
+ *
+ * Platform configs (JSON or YAML) are loaded from the plugins directory or --plugin; see
+ * src/mock/generic_mock_platform.json for one that drives the local mock platform.
+ */
+class GenericChatHandler extends BaseHandler {
+    static completionStrategy = COMPLETION_STRATEGIES.SYNCHRONOUS;
+    /** Normalized flow of the platform; set by `fromConfig`. */
+    static flow = null;
+
+    /**
+     * Creates a handler class for one platform config.
+     * @param {object} config - Platform config (see class description).
+     * @param {string} [source='config'] - Where the config came from, used in error messages.
+     * @returns {typeof GenericChatHandler} A subclass with the platform's static declarations.
+     * @throws {Error} If the config is incomplete or names unknown strategies.
+     */
+    static fromConfig(config, source = 'config') {
+        if (!config || typeof config !== 'object') throw new Error(`Platform config ${source} must contain an object.`);
+        const fail = message => { throw new Error(`Platform config ${source}: ${message}`); };
+        const flow = {
+            upload: {...DEFAULT_FLOW.upload, ...config.flow?.upload},
+            prompt: {...DEFAULT_FLOW.prompt, ...config.flow?.prompt},
+            submit: {...DEFAULT_FLOW.submit, ...config.flow?.submit},
+            completion: {...DEFAULT_FLOW.completion, ...config.flow?.completion},
+        };
+        if (!UPLOAD_STRATEGIES.includes(flow.upload.strategy)) fail(`flow.upload.strategy must be one of: ${UPLOAD_STRATEGIES.join(', ')}.`);
+        if (!PROMPT_METHODS.includes(flow.prompt.method)) fail(`flow.prompt.method must be one of: ${PROMPT_METHODS.join(', ')}.`);
+        if (!SUBMIT_METHODS.includes(flow.submit.method)) fail(`flow.submit.method must be one of: ${SUBMIT_METHODS.join(', ')}.`);
+        if (!COMPLETION_SIGNALS.includes(flow.completion.signal)) fail(`flow.completion.signal must be one of: ${COMPLETION_SIGNALS.join(', ')}.`);
+        for (const key of ['timeoutMs', 'quietMs', 'noImageQuietMs']) {
+            if (!(Number(flow.completion[key]) > 0)) fail(`flow.completion.${key} must be a positive number.`);
+            flow.completion[key] = Number(flow.completion[key]);
+        }
+
+        const selectors = config.selectors || {};
+        const required = ['promptTextarea', 'responseArea', 'imageInResponse'];
+        if (flow.upload.strategy === 'fileInput') required.push('fileInputHidden');
+        if (flow.upload.strategy === 'fileChooser' || flow.upload.openMenu) required.push('uploadButtonInitiator');
+        if (flow.submit.method === 'click') required.push('submitButton');
+        if (flow.completion.signal === 'loadingIndicator') required.push('loadingIndicator');
+        const missing = required.filter(key => !selectors[key] || selectors[key].length === 0);
+        if (missing.length > 0) fail(`missing selector(s) for this flow: ${missing.join(', ')}.`);
+
+        const toPattern = pattern =>
+            pattern && typeof pattern === 'object' && pattern.regex ? new RegExp(pattern.regex, pattern.flags ?? 'i') : pattern;
+        const imageResponses = {
+            urlPatterns: (config.imageResponses?.urlPatterns || []).map(toPattern),
+            minBytes: Number(config.imageResponses?.minBytes ?? 0),
+        };
+        if (!(imageResponses.minBytes >= 0)) fail('imageResponses.minBytes must be a number of bytes.');
+        if (config.usageLimit?.textPatterns && !Array.isArray(config.usageLimit.textPatterns)) fail('usageLimit.textPatterns must be a list.');
+        const usageLimit = config.usageLimit?.textPatterns ? {textPatterns: config.usageLimit.textPatterns.map(toPattern)} : {};
+        if (config.login?.urlPatterns && !Array.isArray(config.login.urlPatterns)) fail('login.urlPatterns must be a list.');
+        const login = config.login?.urlPatterns ? {urlPatterns: config.login.urlPatterns.map(toPattern)} : {};
+
+        const className = `${String(config.platformKey).replace(/(^|[-_])(\w)/g, (match, separator, letter) => letter.toUpperCase())}Handler`;
+        const PlatformHandler = class extends GenericChatHandler {
+            static platformKey = config.platformKey;
+            static urlPatterns = (config.urlPatterns || []).map(toPattern);
+            static defaultUrl = config.defaultUrl ?? null;
+            static selectors = selectors;
+            static requiredOptions = config.requiredOptions || [];
+            static mockServer = config.mockServer === true;
+            static flow = flow;
+            static imageResponses = imageResponses;
+            static usageLimit = usageLimit;
+            static login = login;
+        };
+        Object.defineProperty(PlatformHandler, 'name', {value: className});
+        return PlatformHandler;
+    }
+
+    constructor(options, logger) {
+        super(options, logger); // Sets this.options, this.logger, this.platformKey
+        if (!this.constructor.flow) {
+            throw new Error("GenericChatHandler needs a platform config: create handler classes with GenericChatHandler.fromConfig().");
+        }
+        this.readySelectors = options.selectors?.[this.platformKey]?.readySelectors || [];
+        this.genericService = null;
+    }
+
+    /** Creates the service on first use and keeps its page reference current. */
+    getService(page) {
+        if (!this.genericService) {
+            this.genericService = new GenericChatService(page, this.logger, this.options, this.platformKey, this.constructor.flow, this.constructor.imageResponses, this.constructor.usageLimit, this.constructor.login);
+        }
+        this.genericService.page = page;
+        return this.genericService;
+    }
+
+    /**
+     * Checks that the profile is logged in to the platform (see BaseHandler.ensureLoggedIn).
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @throws {LoginRequiredError} If the platform shows its login page or button.
+     */
+    async ensureLoggedIn(page) {
+        await this.getService(page).ensureLoggedIn();
+    }
+
+    /**
+     * Submits a single image following the platform's configured flow. Includes CAPTCHA checks.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the image file.
+     * @param {string} prompt - The text prompt to use.
+     * @returns {Promise<{submitted: boolean, error?: string}>}
+     * @throws {UsageLimitError} If the platform reports its usage limit (see BaseHandler.processImage).
+     * @throws {LoginRequiredError} If the profile is logged out of the platform.
+     */
+    async submitImage(page, imagePath, prompt) {
+        const imageName = path.basename(imagePath);
+        this.logger.info(`--- Starting ${this.platformKey} submission for: ${imageName} ---`);
+        const service = this.getService(page);
+
+        try {
+            await this.handlePotentialCaptcha(page, 5000);
+            await this.delayIfCaptcha(page, this.readySelectors, 5000);
+
+            await service.uploadImage(imagePath);
+            this.emitPhase('uploaded', imagePath);
+            await service.enterPrompt(prompt);
+            await service.submit();
+            return {submitted: true};
+        } catch (error) {
+            if (error instanceof UsageLimitError || error instanceof LoginRequiredError) throw error;
+            this.logger.error(`!!! ${this.constructor.name} failed for ${imageName}: ${error.message}`, {stack: error.stack});
+            await this.takeScreenshot(page, `error_handler_${this.platformKey}_${imageName}`);
+            return {submitted: false, error: error.message};
+        }
+    }
+
+    /**
+     * Waits for the configured completion signal and saves the generated images.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the submitted image file.
+     * @returns {Promise<{success: boolean, outputPaths: string[], usageLimit?: object}>}
+     */
+    async awaitCompletion(page, imagePath) {
+        const result = await this.getService(page).waitForResponse(imagePath);
+        this.logger.info(`--- ${this.platformKey} processing finished for: ${path.basename(imagePath)}. Success: ${result.success} ---`);
+        return {success: result.success, outputPaths: result.outputPaths, usageLimit: result.usageLimit};
+    }
+}
+
+export default GenericChatHandler;
@@ -0,0 +1,106 @@
+// src/handlers/mock_handler.js
+import BaseHandler, {COMPLETION_STRATEGIES} from './base_handler.js';
+import {UsageLimitError} from '../core/usage_limit.js';
+import {LoginRequiredError} from '../core/login_state.js';
+import MockService from '../services/mock_service.js';
+import path from 'path';
+
+/**
+ * Handler for the local mock chat platform. Lets the full Manager -> handler -> service ->
+ * ExifWriter path run offline against `src/mock/mock_server.js`.
+ */
+class MockHandler extends BaseHandler {
+    static completionStrategy = COMPLETION_STRATEGIES.SYNCHRONOUS;
+    static platformKey = 'mock';
+    static urlPatterns = ['/mock-chat'];
+    static defaultUrl = null; // Started locally by the CLI, see src/mock/mock_server.js
+    static mockServer = true;
+    // The mock page adds its whole answer at once, so short quiet periods suffice
+    static completion = {quietMs: 500, noImageQuietMs: 1000};
+    static imageResponses = {urlPatterns: ['/generated/']};
+    static selectors = {
+        readySelectors: [
+            'button[aria-label="Attach image"]',
+            '#prompt-textarea'
+        ],
+        promptTextarea: '#prompt-textarea',
+        uploadButtonInitiator: 'button[aria-label="Attach image"]',
+        fileInputHidden: 'input[type="file"][data-testid="file-input"]',
+        imagePreviewConfirmation: 'img[data-testid="upload-preview"]',
+        submitButton: 'button[data-testid="send-button"]',
+        loadingIndicator: 'button[data-testid="stop-button"]',
+        responseArea: 'div[data-message-author-role="assistant"]',
+        imageInResponse: 'img[alt="Generated image"]',
+        captchaSelectors: [
+            'iframe[src*="mock-captcha"]',
+        ],
+    };
+
+    constructor(options, logger) {
+        super(options, logger); // Sets this.options, this.logger, this.platformKey ('mock')
+        this.readySelectors = options.selectors?.[this.platformKey]?.readySelectors || [];
+        this.mockService = null;
+    }
+
+    /** Creates the service on first use and keeps its page reference current. */
+    getService(page) {
+        if (!this.mockService) {
+            this.mockService = new MockService(page, this.logger, this.options, this.constructor.completion, this.constructor.imageResponses, this.constructor.usageLimit, this.constructor.login);
+        }
+        this.mockService.page = page;
+        return this.mockService;
+    }
+
+    /**
+     * Checks that the profile is logged in to the mock platform (see BaseHandler.ensureLoggedIn).
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @throws {LoginRequiredError} If the mock platform shows its login page or button.
+     */
+    async ensureLoggedIn(page) {
+        await this.getService(page).ensureLoggedIn();
+    }
+
+    /**
+     * Submits a single image to the mock platform. Includes the same CAPTCHA and readiness
+     * checks as the real platforms so they can be exercised offline.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the image file.
+     * @param {string} prompt - The text prompt to use.
+     * @returns {Promise<{submitted: boolean, error?: string}>}
+     */
+    async submitImage(page, imagePath, prompt) {
+        const imageName = path.basename(imagePath);
+        this.logger.info(`--- Starting mock submission for: ${imageName} ---`);
+        const mockService = this.getService(page);
+
+        try {
+            await this.handlePotentialCaptcha(page, 5000, 60000);
+            await this.delayIfCaptcha(page, this.readySelectors, 5000);
+
+            await mockService.uploadImage(imagePath);
+            this.emitPhase('uploaded', imagePath);
+            await mockService.enterPrompt(prompt);
+            await mockService.submit();
+            return {submitted: true};
+        } catch (error) {
+            if (error instanceof UsageLimitError || error instanceof LoginRequiredError) throw error;
+            this.logger.error(`!!! Mock Handler failed for ${imageName}: ${error.message}`, {stack: error.stack});
+            await this.takeScreenshot(page, `error_handler_${this.platformKey}_${imageName}`);
+            return {submitted: false, error: error.message};
+        }
+    }
+
+    /**
+     * Waits for the mock platform's answer and saves the generated image.
+     * @param {import('puppeteer').Page} page - The reusable Puppeteer page object.
+     * @param {string} imagePath - Absolute path to the submitted image file.
+     * @returns {Promise<{success: boolean, outputPaths: string[], usageLimit?: object}>}
+     */
+    async awaitCompletion(page, imagePath) {
+        const result = await this.getService(page).waitForResponse(imagePath);
+        this.logger.info(`--- Mock processing finished for: ${path.basename(imagePath)}. Success: ${result.success} ---`);
+        return {success: result.success, outputPaths: result.outputPaths, usageLimit: result.usageLimit};
+    }
+}
+
+export default MockHandler;
@@ -0,0 +1,66 @@
+// src/handlers/openai_api_handler.js
+import ApiImageHandler from './api_image_handler.js';
+import {ApiError, requestSignal} from '../core/api_client.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_MODEL = 'gpt-image-1';
+// Content types the image edit endpoint accepts
+const IMAGE_CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+};
+
+/**
+ * Handler for the OpenAI image edit endpoint (POST {base}/images/edits). The source image and
+ * prompt are sent as multipart form data; generated images come back base64-encoded (or, for
+ * older models, as URLs). Options: --apiModel (default gpt-image-1), --apiImageSize.
+ */
+class OpenAiApiHandler extends ApiImageHandler {
+    static platformKey = 'openai-api';
+    static urlPatterns = ['api.openai.com'];
+    static defaultUrl = 'https://api.openai.com/v1';
+    static apiKeyEnv = ['OPENAI_API_KEY'];
+
+    async generate(imagePath, prompt) {
+        const model = this.options.apiModel || DEFAULT_MODEL;
+        const imageBytes = await fs.readFile(imagePath);
+        const contentType = IMAGE_CONTENT_TYPES[path.extname(imagePath).toLowerCase()] || 'image/png';
+        this.logger.info(`Requesting image edit from ${this.baseUrl} (model: ${model})...`);
+
+        // FormData bodies are consumed by fetch, so every attempt builds its own
+        const body = await this.request(`${this.baseUrl}/images/edits`, () => {
+            const form = new FormData();
+            form.append('model', model);
+            form.append('prompt', prompt);
+            form.append('image', new Blob([imageBytes], {type: contentType}), path.basename(imagePath));
+            if (this.options.apiImageSize) form.append('size', this.options.apiImageSize);
+            return {method: 'POST', headers: {Authorization: `Bearer ${this.apiKey}`}, body: form};
+        });
+
+        const images = [];
+        for (const item of body?.data || []) {
+            if (item.b64_json) {
+                const format = body.output_format || 'png';
+                images.push({buffer: Buffer.from(item.b64_json, 'base64'), contentType: `image/${format === 'jpg' ? 'jpeg' : format}`});
+            } else if (item.url) {
+                images.push(await this.download(item.url));
+            }
+        }
+        return images.length > 0 ? {images} : {images, refusal: 'The response contained no image data'};
+    }
+
+    /** Downloads an image the API returned as a URL. */
+    async download(url) {
+        const response = await fetch(url, {signal: requestSignal(this.options.apiTimeoutMs ?? 300000, this.abortSignal)});
+        if (!response.ok) throw new ApiError(`Downloading generated image failed with HTTP ${response.status}`, response.status);
+        return {
+            buffer: Buffer.from(await response.arrayBuffer()),
+            contentType: response.headers.get('content-type')?.split(';')[0] || 'image/png',
+        };
+    }
+}
+
+export default OpenAiApiHandler;
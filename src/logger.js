@@ -1,9 +1,39 @@
 // src/logger.js
+import path from 'path';
+import {Writable} from 'stream';
 import winston from 'winston';
 
-const {combine, timestamp, printf, colorize, align, errors} = winston.format;
+const {combine, timestamp, printf, colorize, align, errors, json} = winston.format;
+
+export const LOG_FORMATS = ['pretty', 'json'];
 
 let loggerInstance = null;
+const profileTransports = new Map(); // Profile name -> its file transport (--profileLogs)
+let fileSettings = null; // Log file settings from configureLogging
+let redirectTransport = null; // Replaces the console while redirectConsole is active
+
+// Prefixes the message of a pretty line with its context: `[profile inputDir/image] `
+const contextLabel = winston.format(info => {
+    const image = info.image ? (info.inputDir ? `${info.inputDir}/${info.image}` : info.image) : null;
+    const label = [info.profile, image].filter(Boolean).join(' ');
+    if (label) info.message = `[${label}] ${info.message}`;
+    return info;
+});
+
+const prettyFormat = () => combine(
+    contextLabel(),
+    colorize({all: true}),
+    timestamp({format: 'YYYY-MM-DD HH:mm:ss'}),
+    align(),
+    printf(({level, message, timestamp, stack}) => {
+        // Include stack trace in the message if present
+        const logMessage = stack ? `${message}\n${stack}` : message;
+        return `${timestamp} [${level}]: ${logMessage}`;
+    })
+);
+
+// One JSON object per line, e.g. {"level":"info","message":"...","profile":"one","image":"a.png","timestamp":"..."}
+const jsonFormat = () => combine(timestamp(), json());
 
 function createLogger(level = 'info') {
     if (loggerInstance) {
@@ -12,35 +42,20 @@ function createLogger(level = 'info') {
         return loggerInstance;
     }
 
-    const logFormat = printf(({level, message, timestamp, stack}) => {
-        // Include stack trace in the message if present
-        const logMessage = stack ? `${message}\n${stack}` : message;
-        return `${timestamp} [${level}]: ${logMessage}`;
-    });
-
     loggerInstance = winston.createLogger({
         level: level || process.env.LOG_LEVEL || 'info',
-        format: combine(
-            colorize({all: true}),
-            timestamp({format: 'YYYY-MM-DD HH:mm:ss'}),
-            align(),
-            errors({stack: true}), // Ensure stack traces are captured
-            logFormat
-        ),
+        format: errors({stack: true}), // Ensure stack traces are captured; transports format the lines
         transports: [
             new winston.transports.Console({
+                format: prettyFormat(), // --logFormat, see configureLogging
                 stderrLevels: ['error'], // Ensure errors go to stderr
             }),
-            // TODO: Add file transport if needed, configure rotation
-            // new winston.transports.File({ filename: path.join(options.outputDir, 'app.log'), level: 'debug' }),
         ],
         exceptionHandlers: [
-            new winston.transports.Console(),
-            // new winston.transports.File({ filename: path.join(options.outputDir, 'exceptions.log') })
+            new winston.transports.Console({format: prettyFormat()}),
         ],
         rejectionHandlers: [
-            new winston.transports.Console(),
-            // new winston.transports.File({ filename: path.join(options.outputDir, 'rejections.log') })
+            new winston.transports.Console({format: prettyFormat()}),
         ]
     });
 
@@ -48,5 +63,92 @@ function createLogger(level = 'info') {
     return loggerInstance;
 }
 
+/**
+ * Applies the logging options once they are parsed: the console format (--logFormat) and the
+ * JSON-lines log file `<outputDir>/logs/imagefromimage.log`, rotated at `logMaxSize` bytes
+ * keeping `logMaxFiles` files (imagefromimage1.log is the newest rotated one).
+ * @param {object} logger - Logger from createLogger.
+ * @param {{logFormat: string, logFile: boolean, profileLogs: boolean, outputDir: string, logMaxSize: number, logMaxFiles: number}} options
+ */
+export function configureLogging(logger, options) {
+    const consoleTransport = logger.transports.find(transport => transport instanceof winston.transports.Console);
+    if (consoleTransport) consoleTransport.format = options.logFormat === 'json' ? jsonFormat() : prettyFormat();
+    fileSettings = {
+        dirname: path.join(options.outputDir, 'logs'),
+        maxsize: options.logMaxSize,
+        maxFiles: options.logMaxFiles,
+        tailable: true,
+        profileLogs: !!options.profileLogs,
+    };
+    if (options.logFile !== false) {
+        logger.add(new winston.transports.File({...fileTransportOptions(), filename: 'imagefromimage.log', format: jsonFormat()}));
+        logger.debug(`Logging to ${path.join(fileSettings.dirname, 'imagefromimage.log')} (JSON lines).`);
+    }
+}
+
+/**
+ * Hands the console lines to a function instead of writing them to the terminal, e.g. so the
+ * live progress view (src/progress_display.js) can print them above itself. Call with null to
+ * restore the console.
+ * @param {function(string): void|null} write - Receives each formatted line, with its newline.
+ */
+export function redirectConsole(write) {
+    if (!loggerInstance) return;
+    const consoleTransport = loggerInstance.transports.find(transport => transport instanceof winston.transports.Console);
+    if (redirectTransport) {
+        loggerInstance.remove(redirectTransport);
+        redirectTransport = null;
+    }
+    if (consoleTransport) consoleTransport.silent = !!write;
+    if (!write) return;
+    redirectTransport = new winston.transports.Stream({
+        stream: new Writable({
+            write(chunk, encoding, callback) {
+                write(chunk.toString());
+                callback();
+            },
+        }),
+        format: consoleTransport?.format || prettyFormat(),
+    });
+    loggerInstance.add(redirectTransport);
+}
+
+/** Options shared by the log file transports. */
+function fileTransportOptions() {
+    const {dirname, maxsize, maxFiles, tailable} = fileSettings;
+    return {dirname, maxsize, maxFiles, tailable};
+}
+
+/**
+ * With --profileLogs, adds a log file for a profile holding only its lines (those logged with
+ * its `profile` context): `<outputDir>/logs/profile-<name>.log`. Called when a profile starts;
+ * later calls for the same profile do nothing.
+ * @param {string} profileName - Profile name as in the `profile` context.
+ */
+export function addProfileLog(profileName) {
+    if (!loggerInstance || !fileSettings?.profileLogs || !profileName || profileTransports.has(profileName)) return;
+    const onlyProfile = winston.format(info => (info.profile === profileName ? info : false));
+    const transport = new winston.transports.File({
+        ...fileTransportOptions(),
+        filename: `profile-${profileName.replace(/[^\w.-]+/g, '_')}.log`,
+        format: combine(onlyProfile(), jsonFormat()),
+    });
+    profileTransports.set(profileName, transport);
+    loggerInstance.add(transport);
+}
+
+/**
+ * Logger whose lines carry context metadata saying which run, profile and image they belong to
+ * (`runId`, `profile`, `inputDir`, `image`), e.g. `childLogger(logger, {profile: 'one'})`. The metadata object is read when a line is written,
+ * so its holder may update it later (handlers set the image they work on). Loggers without
+ * `child` are returned unchanged.
+ * @param {object} logger - Logger (or child logger).
+ * @param {object} context - Metadata added to every line.
+ * @returns {object}
+ */
+export function childLogger(logger, context) {
+    return typeof logger.child === 'function' ? logger.child(context) : logger;
+}
+
 // Export function to allow level setting during instantiation
-export default createLogger;
\ No newline at end of file
+export default createLogger;
@@ -1,201 +1,317 @@
 // src/manager.js
 import pLimit from 'p-limit';
-import puppeteer from 'puppeteer-extra';
+import { EventEmitter } from 'events';
 import browserFactory from './core/browser_factory.js';
 import handlerFactory from './core/handler_factory.js';
+import promptTemplate from './core/prompt_template.js';
 import path from 'path';
 import fs from 'fs/promises';
 // Import ExifWriter here if needed for type hints, but instantiation happens later
 import ExifWriter from './exif_writer.js'; // Adjust path if needed
+import RunJournal, { JOURNAL_STATES } from './run_journal.js';
+import RunReport from './run_report.js';
+import { childLogger, addProfileLog } from './logger.js';
+import ProfilePool from './core/profile_pool.js';
+import JobQueue from './core/job_queue.js';
+import folderMapping from './core/folder_mapping.js';
+import { LoginRequiredError, recordSessionState } from './core/login_state.js';
 
-class Manager {
+// Result of work in flight that a shutdown stopped waiting for (see untilShutdownDeadline)
+const SHUTDOWN_TIMED_OUT = Symbol('shutdown timed out');
+
+/** Counts of a batch, a worker or a run. */
+function emptySummary() {
+    return { processed: 0, skipped: 0, success: 0, failed: 0, submitErrors: 0, exifErrors: 0, outputsSaved: 0, deferred: 0 };
+}
+
+/** Adds the counts of `summary` to `total`. */
+function addSummary(total, summary) {
+    for (const key of Object.keys(total)) total[key] += summary[key];
+}
+
+/**
+ * Runs the images of a run on the profiles' browsers.
+ * Emits `progress` events ({type, ...details}) for displays such as src/progress_display.js:
+ * `queued` {total}; `batch-start` {batchId, profile} and `batch-end` {batchId} around the work of
+ * one tab; `image-start` {batchId, profile, imagePath, promptId} when an image is submitted;
+ * `phase` {batchId, imagePath, promptId, phase} ('uploaded', 'submitted', 'writing-exif');
+ * `image-done` {profile, imagePath, promptId, outcome} with outcome 'success', 'failed',
+ * 'skipped' or 'deferred' (queued again).
+ */
+class Manager extends EventEmitter {
     constructor(fileManager, exifWriter, logger, options) {
+        super();
         this.fileManager = fileManager;
         // Store the original exifWriter mainly for single mode or potential shared config access
         this.sharedExifWriter = exifWriter;
         this.logger = logger;
         this.options = options;
+        this.journal = null; // Opened in run()
+        this.report = null; // Per-image report of the run, written when it ends
+        this.profilePool = null; // Browser profiles of the run and their usage-limit cooldowns
+        this.profileSummaries = new Map(); // Profile name -> counts over the whole run
+        this.folderMapping = null; // Resolved --mapping (recursive mode)
+        this.batchCount = 0; // Ids of the batches (tabs) in progress events
+        this.stopRequested = null; // What asked for a graceful shutdown (e.g. 'SIGINT'), see requestStop
+        // Aborted when the shutdown timeout passes; handlers give up the work in flight
+        this.shutdownController = new AbortController();
+        this.shutdownDeadline = new Promise(resolve => this.shutdownController.signal.addEventListener('abort', resolve, { once: true }));
+        // Every image is submitted once per prompt; a single classic prompt has id null
+        this.prompts = options.prompts || [{ id: null, template: options.prompt }];
         this.logger.info('Manager initialized.');
     }
 
     /** Runs the main processing loop. */
     async run() {
         await this.ensureOutputDir();
-        if (this.options.recurse) {
-            await this.runRecursiveMode();
-        } else {
-            await this.runSingleMode();
+        this.journal = new RunJournal(this.logger, this.options);
+        await this.journal.open();
+        this.logger = childLogger(this.logger, { runId: this.journal.runId }); // Labels every line of the run
+        this.report = new RunReport(this.logger, this.options, this.journal);
+        try {
+            if (this.options.recurse) {
+                await this.runRecursiveMode();
+            } else {
+                await this.runSingleMode();
+            }
+        } finally {
+            await this.journal.close();
+            await this.report.write({ profiles: Object.fromEntries(this.profileSummaries) });
         }
         // No global cleanup here; handled within modes or on process exit
         this.logger.info("Manager run finished.");
     }
 
-    /** Executes processing logic for paired directories CONCURRENTLY. */
+    /**
+     * Executes the images of every input subdirectory with every profile in --userDataDir.
+     * All images go into one shared queue; up to --concurrency profiles work on it at once,
+     * each with its own browser and ExifWriter, and a profile that is free takes the next image
+     * it may process. A --mapping file restricts folders to profiles and may give those profiles
+     * their own platform and URL, and the folders their own prompt.
+     */
     async runRecursiveMode() {
         this.logger.info(`Starting processing in RECURSIVE mode (Concurrency: ${this.options.concurrency})...`);
-        const aggregateSummary = { processed: 0, skipped: 0, success: 0, failed: 0, submitErrors: 0, exifErrors: 0 };
+        const aggregateSummary = emptySummary();
         let inputSubDirs = [];
-        let userDataSubDirs = [];
-        let numPairs = 0;
+        let queue = null;
+        // API platforms run without a browser: their workers share the null profile
+        const requiresBrowser = handlerFactory.resolveHandlerClass(this.options)?.HandlerClass.requiresBrowser !== false;
 
         try {
             inputSubDirs = await this.fileManager.findSubdirectories(this.options.input);
-            userDataSubDirs = await this.fileManager.findSubdirectories(this.options.userDataDir);
+            // Browsers the user started with remote debugging replace the profile directories
+            const endpoints = this.options.browserEndpoints || [];
+            let profiles = !requiresBrowser ? [null]
+                : endpoints.length > 0 ? endpoints : await this.fileManager.findSubdirectories(this.options.userDataDir);
+            if (inputSubDirs.length === 0) { this.logger.warn("No input subdirectories found."); return; }
 
-            numPairs = Math.min(inputSubDirs.length, userDataSubDirs.length);
-            if (inputSubDirs.length !== userDataSubDirs.length) {
-                this.logger.warn(`Mismatch count: Found ${inputSubDirs.length} inputs, ${userDataSubDirs.length} profiles. Processing ${numPairs} pairs.`);
-            } else { this.logger.info(`Found ${numPairs} pairs of directories.`); }
-            if (numPairs === 0) { this.logger.warn("No matching pairs found."); return; }
+            // Check the folder mapping before anything starts
+            if (this.options.folderMapping) {
+                if (!requiresBrowser) throw new Error('--mapping assigns folders to browser profiles, but the platform of this run uses no browser.');
+                this.folderMapping = await folderMapping.resolveMapping(this.options.folderMapping, {
+                    inputDir: this.options.input, inputSubDirs, userDataDir: this.options.userDataDir, profileDirs: profiles, options: this.options,
+                });
+                profiles = this.folderMapping.profiles;
+                this.logger.info(`Folder mapping: ${this.options.folderMapping.length} rule(s) assign folders to ${this.folderMapping.profileSettings.size} profile(s); ` +
+                    `${this.folderMapping.unmappedProfiles.length} profile(s) take the unmapped folders.`);
+            }
+            if (profiles.length === 0) { this.logger.warn("No profile subdirectories found."); return; }
 
-            const limit = pLimit(this.options.concurrency);
-            const tasks = [];
-
-            for (let i = 0; i < numPairs; i++) {
-                const currentInputPath = inputSubDirs[i];
-                const currentUserDataPath = userDataSubDirs[i];
-                const inputDirName = path.basename(currentInputPath);
-                const profileDirName = path.basename(currentUserDataPath);
-
-                // Define the async task function for p-limit
-                const task = async () => {
-                    this.logger.info(`\n▶️ Starting Task for Pair: Input [${inputDirName}] <-> Profile [${profileDirName}]`);
-                    let browserForPair = null;
-                    let page = null;
-                    let handler = null;
-                    // --- Create SEPARATE ExifWriter for this task ---
-                    let exifWriterForPair = null;
-                    let pairResult = { processed: 0, skipped: 0, success: 0, failed: 0, submitErrors: 0, exifErrors: 0 };
+            // Scan every folder's images up front so prompt variables are checked before any browser starts
+            const folders = [];
+            for (const inputSubDir of inputSubDirs) {
+                const rule = this.folderMapping?.folders.get(inputSubDir) ?? null;
+                const folderProfiles = rule ? rule.profilePaths : (this.folderMapping?.unmappedProfiles ?? null);
+                if (folderProfiles?.length === 0) {
+                    this.logger.warn(`Skipping folder ${path.basename(inputSubDir)}: no mapping rule matches it and every profile is mapped to other folders.`);
+                    continue;
+                }
+                const imagePaths = await this.fileManager.findImageFiles(inputSubDir, false);
+                this.logger.info(`Found ${imagePaths.length} image(s) in ${path.basename(inputSubDir)}` +
+                    `${rule ? ` (mapped to ${rule.profilePaths.map(ProfilePool.nameOf).join(', ')} by ${rule.source})` : ''}.`);
+                folders.push({ imagePaths, prompts: rule?.prompt ? [{ id: null, template: rule.prompt }] : this.prompts, profiles: folderProfiles });
+            }
+            await this.preflightPrompts(folders.map(folder => folder.imagePaths), this.sharedExifWriter, folders.map(folder => folder.prompts));
 
-                    try {
-                        // --- Instantiate ExifWriter for this pair ---
-                        exifWriterForPair = new ExifWriter(this.logger, this.options);
-
-                        this.logger.info(`Launching browser for profile: ${profileDirName}...`);
-                        const launchOptions = { /* ... launch options using currentUserDataPath ... */
-                            headless: this.options.headless,
-                            executablePath: "C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe",
-                            timeout: this.options.navigationTimeout || 60000,
-                            protocolTimeout: 600000,
-                            userDataDir: currentUserDataPath,
-                            defaultViewport: null,
-                            args: this.options.browserArgs,
-                        };
-                        browserForPair = await puppeteer.launch(launchOptions);
-                        this.logger.info(`Browser launched for profile: ${profileDirName}`);
-
-                        handler = handlerFactory.getHandler(this.options, this.logger);
-                        page = await browserForPair.newPage();
-                        page.setDefaultNavigationTimeout(this.options.navigationTimeout || 60000);
-                        page.setDefaultTimeout(this.options.actionTimeout || 30000);
-                        this.logger.info('Page created.');
-
-                        const initialUrl = this.options.url || this.options.chatgptUrl || this.options.geminiUrl;
-                        if (!initialUrl) throw new Error("Target URL not defined.");
-                        await page.goto(initialUrl, { waitUntil: 'networkidle2', timeout: this.options.navigationTimeout });
-                        this.logger.info('Initial navigation complete.');
-
-                        // Initial Readiness Check
-                        const platformKey = handler.platformKey;
-                        const readySelectors = this.options.selectors?.[platformKey]?.readySelectors || [];
-                        if (readySelectors.length > 0) {
-                            await Promise.all(readySelectors.map(s => page.waitForSelector(s, { visible: true, timeout: 20000 })));
-                            this.logger.info('Initial page readiness confirmed.');
-                        } else { await new Promise(resolve => setTimeout(resolve, 3000));}
-
-
-                        // Process images for this pair, passing the DEDICATED exifWriter
-                        const imagePaths = await this.fileManager.findImageFiles(currentInputPath, false);
-                        this.logger.info(`Found ${imagePaths.length} image(s) in ${inputDirName}.`);
-                        if(imagePaths.length > 0){
-                            // Pass the dedicated exif writer instance to the batch processor
-                            pairResult = await this.processImageBatch(page, handler, imagePaths, exifWriterForPair);
-                        } else { this.logger.info(`No images to process in ${inputDirName}.`); }
-
-                    } catch (pairError) {
-                        this.logger.error(`Error processing pair (Input: ${inputDirName}, Profile: ${profileDirName}): ${pairError.message}`, { stack: pairError.stack });
-                        // Result will be default (zeros), handle aggregation below
-                    } finally {
-                        // --- Close browser AND ExifWriter for this pair ---
-                        this.logger.info(`Closing browser for profile: ${profileDirName}`);
-                        if (browserForPair) await browserForPair.close().catch(e => this.logger.error(`Error closing browser: ${e.message}`));
-                        // Cleanup specific exiftool instance for this pair
-                        if (exifWriterForPair) await exifWriterForPair.cleanup();
-                        this.logger.info(`⏹️ Finished Task for Pair: Input [${inputDirName}] <-> Profile [${profileDirName}]`);
+            queue = new JobQueue(folders.flatMap(folder => JobQueue.entriesFor(folder.imagePaths, folder.prompts, folder.profiles)));
+            if (queue.size === 0) { this.logger.warn("No images found."); return; }
+            await this.journalQueued(queue);
+            // Profiles start in order as --concurrency allows and stop when nothing is left for them;
+            // idle ones may take over from profiles that hit their usage limit
+            this.profilePool = new ProfilePool(profiles, this.logger);
+            const workerProfiles = requiresBrowser ? profiles : Array(this.options.concurrency).fill(null);
+            this.logger.info(`Queued ${queue.size} image submission(s) from ${folders.length} folder(s) for ${requiresBrowser ? profiles.length : 'the API'} profile(s).`);
+
+            // Opens a browser with a profile of the pool and the profile's platform in one tab per slot
+            const openSession = async (profilePath, slotCount) => {
+                const sessionOptions = this.sessionOptions(profilePath);
+                const profileName = ProfilePool.nameOf(profilePath);
+                const logger = this.contextLogger(requiresBrowser ? profileName : 'api');
+                const handlers = Array.from({ length: slotCount }, () => handlerFactory.getHandler(sessionOptions, logger));
+                if (!handlers[0].constructor.requiresBrowser) {
+                    return { slots: handlers.map(handler => ({ page: null, handler })), close: async () => {} };
+                }
+                logger.info(`Opening browser for profile: ${profileName}...`);
+                const browser = await browserFactory.openBrowser(this.options, profilePath, logger);
+                const close = async () => {
+                    logger.info(`Closing browser for profile: ${profileName}`);
+                    await browserFactory.closeBrowser(browser, logger).catch(e => logger.error(`Error closing browser: ${e.message}`));
+                };
+                try {
+                    logger.info(`Browser ready for profile: ${profileName}`);
+                    const slots = [];
+                    for (const [i, handler] of handlers.entries()) {
+                        const page = await browserFactory.newPage(this.options, browser);
+                        logger.info(`Page ${i + 1}/${slotCount} created for profile: ${profileName}.`);
+                        await this.openPlatformPage(page, handler, logger);
+                        slots.push({ page, handler });
                     }
-                    return pairResult; // Return summary for this pair
-                }; // End task definition
-                tasks.push(limit(() => task()));
-            } // End for loop creating tasks
+                    return { slots, close };
+                } catch (error) {
+                    await close();
+                    throw error;
+                }
+            };
 
-            // --- Run Tasks Concurrently ---
-            this.logger.info(`Running ${tasks.length} tasks with concurrency limit ${this.options.concurrency}...`);
-            const results = await Promise.all(tasks);
+            const limit = pLimit(this.options.concurrency);
+            const workers = workerProfiles.map(profilePath => limit(async () => {
+                const workerName = requiresBrowser ? ProfilePool.nameOf(profilePath) : 'api';
+                if (this.stopRequested) return null;
+                if (queue.filtered(this.acceptsProfile(profilePath)).size === 0) {
+                    this.contextLogger(workerName).debug(`Nothing left in the queue for profile [${workerName}].`);
+                    return null;
+                }
+                // A worker may have moved onto this profile after a usage limit; it works for both
+                if (!this.profilePool.acquire(profilePath)) return null;
+                const logger = this.contextLogger(workerName);
+                logger.info(`\n▶️ Starting worker with profile [${workerName}]`);
+                // --- Create SEPARATE ExifWriter for this worker ---
+                const exifWriterForWorker = new ExifWriter(logger, this.options);
+                try {
+                    return await this.runProfileWorker(queue, exifWriterForWorker, profilePath, openSession, requiresBrowser ? null : 'api');
+                } catch (workerError) {
+                    logger.error(`Error in worker with profile [${workerName}]: ${workerError.message}`, { stack: workerError.stack });
+                    return null;
+                } finally {
+                    // Cleanup specific exiftool instance for this worker
+                    await exifWriterForWorker.cleanup();
+                    logger.info(`⏹️ Finished worker with profile [${workerName}]`);
+                }
+            }));
 
             // --- Aggregate Results ---
-            this.logger.info("Aggregating results from all pairs...");
+            const results = await Promise.all(workers);
+            this.logger.info("Aggregating results from all workers...");
             results.forEach(summary => {
-                if (summary) { // Ensure summary object exists
-                    aggregateSummary.processed += summary.processed;
-                    aggregateSummary.skipped += summary.skipped;
-                    aggregateSummary.success += summary.success;
-                    aggregateSummary.failed += summary.failed;
-                    aggregateSummary.submitErrors += summary.submitErrors;
-                    aggregateSummary.exifErrors += summary.exifErrors;
-                }
+                if (summary) addSummary(aggregateSummary, summary);
             });
+            if (queue.size > 0) {
+                this.logger.warn(`${queue.size} image submission(s) are still queued; continue them later with --resume ${this.journal?.runId}.`);
+            }
 
         } catch (error) {
             this.logger.error(`Manager recursive run failed: ${error.message}`, { stack: error.stack });
         } finally {
+            // The shared ExifWriter is only used for the prompt pre-flight in this mode
+            await this.sharedExifWriter.cleanup();
             // Log Final Aggregated Recursive Summary
             this.logger.info('================ Recursive Run Summary ================');
-            this.logger.info(`Total Input Dirs Processed: ${numPairs ?? 0}`);
+            this.logger.info(`Total Input Dirs Processed: ${inputSubDirs.length}`);
             this.logger.info(`Total Files Skipped:        ${aggregateSummary.skipped}`);
             this.logger.info(`Total Files Attempted:      ${aggregateSummary.processed}`);
             this.logger.info(`Total Success Count:        ${aggregateSummary.success}`);
             this.logger.info(`Total Failed Count:         ${aggregateSummary.failed}`);
             this.logger.info(`Total Submit Phase Errors:  ${aggregateSummary.submitErrors}`);
             this.logger.info(`Total EXIF Write Errors:    ${aggregateSummary.exifErrors}`);
+            this.logger.info(`Total Generated Images:     ${aggregateSummary.outputsSaved}`);
+            this.logger.info(`Total Deferred (Limit/Login): ${aggregateSummary.deferred}`);
+            this.logProfileSummaries();
+            this.logProfilesNeedingLogin();
             this.logger.info('=======================================================');
         }
     }
 
+    /**
+     * Opens the handler's target URL and waits until the page is ready (its readySelectors, or a
+     * short fixed delay when it declares none).
+     * @param {import('puppeteer').Page} page
+     * @param {BaseHandler} handler
+     * @param {object} [logger=this.logger] - Logger with the profile's context.
+     * @throws {LoginRequiredError} If the profile is logged out: a login page never gets ready.
+     */
+    async openPlatformPage(page, handler, logger = this.logger) {
+        const initialUrl = handler.targetUrl();
+        if (!initialUrl) throw new Error("Target URL not defined.");
+        await page.goto(initialUrl, { waitUntil: 'networkidle2', timeout: this.options.navigationTimeout });
+        logger.info('Initial navigation complete.');
+        await handler.ensureLoggedIn(page);
+        logger.info('Performing initial page readiness check...');
+        const readySelectors = this.options.selectors?.[handler.platformKey]?.readySelectors || [];
+        if (readySelectors.length > 0) {
+            try {
+                await handler.waitForReady(page, 20000);
+            } catch (error) {
+                await handler.ensureLoggedIn(page); // The login page may only show up late
+                throw error;
+            }
+            logger.info('Initial page readiness confirmed.');
+        } else { await new Promise(resolve => setTimeout(resolve, 3000)); }
+    }
+
     /** Executes original single-directory processing logic. */
     async runSingleMode() {
         this.logger.info('Starting processing in SINGLE mode...');
-        let page = null;
-        let handler = null;
         let imagePaths = [];
-        let resultSummary = { processed: 0, skipped: 0, success: 0, failed: 0, submitErrors: 0, exifErrors: 0 };
+        let resultSummary = emptySummary();
         const exifWriterInstance = this.sharedExifWriter; // Use the shared instance for single mode
 
         try {
             const userDataDir = this.options.userDataDir;
-            this.logger.info(`Using User Data Dir: ${userDataDir || 'None (Default Profile)'}`);
+            const endpoint = this.options.browserEndpoints?.[0] || null;
+            if (endpoint) {
+                this.logger.info(`Using the running browser at ${endpoint}${userDataDir ? ' (--userDataDir is not used)' : ''}`);
+                if (this.options.browserEndpoints.length > 1) this.logger.warn(`Single mode uses one browser; the other ${this.options.browserEndpoints.length - 1} endpoint(s) are for --recurse.`);
+            } else {
+                this.logger.info(`Using User Data Dir: ${userDataDir || 'None (Default Profile)'}`);
+            }
 
             imagePaths = await this.fileManager.findImageFiles(this.options.input, this.options.recurse);
             if (imagePaths.length === 0) { this.logger.warn("No images found."); return; }
             this.logger.info(`Found ${imagePaths.length} image(s) to process.`);
+            await this.preflightPrompts([imagePaths], exifWriterInstance);
+            const queue = new JobQueue(JobQueue.entriesFor(imagePaths, this.prompts));
+            await this.journalQueued(queue);
 
-            await browserFactory.launchBrowser(this.options, this.logger);
-            handler = handlerFactory.getHandler(this.options, this.logger);
-            page = await browserFactory.newPage(this.options);
-
-            const initialUrl = this.options.url || this.options.chatgptUrl || this.options.geminiUrl;
-            if (!initialUrl) throw new Error("Target URL not defined.");
-            await page.goto(initialUrl, { waitUntil: 'networkidle2', timeout: this.options.navigationTimeout });
-            this.logger.info('Initial navigation complete.');
-            this.logger.info('Performing initial page readiness check...');
-            const platformKey = handler.platformKey;
-            const readySelectors = this.options.selectors?.[platformKey]?.readySelectors || [];
-            if (readySelectors.length > 0) {
-                await Promise.all(readySelectors.map(s => page.waitForSelector(s, { visible: true, timeout: 20000 })));
-                this.logger.info('Initial page readiness confirmed.');
-            } else { await new Promise(resolve => setTimeout(resolve, 3000)); }
-
+            // A single profile: after a usage limit the batch waits for its cooldown
+            const openSession = async (profilePath, slotCount) => {
+                const logger = this.contextLogger(profilePath ? ProfilePool.nameOf(profilePath) : null);
+                const handlers = Array.from({ length: slotCount }, () => handlerFactory.getHandler(this.options, logger));
+                if (!handlers[0].constructor.requiresBrowser) {
+                    logger.info(`${handlers[0].constructor.name} calls its API directly (${handlers[0].targetUrl()}); no browser is launched.`);
+                    return { slots: handlers.map(handler => ({ page: null, handler })), close: async () => {} };
+                }
+                await browserFactory.launchBrowser(this.options, logger);
+                try {
+                    const slots = [];
+                    for (const handler of handlers) {
+                        const page = await browserFactory.newPage(this.options);
+                        await this.openPlatformPage(page, handler, logger);
+                        slots.push({ page, handler });
+                    }
+                    return { slots, close: () => browserFactory.close() };
+                } catch (error) {
+                    await browserFactory.close();
+                    throw error;
+                }
+            };
+            const profilePath = endpoint || userDataDir || null;
+            this.profilePool = new ProfilePool([profilePath], this.logger);
+            this.profilePool.acquire(profilePath);
             // Pass the shared exif writer instance
-            resultSummary = await this.processImageBatch(page, handler, imagePaths, exifWriterInstance);
+            resultSummary = await this.runProfileWorker(queue, exifWriterInstance, profilePath, openSession, null);
+            if (queue.size > 0) {
+                this.logger.warn(`${queue.size} image submission(s) are still queued; continue them later with --resume ${this.journal?.runId}.`);
+            }
 
         } catch (error) {
             this.logger.error(`Manager single run failed: ${error.message}`, { stack: error.stack });
@@ -214,105 +330,692 @@ class Manager {
             this.logger.info(`Failed Processing:      ${resultSummary.failed}`);
             this.logger.info(`Submit Phase Errors:    ${resultSummary.submitErrors}`);
             this.logger.info(`EXIF Write Errors:    ${resultSummary.exifErrors}`);
+            this.logger.info(`Generated Images Saved: ${resultSummary.outputsSaved}`);
+            this.logger.info(`Deferred (Limit/Login): ${resultSummary.deferred}`);
+            this.logProfilesNeedingLogin();
             this.logger.info('====================================================');
         }
     }
 
 
     /**
-     * Processes a batch of image files sequentially on a given page/handler.
+     * Works on the shared queue with a profile until the queue is empty. The profile's browser
+     * runs `profileSlots` tabs (API platforms: parallel requests) that each take the next image.
+     * When the platform reports its usage limit, the profile cools down until the limit resets
+     * (the time the platform names, or --usageLimitCooldown minutes): its tabs stop taking images
+     * and the ones it could not finish go back to the queue. Then, per --onUsageLimit, the worker
+     * moves to another available profile ('rotate'; waits when none is free), waits for the
+     * cooldown ('wait') or leaves the rest to the other workers and a later --resume ('stop').
+     * A profile found logged out leaves the run the same way (see requireLogin); the worker
+     * moves to another available profile if there is one.
+     * @param {JobQueue} queue - Submissions shared by all workers.
+     * @param {ExifWriter} exifWriterInstance - The ExifWriter instance of this worker.
+     * @param {string|null} profilePath - Profile to start with, already acquired from the pool; released when done.
+     * @param {function(string|null, number): Promise<{slots: {page: import('puppeteer').Page|null, handler: BaseHandler}[], close: function(): Promise<void>}>} openSession
+     * Opens the platform with a profile, in the given number of slots.
+     * @param {string|null} [defaultProfileName=null] - Journal name of the null profile.
+     * @returns {Promise<object>} Summary object with counts for this worker.
+     */
+    async runProfileWorker(queue, exifWriterInstance, profilePath, openSession, defaultProfileName = null) {
+        const summary = emptySummary();
+        for (;;) {
+            const profileName = profilePath ? ProfilePool.nameOf(profilePath) : defaultProfileName;
+            const logger = this.contextLogger(profileName);
+            addProfileLog(profileName); // --profileLogs
+            const isStopped = () => this.profilePool.cooldownRemaining(profilePath) > 0 || this.profilePool.needsLogin(profilePath);
+            const profileQueue = queue.filtered(this.acceptsProfile(profilePath));
+            if (profileQueue.size === 0) { // Another worker finished the profile's folders
+                this.profilePool.release(profilePath);
+                return summary;
+            }
+            let session = null;
+            let results = [];
+            try {
+                session = await openSession(profilePath, this.profileSlots(profilePath));
+                // Every tab runs until the queue is empty, even if another one fails
+                results = await Promise.allSettled(session.slots.map(async ({ page, handler }) => {
+                    const batch = await this.processImageBatch(page, handler, profileQueue, exifWriterInstance, profileName, isStopped);
+                    // The first tab at the limit cools the profile down (or the first logged out one
+                    // takes it out of the run), which stops its other tabs
+                    if (batch.loginRequired) await this.requireLogin(profilePath, batch.loginRequired);
+                    else if (batch.usageLimit && !isStopped()) this.coolDownProfile(profilePath, batch.usageLimit);
+                    return batch;
+                }));
+            } catch (error) {
+                if (!(error instanceof LoginRequiredError)) throw error;
+                await this.requireLogin(profilePath, error.loginRequired); // Logged out before the first image
+            } finally {
+                await session?.close();
+                this.profilePool.release(profilePath);
+            }
+            const batches = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+            for (const batch of batches) {
+                addSummary(summary, batch.summary);
+                addSummary(this.profileSummary(profileName ?? ProfilePool.nameOf(profilePath)), batch.summary);
+            }
+            const failure = results.find(result => result.status === 'rejected');
+            if (failure) throw failure.reason;
+            if (this.stopRequested) return summary;
+            if (this.profilePool.needsLogin(profilePath)) {
+                if (profileQueue.size === 0) return summary;
+                const otherProfile = this.profilePool.acquireAvailable(candidate => this.canTakeOver(candidate, profilePath, queue));
+                if (otherProfile === undefined) {
+                    logger.warn(`No free profile can take over from profile ${ProfilePool.nameOf(profilePath)}; ${profileQueue.size} image submission(s) ` +
+                        `are left to the other profiles or a later --resume ${this.journal?.runId}.`);
+                    return summary;
+                }
+                logger.info(`Moving from logged-out profile ${ProfilePool.nameOf(profilePath)} to profile ${ProfilePool.nameOf(otherProfile)} (${profileQueue.size} image submission(s) queued).`);
+                profilePath = otherProfile;
+                continue;
+            }
+            if (!batches.some(batch => batch.usageLimit) || profileQueue.size === 0) return summary;
+
+            if (this.options.onUsageLimit === 'stop') {
+                logger.warn(`Profile ${ProfilePool.nameOf(profilePath)} stops at its usage limit; ${profileQueue.size} image submission(s) are left to the other profiles or a later --resume ${this.journal?.runId}.`);
+                return summary;
+            }
+            profilePath = await this.waitForProfile(profilePath, queue); // Acquires the profile it returns
+            if (profilePath === undefined) return summary;
+        }
+    }
+
+    /**
+     * Puts a profile in cooldown after a usage limit: until the time the platform names, or for
+     * --usageLimitCooldown minutes.
+     * @param {string|null} profilePath - Profile that hit the limit.
+     * @param {{message: string, retryAt: string|null}} usageLimit - The limit the platform reported.
+     */
+    coolDownProfile(profilePath, usageLimit) {
+        const retryAt = usageLimit.retryAt ? new Date(usageLimit.retryAt) : null;
+        const cooldownEnd = retryAt && retryAt > Date.now() ? retryAt : new Date(Date.now() + this.options.usageLimitCooldown * 60000);
+        this.profilePool.coolDown(profilePath, cooldownEnd, usageLimit.message);
+    }
+
+    /**
+     * Takes a logged-out profile out of the run and records its "needs-login" state in the
+     * profile directory (see the `login` command). Its images stay queued; no counter changes.
+     * @param {string|null} profilePath - Profile that is logged out.
+     * @param {{message: string, url: string|null, platform: string}} loginRequired - What showed it.
+     */
+    async requireLogin(profilePath, loginRequired) {
+        if (this.profilePool.needsLogin(profilePath)) return; // Another tab of the profile reported it
+        const logger = this.contextLogger(ProfilePool.nameOf(profilePath));
+        this.profilePool.requireLogin(profilePath, loginRequired.message);
+        if (browserFactory.isEndpoint(profilePath)) {
+            logger.error(`Log in to ${loginRequired.platform} in the browser at ${profilePath}, then continue with --resume ${this.journal?.runId}.`);
+            return;
+        }
+        if (!profilePath) {
+            logger.error(`Log in to ${loginRequired.platform} with a profile (see the login command and --userDataDir), then continue with --resume ${this.journal?.runId}.`);
+            return;
+        }
+        logger.error(`Log in with: node index.js login --profile "${profilePath}" --platform ${loginRequired.platform}, then continue with --resume ${this.journal?.runId}.`);
+        try {
+            await recordSessionState(profilePath, loginRequired.platform, {
+                status: 'needs-login', detectedAt: new Date().toISOString(), message: loginRequired.message, url: loginRequired.url,
+            });
+        } catch (error) {
+            logger.warn(`Could not record the login state of profile ${ProfilePool.nameOf(profilePath)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Number of images a profile works on at once: --profileConcurrency, which the config may
+     * set per profile name (`{ "profile-a": 2, "*": 1 }`).
+     * @param {string|null} profilePath - Profile directory.
+     * @returns {number}
+     */
+    profileSlots(profilePath) {
+        const setting = this.options.profileConcurrency ?? 1;
+        const slots = typeof setting === 'object' ? (setting[ProfilePool.nameOf(profilePath)] ?? setting['*'] ?? 1) : setting;
+        return Math.max(1, Math.floor(Number(slots)) || 1);
+    }
+
+    /**
+     * Finds the profile to continue with after its profile hit the usage limit: another
+     * available profile that can take over its folders with --onUsageLimit rotate, else the same
+     * profile once its cooldown ends. Gives up when the other workers have taken what was left
+     * for the profile meanwhile.
+     * @param {string|null} profilePath - Profile that is cooling down.
+     * @param {JobQueue} queue - Submissions shared by all workers.
+     * @returns {Promise<string|null|undefined>} The acquired profile, or undefined if nothing is left to do.
+     */
+    async waitForProfile(profilePath, queue) {
+        const rotate = this.options.onUsageLimit === 'rotate';
+        const profileQueue = queue.filtered(this.acceptsProfile(profilePath));
+        const logger = this.contextLogger(ProfilePool.nameOf(profilePath));
+        let announced = false;
+        for (;;) {
+            if (this.stopRequested) return undefined;
+            if (profileQueue.size === 0) {
+                logger.info(`No image submissions left for profile ${ProfilePool.nameOf(profilePath)}; the other profiles finished them.`);
+                return undefined;
+            }
+            let acquired = false;
+            if (rotate) {
+                const otherProfile = this.profilePool.acquireAvailable(candidate => this.canTakeOver(candidate, profilePath, queue));
+                acquired = otherProfile === profilePath; // Its own cooldown ended first
+                if (otherProfile !== undefined && !acquired) {
+                    logger.info(`Moving from profile ${ProfilePool.nameOf(profilePath)} to profile ${ProfilePool.nameOf(otherProfile)} (${profileQueue.size} image submission(s) queued).`);
+                    return otherProfile;
+                }
+            }
+            const waitMs = this.profilePool.cooldownRemaining(profilePath);
+            if (waitMs === 0 && (acquired || this.profilePool.acquire(profilePath))) {
+                logger.info(`Usage limit of profile ${ProfilePool.nameOf(profilePath)} has reset. Continuing with ${profileQueue.size} queued image submission(s).`);
+                return profilePath;
+            }
+            if (!announced) {
+                const waitText = waitMs < 60000 ? `${Math.ceil(waitMs / 1000)} s` : `${Math.ceil(waitMs / 60000)} min`;
+                logger.warn(`Waiting ${waitText} for the usage limit of profile ${ProfilePool.nameOf(profilePath)} to reset` +
+                    `${rotate ? ' (or another profile to become available)' : ''}...`);
+                announced = true;
+            }
+            // Waiting workers look for freed profiles and an emptied queue now and then
+            await new Promise(resolve => setTimeout(resolve, Math.max(1000, Math.min(waitMs, 30000))));
+        }
+    }
+
+    /** Whether a profile may process a queued submission (--mapping restricts folders to profiles). */
+    acceptsProfile(profilePath) {
+        return entry => !entry.profiles || entry.profiles.includes(profilePath);
+    }
+
+    /**
+     * Platform and URL a profile opens: its --mapping settings, else the run's.
+     * @param {string|null} profilePath - Profile directory.
+     * @returns {object} Options for the profile's handlers.
+     */
+    sessionOptions(profilePath) {
+        const settings = this.folderMapping?.profileSettings.get(profilePath);
+        if (!settings || (!settings.platform && !settings.url)) return this.options;
+        return { ...this.options, platform: settings.platform, url: settings.url };
+    }
+
+    /**
+     * Whether a profile can continue the work of another one: it opens the same platform and may
+     * process every submission still queued for the other profile.
+     * @param {string|null} candidate - Profile that would take over.
+     * @param {string|null} profilePath - Profile that hit its usage limit.
+     * @param {JobQueue} queue - Submissions shared by all workers.
+     * @returns {boolean}
+     */
+    canTakeOver(candidate, profilePath, queue) {
+        if (candidate === profilePath) return true;
+        const candidateOptions = this.sessionOptions(candidate);
+        const profileOptions = this.sessionOptions(profilePath);
+        if (candidateOptions.platform !== profileOptions.platform || candidateOptions.url !== profileOptions.url) return false;
+        const acceptsCandidate = this.acceptsProfile(candidate);
+        return queue.entries.filter(this.acceptsProfile(profilePath)).every(acceptsCandidate);
+    }
+
+    /** Summary of a profile over the whole run, created on first use. */
+    profileSummary(profileName) {
+        if (!this.profileSummaries.has(profileName)) this.profileSummaries.set(profileName, emptySummary());
+        return this.profileSummaries.get(profileName);
+    }
+
+    /** Logs what each profile did in the run. */
+    logProfileSummaries() {
+        if (this.profileSummaries.size === 0) return;
+        this.logger.info('---------------------- Per Profile ----------------------');
+        for (const [profileName, summary] of this.profileSummaries) {
+            this.logger.info(`${profileName}: ${summary.processed} attempted, ${summary.success} succeeded, ${summary.failed} failed, ` +
+                `${summary.skipped} skipped, ${summary.deferred} deferred, ${summary.outputsSaved} generated image(s)`);
+        }
+    }
+
+    /** Logs the profiles found logged out in the run. */
+    logProfilesNeedingLogin() {
+        const loggedOut = [...(this.profilePool?.profiles.values() || [])].filter(profile => profile.loginRequired);
+        if (loggedOut.length > 0) {
+            this.logger.warn(`Needs login: ${loggedOut.map(profile => ProfilePool.nameOf(profile.path)).join(', ')} (see the login command).`);
+        }
+    }
+
+    /**
+     * Starts a graceful shutdown: no new image is taken, the images in flight are settled and
+     * their outcomes written, then the run ends as usual, closing the browsers and exiftool and
+     * logging its summary. Work still in flight --shutdownTimeout seconds later is given up on
+     * (see reachShutdownDeadline); everything left stays in the journal for --resume.
+     * @param {string} reason - What asked for it, e.g. 'SIGINT'.
+     */
+    requestStop(reason) {
+        if (this.stopRequested) return;
+        this.stopRequested = reason;
+        this.logger.warn(`Stopping (${reason}): no new images are taken; waiting up to ${this.options.shutdownTimeout} s for the images in flight.`);
+        setTimeout(() => this.reachShutdownDeadline(), this.options.shutdownTimeout * 1000).unref();
+    }
+
+    /**
+     * Gives up on the work still in flight at shutdown: aborts the signal handed to the handlers,
+     * which cancels their API requests and saves nothing more; batches close their pages.
+     */
+    reachShutdownDeadline() {
+        if (this.shutdownController.signal.aborted) return;
+        this.logger.warn(`Shutdown timeout of ${this.options.shutdownTimeout} s reached; giving up on the images still in flight.`);
+        this.shutdownController.abort();
+    }
+
+    /**
+     * Awaits work in flight, unless a shutdown was requested and its timeout has passed.
+     * @param {Promise<*>} work - E.g. a handler's processImage.
+     * @returns {Promise<*>} The work's result, or SHUTDOWN_TIMED_OUT.
+     */
+    async untilShutdownDeadline(work) {
+        work.catch(() => {}); // Work given up on may still fail once its browser closes
+        return Promise.race([work, this.shutdownDeadline.then(() => SHUTDOWN_TIMED_OUT)]);
+    }
+
+    /** Emits a `progress` event (see the class description). */
+    emitProgress(type, details) {
+        this.emit('progress', { type, ...details });
+    }
+
+    /**
+     * Logger labelling its lines with a profile and, optionally, an image (see childLogger in src/logger.js).
+     * @param {string|null} profileName - Profile the lines belong to.
+     * @param {string|null} [imagePath=null] - Source image they are about.
+     * @param {string|null} [promptId=null] - Prompt variant of the image.
+     * @returns {object}
+     */
+    contextLogger(profileName, imagePath = null, promptId = null) {
+        const context = { profile: profileName ?? undefined };
+        if (imagePath) {
+            context.inputDir = path.basename(path.dirname(imagePath));
+            context.image = path.basename(imagePath) + (promptId ? ` [${promptId}]` : '');
+        }
+        return childLogger(this.logger, context);
+    }
+
+    /**
+     * Journals every submission of a queue as queued, unless the resumed run already knows it,
+     * and lists it in the run report.
+     */
+    async journalQueued(queue) {
+        this.emitProgress('queued', { total: queue.size });
+        for (const { imagePath, job } of queue.entries) {
+            this.report?.queued(imagePath, job.id);
+            if (!this.journal?.getImageState(imagePath, job.id)) {
+                await this.journal?.record(imagePath, JOURNAL_STATES.QUEUED, { promptId: job.id ?? undefined });
+            }
+        }
+    }
+
+    /**
+     * Processes images from the queue sequentially on a given page/handler until the queue is empty.
+     * Every handler follows the same lifecycle (see BaseHandler): each `processImage` call
+     * submits the current image and returns the outcomes that became known, which are
+     * written to EXIF here; `settlePending` reports whatever is still outstanding at the end.
+     * Every state transition is recorded in the run journal; when resuming, images the
+     * interrupted run already settled are skipped and its pending result is settled first.
+     * When the platform reports its usage limit, or the profile turns out to be logged out, the
+     * batch stops: the affected images go back to the queue instead of counting as failed, before
+     * the submissions not yet started.
      * Uses the provided ExifWriter instance.
      * @param {import('puppeteer').Page} page
      * @param {BaseHandler} handler
-     * @param {string[]} imagePaths
+     * @param {JobQueue} queue - Submissions to take, possibly shared with other batches.
      * @param {ExifWriter} exifWriterInstance - The specific ExifWriter instance to use.
-     * @returns {Promise<object>} Summary object with counts for this batch.
+     * @param {string|null} [profileName=null] - Browser profile running this batch, recorded in the journal.
+     * @param {function(): boolean} [shouldStop] - Checked before each image; true stops taking images
+     * (e.g. another tab of the profile hit the usage limit).
+     * @returns {Promise<{summary: object, usageLimit: object|null, loginRequired: object|null}>} Counts for
+     * this batch, and the usage limit or logged-out state that stopped it.
      */
-    async processImageBatch(page, handler, imagePaths, exifWriterInstance) {
-        let summary = { processed: 0, skipped: 0, success: 0, failed: 0, submitErrors: 0, exifErrors: 0 };
-        let previousImagePath = null;
-        let successStatusForPreviousImage = null;
-        let fileIndex = 0;
-
-        for (const currentImagePath of imagePaths) {
-            fileIndex++;
-            const imageName = path.basename(currentImagePath);
-            this.logger.info(`---------------- Preparing file ${fileIndex}/${imagePaths.length}: ${imageName} ----------------`);
-
-            // --- Update EXIF for the PREVIOUS image (if status is known) ---
-            if (previousImagePath && successStatusForPreviousImage !== null) {
-                this.logger.info(`Updating EXIF for PREVIOUS image: ${path.basename(previousImagePath)} -> ${successStatusForPreviousImage}`);
-                // <<< Use the passed exifWriterInstance >>>
-                const keyToIncrement = successStatusForPreviousImage ? this.options.exifSuccessKey : this.options.exifFailedKey;
-                const exifUpdated = await exifWriterInstance.incrementCounter(previousImagePath, keyToIncrement);
-                if (exifUpdated) { if (successStatusForPreviousImage) summary.success++; else summary.failed++; }
-                else { summary.exifErrors++; }
+    async processImageBatch(page, handler, queue, exifWriterInstance, profileName = null, shouldStop = () => false) {
+        let summary = emptySummary();
+        let usageLimit = null;
+        let loginRequired = null;
+        let abandoned = false; // A shutdown stopped waiting for the handler
+        const batchLogger = this.contextLogger(profileName);
+        batchLogger.info(`Handler '${handler.platformKey}' reports results using the '${handler.completionStrategy}' strategy.`);
+        if (this.prompts.length > 1) batchLogger.info(`Prompt matrix: each image is submitted with ${this.prompts.length} prompts (${this.prompts.map(p => p.id).join(', ')}).`);
+
+        const batchId = ++this.batchCount;
+        this.emitProgress('batch-start', { batchId, profile: profileName });
+
+        // Journal the handler's progress ('uploaded', 'submitted') for crash-safe resume
+        const journalPhase = ({ phase, imagePath, context, ...details }) => {
+            this.journal?.record(imagePath, phase, { promptId: context?.promptId ?? undefined, profile: profileName, ...details });
+            this.emitProgress('phase', { batchId, imagePath, promptId: context?.promptId ?? null, phase });
+        };
+        handler.on('phase', journalPhase);
+        const reportScreenshot = ({ imagePath, context, screenshotPath }) => {
+            this.report?.screenshot(imagePath, context?.promptId ?? null, screenshotPath);
+        };
+        handler.on('screenshot', reportScreenshot);
+
+        // Outcomes the usage limit (or logout) kept from being judged: their jobs are queued again
+        const takenJobs = [];
+        const deferredJobs = [];
+        const handleOutcome = async (outcome) => {
+            if (!outcome.usageLimit && !outcome.loginRequired) {
+                this.emitProgress('phase', { batchId, imagePath: outcome.imagePath, promptId: outcome.context?.promptId ?? null, phase: 'writing-exif' });
+                return this.recordOutcome(outcome, exifWriterInstance, summary, profileName);
             }
-            successStatusForPreviousImage = null;
+            const promptId = outcome.context?.promptId ?? null;
+            const deferredJob = takenJobs.find(entry => entry.imagePath === outcome.imagePath && (entry.job.id ?? null) === promptId);
+            if (deferredJob) deferredJobs.push(deferredJob);
+            await this.deferOutcome(outcome, summary, profileName);
+        };
 
-            // --- Skip Check for CURRENT image ---
-            try {
-                // <<< Use the passed exifWriterInstance >>>
-                const existingData = await exifWriterInstance.getAppData(currentImagePath);
-                const existingSuccessCount = existingData?.[this.options.exifSuccessKey] || 0;
-                if (existingSuccessCount > 0 && this.options.skipIfCreated !== false) {
-                    this.logger.info(`⏭️ Skipping ${imageName} - already has successCount: ${existingSuccessCount}`);
-                    summary.skipped++;
-                    previousImagePath = null;
-                    continue;
+        try {
+            let imageJobs;
+            while (!usageLimit && !loginRequired && !this.stopRequested && !shouldStop() && (imageJobs = queue.takeImage())) {
+                takenJobs.push(...imageJobs);
+                for (const [position, entry] of imageJobs.entries()) {
+                    if (this.stopRequested) { // The image's other prompt variants wait for --resume
+                        queue.requeue(imageJobs.slice(position));
+                        break;
+                    }
+                    const { imagePath: currentImagePath, job, index: fileIndex, total } = entry;
+                    const imageName = path.basename(currentImagePath);
+                    const jobName = job.id ? `${imageName} [${job.id}]` : imageName;
+                    const logger = this.contextLogger(profileName, currentImagePath, job.id);
+                    if (position === 0) {
+                        logger.info(`---------------- Preparing file ${fileIndex}/${total}: ${imageName} ----------------`);
+                    }
+
+                    // --- Resume: settle what the interrupted run left behind for this image ---
+                    if (await this.resumeJournaledImage(page, handler, currentImagePath, job, exifWriterInstance, summary, profileName)) {
+                        continue;
+                    }
+
+                    // --- Skip Check for CURRENT image (and prompt variant) ---
+                    let existingData = null;
+                    try {
+                        // <<< Use the passed exifWriterInstance >>>
+                        existingData = await exifWriterInstance.getAppData(currentImagePath);
+                        const existingSuccessCount = this.successCountFor(existingData, job.id);
+                        if (existingSuccessCount > 0 && this.options.skipIfCreated !== false) {
+                            logger.info(`⏭️ Skipping ${jobName} - already has successCount: ${existingSuccessCount}`);
+                            summary.skipped++;
+                            this.emitProgress('image-done', { profile: profileName, imagePath: currentImagePath, promptId: job.id, outcome: 'skipped' });
+                            this.report?.skipped(currentImagePath, job.id, profileName, `already has successCount ${existingSuccessCount}`);
+                            continue;
+                        }
+                    } catch (readError) { logger.warn(`EXIF read error for ${imageName}: ${readError.message}. Proceeding.`); }
+
+                    // --- Process CURRENT image ---
+                    logger.info(`--- Submitting file ${fileIndex}/${total}: ${jobName} ---`);
+                    summary.processed++;
+                    const { prompt, unresolved } = await this.renderPrompt(job.template, currentImagePath, fileIndex, total, exifWriterInstance, existingData);
+                    if (unresolved.length > 0) {
+                        logger.warn(`Prompt variables without a value for ${jobName} (left empty): ${unresolved.map(name => `{${name}}`).join(', ')}`);
+                    }
+                    logger.debug(`Prompt for ${jobName}: ${prompt}`);
+                    const context = { promptId: job.id };
+                    this.report?.started(currentImagePath, job.id, { profile: profileName, platform: handler.platformKey, prompt });
+                    this.emitProgress('image-start', { batchId, profile: profileName, imagePath: currentImagePath, promptId: job.id });
+                    let outcomes = [];
+                    try {
+                        const result = await this.untilShutdownDeadline(handler.processImage(page, currentImagePath, prompt, context, this.shutdownController.signal));
+                        if (result === SHUTDOWN_TIMED_OUT) {
+                            logger.warn(`Stopped waiting for ${jobName} at shutdown; --resume ${this.journal?.runId} recovers or repeats it.`);
+                            abandoned = true;
+                            await page?.close().catch(() => {}); // Makes the handler's pending page calls fail
+                            queue.requeue(imageJobs.slice(position + 1));
+                            break;
+                        }
+                        logger.info(`Submission for ${jobName} reported as: ${result.submitted}. Outcomes reported: ${result.outcomes.length}`);
+                        if (!result.submitted && !result.usageLimit && !result.loginRequired) summary.submitErrors++;
+                        outcomes = result.outcomes;
+                        usageLimit = result.usageLimit || null;
+                        loginRequired = result.loginRequired || null;
+                    } catch (error) {
+                        logger.error(`Critical error processing ${jobName}: ${error.message}`, { stack: error.stack });
+                        summary.submitErrors++;
+                        outcomes = [handler.buildOutcome({ imagePath: currentImagePath, context, prompt }, { success: false, error: error.message })];
+                    }
+                    for (const outcome of outcomes) {
+                        await handleOutcome(outcome);
+                    }
+
+                    logger.info(`---------------- Finished SUBMIT phase for ${fileIndex}/${total}: ${jobName} ----------------`);
+                    if (usageLimit || loginRequired) {
+                        queue.requeue([...deferredJobs, ...imageJobs.slice(position + 1)]);
+                        break;
+                    }
+                    if (!this.stopRequested && (position < imageJobs.length - 1 || queue.size > 0)) {
+                        logger.info(`Waiting ${this.options.waitTimeout}ms before next file...`);
+                        await new Promise(resolve => setTimeout(resolve, this.options.waitTimeout));
+                    }
+                } // End for loop
+            }
+
+            // --- Settle the image whose result is still outstanding (pipelined handlers) ---
+            if (!usageLimit && !loginRequired && !abandoned) {
+                let pendingOutcomes = await this.untilShutdownDeadline(handler.settlePending(page, this.shutdownController.signal));
+                if (pendingOutcomes === SHUTDOWN_TIMED_OUT) {
+                    batchLogger.warn(`Stopped waiting for the pending result at shutdown; --resume ${this.journal?.runId} recovers or repeats its image.`);
+                    await page?.close().catch(() => {});
+                    pendingOutcomes = [];
                 }
-            } catch (readError) { this.logger.warn(`EXIF read error for ${imageName}: ${readError.message}. Proceeding.`); }
+                for (const outcome of pendingOutcomes) {
+                    await handleOutcome(outcome);
+                    if (outcome.usageLimit) usageLimit = outcome.usageLimit;
+                    if (outcome.loginRequired) loginRequired = outcome.loginRequired;
+                }
+                queue.requeue(deferredJobs);
+            }
+        } finally {
+            handler.off('phase', journalPhase);
+            handler.off('screenshot', reportScreenshot);
+            this.emitProgress('batch-end', { batchId });
+        }
 
-            // --- Process CURRENT image ---
-            this.logger.info(`--- Submitting file ${fileIndex}/${imagePaths.length}: ${imageName} ---`);
-            let attemptResult = null;
-            try {
-                summary.processed++;
-                // Handler determines success of PREVIOUS prompt just before submitting current
-                attemptResult = await handler.processImage(page, currentImagePath, this.options.prompt);
-
-                if (attemptResult && attemptResult.submitted !== undefined) {
-                    successStatusForPreviousImage = attemptResult.successStatusOfPrevious;
-                    this.logger.info(`Submission for ${imageName} reported as: ${attemptResult.submitted}. Status for previous: ${successStatusForPreviousImage}`);
-                    if(!attemptResult.submitted) summary.submitErrors++;
-                } else {
-                    this.logger.error(`Handler for ${imageName} did not return expected result object. Assuming submit failure.`);
-                    successStatusForPreviousImage = false;
-                    summary.submitErrors++;
+        if (usageLimit) batchLogger.warn(`Stopped the batch on profile ${profileName ?? 'default'} at a usage limit: ${usageLimit.message}`);
+        if (loginRequired) batchLogger.warn(`Stopped the batch on profile ${profileName ?? 'default'}: it is logged out (${loginRequired.message}).`);
+        return { summary, usageLimit, loginRequired };
+    }
+
+    /**
+     * When resuming a run, finishes an image according to its journaled state:
+     * EXIF already written -> skip; outcome known -> write EXIF; submitted -> ask the handler
+     * to recover the result. Images that were only queued or uploaded are processed normally.
+     * @returns {Promise<boolean>} True if the image needs no further processing.
+     */
+    async resumeJournaledImage(page, handler, imagePath, job, exifWriterInstance, summary, profileName) {
+        if (!this.journal?.resumed) return false;
+        const entry = this.journal.getImageState(imagePath, job.id);
+        const logger = this.contextLogger(profileName, imagePath, job.id);
+        const imageName = job.id ? `${path.basename(imagePath)} [${job.id}]` : path.basename(imagePath);
+        const context = { promptId: job.id };
+
+        switch (entry?.state) {
+            case JOURNAL_STATES.EXIF_WRITTEN:
+                logger.info(`⏭️ Skipping ${imageName} - already finished in run ${this.journal.runId}.`);
+                summary.skipped++;
+                this.emitProgress('image-done', { profile: profileName, imagePath, promptId: job.id, outcome: 'skipped' });
+                this.report?.restored(entry);
+                return true;
+            case JOURNAL_STATES.COMPLETED:
+            case JOURNAL_STATES.FAILED:
+                logger.info(`Resuming ${imageName}: outcome was recorded (${entry.state}) but EXIF was not written yet.`);
+                await this.recordOutcome({
+                    imagePath, context, success: !!entry.success, outputPaths: entry.outputPaths || [], error: entry.error,
+                    platform: entry.platform || handler.platformKey, prompt: entry.prompt ?? null,
+                    conversationUrl: entry.conversationUrl ?? null, timestamp: entry.ts,
+                }, exifWriterInstance, summary, profileName);
+                return true;
+            case JOURNAL_STATES.SUBMITTED: {
+                logger.info(`Resuming ${imageName}: it was submitted but its result is unknown. Trying to recover it...`);
+                let result = null;
+                try {
+                    result = await handler.recoverOutcome(page, imagePath, entry.conversationUrl || null);
+                } catch (error) {
+                    logger.warn(`Could not recover result of ${imageName}: ${error.message}`);
                 }
-            } catch (error) {
-                this.logger.error(`Critical error processing ${imageName}: ${error.message}`, { stack: error.stack });
-                successStatusForPreviousImage = false;
-                summary.submitErrors++;
-            } finally {
-                // Always store path for next iteration's EXIF update
-                previousImagePath = currentImagePath;
+                if (!result || result.usageLimit) {
+                    logger.info(`Result of ${imageName} is not recoverable. Submitting it again.`);
+                    return false;
+                }
+                const submission = { imagePath, context, prompt: entry.prompt ?? null, conversationUrl: entry.conversationUrl || null };
+                await this.recordOutcome(handler.buildOutcome(submission, result), exifWriterInstance, summary, profileName);
+                return true;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Writes an image outcome to the journal and EXIF, and adds it to the batch summary.
+     * The attempt's provenance (prompt, platform, thread, profile, outputs) is appended to the
+     * source image's history and written into every generated file.
+     * @param {import('./handlers/base_handler.js').ImageOutcome} outcome - Outcome reported by the handler.
+     * @param {ExifWriter} exifWriterInstance - The ExifWriter instance of this batch.
+     * @param {object} summary - Batch summary to update.
+     * @param {string|null} [profileName=null] - Browser profile that produced the outcome.
+     */
+    async recordOutcome(outcome, exifWriterInstance, summary, profileName = null) {
+        const promptId = outcome.context?.promptId ?? null;
+        const logger = this.contextLogger(profileName, outcome.imagePath, promptId);
+        const outcomeDetails = {
+            promptId: promptId ?? undefined, profile: profileName, success: outcome.success, outputPaths: outcome.outputPaths, error: outcome.error,
+            platform: outcome.platform, prompt: outcome.prompt, conversationUrl: outcome.conversationUrl,
+        };
+        await this.journal?.record(outcome.imagePath, outcome.success ? JOURNAL_STATES.COMPLETED : JOURNAL_STATES.FAILED, outcomeDetails);
+        logger.info(`Updating EXIF for ${path.basename(outcome.imagePath)} -> ${outcome.success}`);
+        this.logGeneratedOutputs(outcome.imagePath, outcome.outputPaths, summary, logger);
+
+        const attempt = {
+            timestamp: outcome.timestamp || new Date().toISOString(),
+            platform: outcome.platform || null,
+            prompt: outcome.prompt ?? null,
+            conversationUrl: outcome.conversationUrl ?? null,
+            profile: profileName,
+            promptId,
+            outcome: outcome.success ? 'success' : 'failed',
+            outputPaths: outcome.outputPaths,
+        };
+        if (outcome.error) attempt.error = outcome.error;
+        for (const outputPath of outcome.outputPaths) {
+            await exifWriterInstance.writeOutputProvenance(outputPath, { ...attempt, sourcePath: outcome.imagePath });
+        }
+
+        const keyToIncrement = outcome.success ? this.options.exifSuccessKey : this.options.exifFailedKey;
+        const exifUpdated = await exifWriterInstance.incrementCounter(outcome.imagePath, keyToIncrement, attempt, promptId);
+        if (exifUpdated) {
+            if (outcome.success) summary.success++; else summary.failed++;
+            await this.journal?.record(outcome.imagePath, JOURNAL_STATES.EXIF_WRITTEN, outcomeDetails);
+        }
+        else { summary.exifErrors++; }
+        this.report?.finished(outcome, profileName, exifUpdated);
+        this.emitProgress('image-done', { profile: profileName, imagePath: outcome.imagePath, promptId, outcome: outcome.success ? 'success' : 'failed' });
+    }
+
+    /**
+     * Queues an image again whose submission the platform's usage limit (or a logged-out profile)
+     * stopped. Nothing is written to EXIF: the attempt does not count as failed.
+     * @param {import('./handlers/base_handler.js').ImageOutcome} outcome - Outcome carrying `usageLimit` or `loginRequired`.
+     * @param {object} summary - Batch summary to update.
+     * @param {string|null} [profileName=null] - Browser profile that hit the limit.
+     */
+    async deferOutcome(outcome, summary, profileName = null) {
+        const imageName = path.basename(outcome.imagePath);
+        const logger = this.contextLogger(profileName, outcome.imagePath, outcome.context?.promptId);
+        logger.warn(`⏸️ ${imageName} deferred: ${outcome.usageLimit ? 'usage limit reached' : 'profile needs login'} (not counted as failed).`);
+        summary.processed--; // Submitted again later
+        summary.deferred++;
+        const reason = outcome.usageLimit
+            ? { usageLimit: outcome.usageLimit.message, retryAt: outcome.usageLimit.retryAt ?? undefined }
+            : { loginRequired: outcome.loginRequired.message };
+        await this.journal?.record(outcome.imagePath, JOURNAL_STATES.QUEUED, {
+            promptId: outcome.context?.promptId ?? undefined, profile: profileName, ...reason,
+        });
+        this.report?.deferred(outcome, profileName);
+        this.emitProgress('image-done', { profile: profileName, imagePath: outcome.imagePath, promptId: outcome.context?.promptId ?? null, outcome: 'deferred' });
+    }
+
+    /**
+     * Success count of an image for a prompt variant (or its top-level count for the classic single prompt).
+     * @param {object|null} appData - The image's app data.
+     * @param {string|null} promptId - Prompt variant.
+     * @returns {number}
+     */
+    successCountFor(appData, promptId) {
+        const counters = promptId ? appData?.prompts?.[promptId] : appData;
+        return counters?.[this.options.exifSuccessKey] || 0;
+    }
+
+    /**
+     * Renders a prompt template for one image of a batch.
+     * @param {string} template - Prompt template.
+     * @param {string} imagePath - Source image.
+     * @param {number} index - 1-based position of the image in its batch.
+     * @param {number} total - Number of images in the batch.
+     * @param {ExifWriter} exifWriterInstance - Used to read embedded metadata when the template needs it.
+     * @param {object|null} appData - The image's app data (counters), if already read.
+     * @returns {Promise<{prompt: string, unresolved: string[]}>}
+     */
+    async renderPrompt(template, imagePath, index, total, exifWriterInstance, appData) {
+        const tags = promptTemplate.needsMetadata(template) ? await exifWriterInstance.readTags(imagePath) : null;
+        return promptTemplate.renderPrompt(template, { imagePath, index, total, appData, tags });
+    }
+
+    /**
+     * Checks the prompt templates against every image before a browser is launched.
+     * Unknown variables abort the run; variables without a value for some images are reported.
+     * Image/prompt pairs that will be skipped as already created are not checked.
+     * @param {string[][]} batches - Image paths grouped by batch (their position gives {index}).
+     * @param {ExifWriter} exifWriterInstance - Used to read counters and embedded metadata.
+     * @param {Array<object[]|undefined>} [batchPrompts=[]] - Prompts of each batch, if not the run's (--mapping).
+     * @throws {Error} If the template uses unknown variables.
+     */
+    async preflightPrompts(batches, exifWriterInstance, batchPrompts = []) {
+        const templatedOf = prompts => prompts.filter(job => promptTemplate.listVariables(job.template).length > 0);
+        const templated = [...new Set(batches.flatMap((_, batchIndex) => templatedOf(batchPrompts[batchIndex] || this.prompts)))];
+        if (templated.length === 0) return;
+
+        for (const job of templated) {
+            const unknown = promptTemplate.findUnknownVariables(job.template, this.options);
+            if (unknown.length > 0) {
+                throw new Error(`Prompt${job.id ? ` '${job.id}'` : ''} uses unknown variable(s): ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+                    `Available: {filename}, {basename}, {parentDir}, {index}, {total}, {${this.options.exifSuccessKey}}, {${this.options.exifFailedKey}}, {exif.<Tag>}, {iptc.<Tag>}, {xmp.<Tag>}.`);
             }
+        }
 
-            this.logger.info(`---------------- Finished SUBMIT phase for ${fileIndex}/${imagePaths.length}: ${imageName} ----------------`);
-            if (fileIndex < imagePaths.length) {
-                this.logger.info(`Waiting ${this.options.waitTimeout}ms before next file...`);
-                await new Promise(resolve => setTimeout(resolve, this.options.waitTimeout));
+        this.logger.info(`Checking prompt variables of ${templated.length} prompt(s) for all images...`);
+        const missing = new Map(); // variable -> image names without a value
+        for (const [batchIndex, imagePaths] of batches.entries()) {
+            const batchTemplated = templatedOf(batchPrompts[batchIndex] || this.prompts);
+            for (const [position, imagePath] of imagePaths.entries()) {
+                if (batchTemplated.length === 0) break;
+                const appData = await exifWriterInstance.getAppData(imagePath);
+                for (const job of batchTemplated) {
+                    if (this.successCountFor(appData, job.id) > 0 && this.options.skipIfCreated !== false) continue;
+                    const { unresolved } = await this.renderPrompt(job.template, imagePath, position + 1, imagePaths.length, exifWriterInstance, appData);
+                    for (const name of unresolved) {
+                        if (!missing.has(name)) missing.set(name, new Set());
+                        missing.get(name).add(path.basename(imagePath));
+                    }
+                }
             }
-        } // End for loop
-
-        // --- Update EXIF for the VERY LAST image processed in the batch ---
-        if (previousImagePath && successStatusForPreviousImage !== null) {
-            this.logger.info(`Updating EXIF for FINAL image of batch: ${path.basename(previousImagePath)} -> ${successStatusForPreviousImage}`);
-            // <<< Use the passed exifWriterInstance >>>
-            const keyToIncrement = successStatusForPreviousImage ? this.options.exifSuccessKey : this.options.exifFailedKey;
-            const exifUpdated = await exifWriterInstance.incrementCounter(previousImagePath, keyToIncrement);
-            if (exifUpdated) { if (successStatusForPreviousImage) summary.success++; else summary.failed++; }
-            else { summary.exifErrors++; }
-        } else if (previousImagePath && successStatusForPreviousImage === null && summary.processed > 0) {
-            this.logger.warn(`Success status for last processed image (${path.basename(previousImagePath)}) undetermined. Marking as failed.`);
-            // <<< Use the passed exifWriterInstance >>>
-            const keyToIncrement = this.options.exifFailedKey;
-            const exifUpdated = await exifWriterInstance.incrementCounter(previousImagePath, keyToIncrement);
-            if (exifUpdated) summary.failed++; else summary.exifErrors++;
         }
+        if (missing.size === 0) {
+            this.logger.info('All prompt variables resolved.');
+            return;
+        }
+        for (const [name, imageNameSet] of missing) {
+            const imageNames = [...imageNameSet];
+            const examples = imageNames.slice(0, 5).join(', ') + (imageNames.length > 5 ? `, ... (+${imageNames.length - 5} more)` : '');
+            this.logger.warn(`Prompt variable {${name}} has no value for ${imageNames.length} image(s) and will be left empty: ${examples}`);
+        }
+    }
 
-        return summary;
+    /**
+     * Logs the generated images saved for a source image and adds them to the batch summary.
+     * @param {string} imagePath - Source image the outputs belong to.
+     * @param {string[]} outputPaths - Saved output files reported by the handler.
+     * @param {object} summary - Batch summary to update.
+     * @param {object} [logger=this.logger] - Logger with the image's context.
+     */
+    logGeneratedOutputs(imagePath, outputPaths, summary, logger = this.logger) {
+        if (!outputPaths || outputPaths.length === 0) return;
+        summary.outputsSaved += outputPaths.length;
+        outputPaths.forEach(outputPath => logger.info(`Generated image for ${path.basename(imagePath)}: ${outputPath}`));
     }
 
     async ensureOutputDir() {
@@ -0,0 +1,299 @@
+// src/mock/mock_server.js
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+const CHAT_PATH = '/mock-chat/';
+
+/** Scenarios the mock platform can play for an upload. */
+const MOCK_SCENARIOS = ['success', 'refusal', 'slow', 'captcha', 'disabled-submit', 'rate-limit'];
+// Stand-ins for the image APIs (see src/handlers/*_api_handler.js); use the server origin plus
+// these prefixes as --url, e.g. --platform openai-api --url http://127.0.0.1:4173/v1
+const OPENAI_API_PREFIX = '/v1';
+const GEMINI_API_PREFIX = '/v1beta';
+const RATE_LIMIT_RETRY_AFTER_SECONDS = 1;
+const RATE_LIMIT_TEXT = "You've reached the current limit for image generations. Please try again later.";
+
+const CAPTCHA_PAGE = `<!DOCTYPE html>
+<html lang="en"><body style="font-family: sans-serif; text-align: center">
+<p>Please confirm you are human.</p>
+<button type="button" onclick="parent.postMessage('mock-captcha-solved', '*')">Verify</button>
+</body></html>`;
+
+/**
+ * Parses a scenario script such as "success,refusal,slow" into a validated list.
+ * @param {string|string[]} script - Comma separated scenario names (or an array of them).
+ * @returns {string[]}
+ * @throws {Error} If an unknown scenario is named.
+ */
+function parseScenarioScript(script) {
+    const scenarios = (Array.isArray(script) ? script : String(script || 'success').split(','))
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    for (const name of scenarios) {
+        if (!MOCK_SCENARIOS.includes(name)) {
+            throw new Error(`Unknown mock scenario '${name}'. Expected one of: ${MOCK_SCENARIOS.join(', ')}.`);
+        }
+    }
+    return scenarios.length > 0 ? scenarios : ['success'];
+}
+
+/** Reads a full request body into a Buffer. */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/** Sends the error body both image APIs use ({error: {message, ...}}). */
+function sendApiError(res, status, message, extra = {}, headers = {}) {
+    sendJson(res, status, { error: { message, ...extra } }, headers);
+}
+
+/**
+ * Starts a local web server that imitates an image chat platform (upload button, hidden file
+ * input, preview, send/stop buttons, assistant responses with a generated image). The
+ * "generated" image is the uploaded image itself. Each upload plays the next scenario of the
+ * cycling scenario script, unless the page was opened with `?scenario=<name>`.
+ *
+ * The same server imitates the image APIs: POST /v1/images/edits (OpenAI, multipart, Bearer key)
+ * and POST /v1beta/models/<model>:generateContent (Gemini, x-goog-api-key). Each API request plays
+ * the next scenario too: 'refusal' is a policy rejection, 'slow' delays the answer, 'rate-limit'
+ * answers 429 with Retry-After.
+ *
+ * @param {object} options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port).
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind.
+ * @param {string|string[]} [options.scenario='success'] - Scenario script, e.g. "success,refusal".
+ * @param {number} [options.responseDelayMs=1500] - Generation time for normal scenarios.
+ * @param {number} [options.slowResponseDelayMs=45000] - Generation time for the 'slow' scenario.
+ * @param {object} [logger] - Logger instance.
+ * @returns {Promise<{url: string, port: number, apiUrls: object, setScenario: function(string|string[]): void, stats: object, close: function(): Promise<void>}>}
+ */
+async function startMockServer(options = {}, logger = null) {
+    const host = options.host || '127.0.0.1';
+    const responseDelayMs = options.responseDelayMs ?? 1500;
+    const slowResponseDelayMs = options.slowResponseDelayMs ?? 45000;
+    const chatPage = await fs.readFile(path.join(MOCK_DIR, 'chat_page.html'));
+
+    let scenarios = parseScenarioScript(options.scenario);
+    let scenarioIndex = 0;
+    const uploads = new Map(); // uploadId -> { buffer, contentType, scenario }
+    const generated = new Map(); // imageId -> { buffer, contentType }
+    const stats = { uploads: 0, generations: 0, apiRequests: 0, byScenario: {} };
+    let nextId = 1;
+
+    const nextScenario = (override) => {
+        if (override) return parseScenarioScript(override)[0];
+        const scenario = scenarios[scenarioIndex % scenarios.length];
+        scenarioIndex++;
+        return scenario;
+    };
+
+    /**
+     * Picks the scenario of an API request and plays its delay. Returns the scenario, or null if
+     * the request was already answered (rate limit).
+     */
+    const startApiRequest = async (req, res) => {
+        const scenario = nextScenario(req.headers['x-mock-scenario']);
+        stats.apiRequests++;
+        stats.byScenario[scenario] = (stats.byScenario[scenario] || 0) + 1;
+        logger?.info(`Mock server: API request ${req.url} plays scenario '${scenario}'.`);
+        if (scenario === 'rate-limit') {
+            sendApiError(res, 429, 'Rate limit reached for requests. Please try again later.', { type: 'requests', code: 'rate_limit_exceeded' },
+                { 'Retry-After': String(RATE_LIMIT_RETRY_AFTER_SECONDS) });
+            return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, scenario === 'slow' ? slowResponseDelayMs : responseDelayMs));
+        return scenario;
+    };
+
+    const handleOpenAiEdit = async (req, res) => {
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return sendApiError(res, 401, 'You didn\'t provide an API key.', { type: 'invalid_request_error', code: null });
+        }
+        const form = await new Response(await readBody(req), { headers: { 'Content-Type': req.headers['content-type'] || '' } }).formData()
+            .catch(() => null);
+        const image = form?.get('image') || form?.get('image[]');
+        if (!image || typeof image === 'string' || !form.get('prompt')) {
+            return sendApiError(res, 400, "Missing required parameter: 'image' and 'prompt' are required.", { type: 'invalid_request_error', param: 'image' });
+        }
+        const scenario = await startApiRequest(req, res);
+        if (!scenario) return;
+        if (scenario === 'refusal') {
+            return sendApiError(res, 400, 'Your request was rejected as a result of our safety system.', { type: 'image_generation_user_error', code: 'moderation_blocked' });
+        }
+        stats.generations++;
+        const b64Json = Buffer.from(await image.arrayBuffer()).toString('base64');
+        const format = image.type === 'image/jpeg' ? 'jpeg' : image.type === 'image/webp' ? 'webp' : 'png';
+        return sendJson(res, 200, { created: Math.floor(Date.now() / 1000), output_format: format, data: [{ b64_json: b64Json }] });
+    };
+
+    const handleGeminiGenerate = async (req, res, url) => {
+        if (!req.headers['x-goog-api-key'] && !url.searchParams.get('key')) {
+            return sendApiError(res, 403, 'Method doesn\'t allow unregistered callers. Please use API Key or other form of API consumer identity to call this API.', { status: 'PERMISSION_DENIED' });
+        }
+        let request;
+        try {
+            request = JSON.parse((await readBody(req)).toString());
+        } catch {
+            return sendApiError(res, 400, 'Invalid JSON payload received.', { status: 'INVALID_ARGUMENT' });
+        }
+        const parts = request?.contents?.flatMap(content => content.parts || []) || [];
+        const inlineData = parts.map(part => part.inline_data || part.inlineData).find(Boolean);
+        if (!inlineData?.data) {
+            return sendApiError(res, 400, 'Request contains no image part.', { status: 'INVALID_ARGUMENT' });
+        }
+        const scenario = await startApiRequest(req, res);
+        if (!scenario) return;
+        if (scenario === 'refusal') {
+            return sendJson(res, 200, { promptFeedback: { blockReason: 'SAFETY' } });
+        }
+        stats.generations++;
+        return sendJson(res, 200, {
+            candidates: [{
+                content: {
+                    role: 'model',
+                    parts: [
+                        { text: 'Here is your image.' },
+                        { inlineData: { mimeType: inlineData.mime_type || inlineData.mimeType || 'image/png', data: inlineData.data } },
+                    ],
+                },
+                finishReason: 'STOP',
+            }],
+        });
+    };
+
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        logger?.debug(`Mock server: ${req.method} ${url.pathname}`);
+
+        if (req.method === 'GET' && (url.pathname === CHAT_PATH || url.pathname === '/')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(chatPage);
+        }
+        if (req.method === 'GET' && url.pathname === '/mock-captcha') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(CAPTCHA_PAGE);
+        }
+        if (req.method === 'POST' && url.pathname === '/api/upload') {
+            const uploadId = String(nextId++);
+            const scenario = nextScenario(req.headers['x-mock-scenario']);
+            uploads.set(uploadId, { buffer: await readBody(req), contentType: req.headers['content-type'], scenario });
+            stats.uploads++;
+            logger?.info(`Mock server: upload ${uploadId} will play scenario '${scenario}'.`);
+            return sendJson(res, 200, { uploadId, scenario });
+        }
+        if (req.method === 'POST' && url.pathname === '/api/generate') {
+            const { uploadId } = JSON.parse((await readBody(req)).toString() || '{}');
+            const upload = uploads.get(uploadId);
+            if (!upload) return sendJson(res, 404, { type: 'error', text: `Unknown upload '${uploadId}'.` });
+            uploads.delete(uploadId);
+            stats.generations++;
+            stats.byScenario[upload.scenario] = (stats.byScenario[upload.scenario] || 0) + 1;
+
+            const delay = upload.scenario === 'slow' ? slowResponseDelayMs : responseDelayMs;
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            if (upload.scenario === 'refusal') {
+                return sendJson(res, 200, { type: 'refusal', text: "I'm unable to generate that image because it may violate our content policy." });
+            }
+            if (upload.scenario === 'captcha') {
+                return sendJson(res, 200, { type: 'captcha', text: 'Please verify you are human to continue.' });
+            }
+            if (upload.scenario === 'rate-limit') {
+                return sendJson(res, 200, { type: 'refusal', text: RATE_LIMIT_TEXT });
+            }
+            const imageId = String(nextId++);
+            generated.set(imageId, { buffer: upload.buffer, contentType: upload.contentType || 'image/png' });
+            return sendJson(res, 200, { type: 'image', text: 'Here is your image.', url: `/generated/${imageId}` });
+        }
+        if (req.method === 'GET' && url.pathname.startsWith('/generated/')) {
+            const image = generated.get(url.pathname.slice('/generated/'.length));
+            if (!image) { res.writeHead(404); return res.end(); }
+            res.writeHead(200, { 'Content-Type': image.contentType, 'Content-Length': image.buffer.length });
+            return res.end(image.buffer);
+        }
+        if (req.method === 'POST' && url.pathname === `${OPENAI_API_PREFIX}/images/edits`) {
+            return handleOpenAiEdit(req, res);
+        }
+        if (req.method === 'POST' && url.pathname.startsWith(`${GEMINI_API_PREFIX}/models/`) && url.pathname.endsWith(':generateContent')) {
+            return handleGeminiGenerate(req, res, url);
+        }
+        if (req.method === 'POST' && url.pathname === '/__scenario') {
+            const body = JSON.parse((await readBody(req)).toString() || '{}');
+            scenarios = parseScenarioScript(body.scenario);
+            scenarioIndex = 0;
+            logger?.info(`Mock server: scenario script set to '${scenarios.join(',')}'.`);
+            return sendJson(res, 200, { scenarios });
+        }
+        if (req.method === 'GET' && url.pathname === '/__state') {
+            return sendJson(res, 200, { scenarios, scenarioIndex, ...stats });
+        }
+        res.writeHead(404);
+        res.end();
+    };
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            logger?.error(`Mock server error for ${req.method} ${req.url}: ${error.message}`);
+            if (!res.headersSent) sendJson(res, 500, { type: 'error', text: error.message });
+            else res.end();
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 0, host, resolve);
+    });
+    const port = server.address().port;
+    const url = `http://${host}:${port}${CHAT_PATH}`;
+    const origin = `http://${host}:${port}`;
+    logger?.info(`Mock chat platform listening at ${url} (scenario script: ${scenarios.join(',')})`);
+    logger?.info(`Mock image APIs: ${origin}${OPENAI_API_PREFIX} (openai-api), ${origin}${GEMINI_API_PREFIX} (gemini-api)`);
+
+    return {
+        url,
+        port,
+        apiUrls: { 'openai-api': `${origin}${OPENAI_API_PREFIX}`, 'gemini-api': `${origin}${GEMINI_API_PREFIX}` },
+        stats,
+        setScenario(script) {
+            scenarios = parseScenarioScript(script);
+            scenarioIndex = 0;
+        },
+        close() {
+            server.closeAllConnections?.();
+            return new Promise(resolve => server.close(() => resolve()));
+        },
+    };
+}
+
+// Allow running the mock platform on its own: node src/mock/mock_server.js --port 4173 --scenario success,refusal
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const argv = yargs(hideBin(process.argv))
+        .option('port', { describe: 'Port to listen on', type: 'number', default: 4173 })
+        .option('scenario', { describe: `Comma separated scenario script (${MOCK_SCENARIOS.join(', ')})`, type: 'string', default: 'success' })
+        .option('responseDelayMs', { describe: 'Generation time (ms) for normal scenarios', type: 'number', default: 1500 })
+        .option('slowResponseDelayMs', { describe: "Generation time (ms) for the 'slow' scenario", type: 'number', default: 45000 })
+        .help()
+        .parse();
+    const consoleLogger = { debug() {}, info: console.log, warn: console.warn, error: console.error };
+    startMockServer(argv, consoleLogger).catch(error => {
+        console.error(`Failed to start mock server: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export default {
+    startMockServer,
+    MOCK_SCENARIOS,
+};
@@ -0,0 +1,195 @@
+// src/progress_display.js
+import path from 'path';
+import { redirectConsole } from './logger.js';
+
+const RENDER_INTERVAL_MS = 1000; // Redraws of the live view (elapsed times, ETA)
+
+// What a tab is doing after each progress event of its image
+const PHASE_LABELS = {
+    uploading: 'uploading',
+    uploaded: 'submitting',
+    submitted: 'waiting for generation',
+    'writing-exif': 'writing EXIF',
+};
+
+/** Formats milliseconds as "1 h 05 min", "3 min 20 s" or "42 s". */
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds} s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} min ${String(seconds % 60).padStart(2, '0')} s`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+/** Key of an image/prompt pair in progress events. */
+function imageKey(event) {
+    return `${event.imagePath}#${event.promptId ?? ''}`;
+}
+
+/**
+ * Progress of a run from the Manager's `progress` events: overall counts with an ETA from the
+ * observed per-image durations, and one row per active tab with its image, phase and elapsed time.
+ * On a terminal the view is redrawn in place below the scrolling log; otherwise the same summary
+ * is logged every --progressInterval seconds.
+ */
+class ProgressDisplay {
+    /**
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options (progressInterval).
+     * @param {import('stream').Writable} [stream=process.stdout] - Terminal of the live view.
+     */
+    constructor(logger, options, stream = process.stdout) {
+        this.logger = logger;
+        this.options = options;
+        this.stream = stream;
+        this.live = !!stream.isTTY;
+        this.total = 0;
+        this.counts = { success: 0, failed: 0, skipped: 0, deferred: 0 };
+        this.rows = new Map(); // batchId -> {profile, current, shown}: the tab's image and the one it works on
+        this.startedAt = new Map(); // Image key -> submission time
+        this.durations = []; // Milliseconds from submission to outcome of each judged image
+        this.renderedLines = 0;
+        this.manager = null;
+        this.timer = null;
+        this.onProgress = event => this.update(event);
+    }
+
+    /**
+     * Starts showing the progress of a manager's run.
+     * @param {import('./manager.js').default} manager
+     */
+    attach(manager) {
+        this.manager = manager;
+        manager.on('progress', this.onProgress);
+        if (this.live) redirectConsole(line => this.printAbove(line));
+        const interval = this.live ? RENDER_INTERVAL_MS : this.options.progressInterval * 1000;
+        this.timer = setInterval(() => (this.live ? this.render() : this.logSummary()), interval);
+        this.timer.unref();
+    }
+
+    /** Stops the display, leaving the final counts on screen (or in the log). */
+    detach() {
+        clearInterval(this.timer);
+        this.manager?.off('progress', this.onProgress);
+        this.rows.clear();
+        if (this.live) {
+            this.render();
+            this.renderedLines = 0; // The final counts stay above what follows
+            redirectConsole(null);
+        } else if (this.total > 0) {
+            this.logSummary();
+        }
+    }
+
+    /** Applies a progress event of the manager. */
+    update(event) {
+        const key = imageKey(event);
+        switch (event.type) {
+            case 'queued':
+                this.total += event.total;
+                break;
+            case 'batch-start':
+                this.rows.set(event.batchId, { profile: event.profile ?? 'default', current: null, shown: null, since: Date.now() });
+                break;
+            case 'batch-end':
+                this.rows.delete(event.batchId);
+                break;
+            case 'image-start': {
+                const row = this.rows.get(event.batchId);
+                this.startedAt.set(key, Date.now());
+                if (row) row.current = row.shown = { key, imagePath: event.imagePath, promptId: event.promptId ?? null, phase: 'uploading', since: Date.now() };
+                break;
+            }
+            case 'phase': {
+                const row = this.rows.get(event.batchId);
+                if (!row) break;
+                if (row.current?.key === key) {
+                    row.current.phase = event.phase;
+                    row.shown = row.current;
+                } else { // A pipelined tab settling its previous image
+                    row.shown = { key, imagePath: event.imagePath, promptId: event.promptId ?? null, phase: event.phase, since: this.startedAt.get(key) ?? Date.now() };
+                }
+                break;
+            }
+            case 'image-done': {
+                this.counts[event.outcome]++;
+                const startedAt = this.startedAt.get(key);
+                if (startedAt !== undefined && (event.outcome === 'success' || event.outcome === 'failed')) this.durations.push(Date.now() - startedAt);
+                this.startedAt.delete(key);
+                for (const row of this.rows.values()) {
+                    if (row.shown?.key !== key) continue;
+                    if (row.current?.key === key) row.current = null;
+                    row.shown = row.current;
+                    row.since = Date.now();
+                }
+                break;
+            }
+            default:
+                return;
+        }
+        if (this.live && event.type !== 'phase') this.render();
+    }
+
+    /** Images that still need an outcome. */
+    remaining() {
+        return Math.max(0, this.total - this.counts.success - this.counts.failed - this.counts.skipped);
+    }
+
+    /**
+     * Estimated time left: the remaining images at the average observed duration, shared by the
+     * active tabs. Null until an image was judged.
+     * @returns {number|null} Milliseconds.
+     */
+    eta() {
+        if (this.durations.length === 0) return null;
+        const average = this.durations.reduce((sum, ms) => sum + ms, 0) / this.durations.length;
+        return this.remaining() * average / Math.max(1, this.rows.size);
+    }
+
+    /** Line with the overall counts and ETA. */
+    summaryLine() {
+        const { success, failed, skipped, deferred } = this.counts;
+        const eta = this.eta();
+        const average = this.durations.length > 0 ? `, ${formatDuration(this.durations.reduce((sum, ms) => sum + ms, 0) / this.durations.length)}/image` : '';
+        return `Progress: ${this.total - this.remaining()}/${this.total} (${success} done, ${skipped} skipped, ${failed} failed, ${deferred} deferred)` +
+            ` · ETA ${eta === null ? '--' : formatDuration(eta)}${average}`;
+    }
+
+    /** Line of an active tab: profile, image, phase, elapsed time. */
+    rowLine(row) {
+        const image = row.shown;
+        const name = image ? `${path.basename(path.dirname(image.imagePath))}/${path.basename(image.imagePath)}${image.promptId ? ` [${image.promptId}]` : ''}` : '-';
+        const phase = image ? (PHASE_LABELS[image.phase] || image.phase) : 'next image';
+        const elapsed = formatDuration(Date.now() - (image ? image.since : row.since));
+        return `  ${row.profile.padEnd(16)} ${name.padEnd(32)} ${phase.padEnd(24)} ${elapsed}`;
+    }
+
+    /** Redraws the live view in place. */
+    render() {
+        if (this.total === 0 && this.rows.size === 0) return; // Nothing queued yet
+        const width = Math.max(20, (this.stream.columns || 120) - 1);
+        const lines = [this.summaryLine(), ...[...this.rows.values()].map(row => this.rowLine(row))].map(line => line.slice(0, width));
+        this.stream.write(`${this.clearSequence()}${lines.join('\n')}\n`);
+        this.renderedLines = lines.length;
+    }
+
+    /** Moves the cursor back to the start of the view and clears it. */
+    clearSequence() {
+        return this.renderedLines > 0 ? `\x1b[${this.renderedLines}F\x1b[J` : '';
+    }
+
+    /** Prints a log line above the live view. */
+    printAbove(line) {
+        this.stream.write(`${this.clearSequence()}${line}`);
+        this.renderedLines = 0;
+        this.render();
+    }
+
+    /** Logs the summary and the active tabs as plain lines (no terminal). */
+    logSummary() {
+        this.logger.info(this.summaryLine());
+        for (const row of this.rows.values()) this.logger.info(this.rowLine(row));
+    }
+}
+
+export default ProgressDisplay;
@@ -0,0 +1,169 @@
+// src/run_journal.js
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/** States an image passes through during a run, in order. */
+export const JOURNAL_STATES = Object.freeze({
+    QUEUED: 'queued',
+    UPLOADED: 'uploaded',
+    SUBMITTED: 'submitted',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    EXIF_WRITTEN: 'exif-written',
+});
+
+// Options stored in the journal header and restored by --resume
+const RESUMABLE_OPTIONS = ['input', 'platform', 'url', 'prompt', 'promptsFile', 'recurse', 'userDataDir', 'mapping', 'browserWSEndpoint', 'browserURL'];
+
+/**
+ * Append-only JSONL journal of image state transitions for one run, stored at
+ * `<outputDir>/runs/<runId>/journal.jsonl`. Every line is flushed to disk before the
+ * write resolves, so a killed run can be resumed from the last recorded state.
+ */
+class RunJournal {
+    constructor(logger, options) {
+        this.logger = logger;
+        this.options = options;
+        this.runId = options.resume || RunJournal.createRunId();
+        this.resumed = !!options.resume;
+        this.runDir = path.join(options.outputDir, 'runs', this.runId);
+        this.journalPath = path.join(this.runDir, 'journal.jsonl');
+        this.fileHandle = null;
+        this.header = null;
+        this.imageStates = new Map(); // imagePath (+ promptId) -> latest entry
+        this.writeChain = Promise.resolve(); // Serializes appends from concurrent tasks
+    }
+
+    /** Creates a sortable, unique run id such as 20250101-120000-a1b2. */
+    static createRunId() {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+        return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    /**
+     * Reads the header of an existing journal without opening it for writing.
+     * @param {string} outputDir - Output directory holding the `runs` folder.
+     * @param {string} runId - Run to read.
+     * @returns {Promise<object>} The header entry ({type: 'run', runId, startedAt, options}).
+     * @throws {Error} If the journal does not exist or has no header.
+     */
+    static async readHeader(outputDir, runId) {
+        const journalPath = path.join(outputDir, 'runs', runId, 'journal.jsonl');
+        let content;
+        try {
+            content = await fs.readFile(journalPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot resume run '${runId}': journal not found at ${journalPath}`);
+        }
+        const header = RunJournal.parseLines(content).find(entry => entry.type === 'run');
+        if (!header) throw new Error(`Cannot resume run '${runId}': journal ${journalPath} has no run header.`);
+        return header;
+    }
+
+    /**
+     * Returns the options of a journaled run that --resume restores.
+     * @param {object} header - Journal header from readHeader.
+     * @returns {object}
+     */
+    static resumableOptions(header) {
+        const restored = {};
+        for (const key of RESUMABLE_OPTIONS) {
+            if (header.options?.[key] !== undefined) restored[key] = header.options[key];
+        }
+        return restored;
+    }
+
+    /** Key of an (image, prompt) pair; prompt-matrix runs track each prompt variant separately. */
+    static entryKey(imagePath, promptId = null) {
+        return promptId ? `${imagePath}#${promptId}` : imagePath;
+    }
+
+    /** Parses JSONL content, ignoring a torn last line left by a crash mid-write. */
+    static parseLines(content) {
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // Only the final line can be incomplete; anything unreadable is skipped
+            }
+        }
+        return entries;
+    }
+
+    /** Opens the journal, replaying existing entries when resuming, and writes the run header for new runs. */
+    async open() {
+        await fs.mkdir(this.runDir, { recursive: true });
+        let tornLine = false;
+        if (this.resumed) {
+            const content = await fs.readFile(this.journalPath, 'utf8');
+            tornLine = content.length > 0 && !content.endsWith('\n');
+            for (const entry of RunJournal.parseLines(content)) {
+                if (entry.type === 'run') this.header = entry;
+                else if (entry.type === 'image') this.imageStates.set(RunJournal.entryKey(entry.imagePath, entry.promptId), entry);
+            }
+            this.logger.info(`Resuming run ${this.runId}: ${this.imageStates.size} image(s) found in journal ${this.journalPath}`);
+        }
+        this.fileHandle = await fs.open(this.journalPath, 'a');
+        if (tornLine) await this.fileHandle.write('\n'); // Terminate a line cut off by a crash
+        if (this.resumed) {
+            await this._append({ type: 'resume', runId: this.runId });
+        } else {
+            const options = Object.fromEntries(RESUMABLE_OPTIONS.map(key => [key, this.options[key]]));
+            this.header = { type: 'run', runId: this.runId, startedAt: new Date().toISOString(), options };
+            await this._append(this.header);
+            this.logger.info(`Run ${this.runId} journaled to ${this.journalPath} (resume with --resume ${this.runId})`);
+        }
+    }
+
+    /**
+     * Records a state transition for an image.
+     * @param {string} imagePath - Absolute path of the source image.
+     * @param {string} state - One of JOURNAL_STATES.
+     * @param {object} [details={}] - Extra data (promptId, profile, conversationUrl, success, outputPaths, error...).
+     * @returns {Promise<void>}
+     */
+    async record(imagePath, state, details = {}) {
+        const entry = { type: 'image', imagePath, state, ...details };
+        this.imageStates.set(RunJournal.entryKey(imagePath, details.promptId), entry);
+        await this._append(entry);
+    }
+
+    /**
+     * Latest journaled entry for an image, or null if it never appeared in this run.
+     * @param {string} imagePath - Absolute path of the source image.
+     * @param {string|null} [promptId=null] - Prompt variant, for prompt-matrix runs.
+     * @returns {object|null}
+     */
+    getImageState(imagePath, promptId = null) {
+        return this.imageStates.get(RunJournal.entryKey(imagePath, promptId)) || null;
+    }
+
+    /** Appends one entry and flushes it to disk. */
+    async _append(entry) {
+        const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+        this.writeChain = this.writeChain.then(async () => {
+            if (!this.fileHandle) return;
+            try {
+                await this.fileHandle.write(line);
+                await this.fileHandle.datasync();
+            } catch (error) {
+                this.logger.error(`Failed to write run journal ${this.journalPath}: ${error.message}`);
+            }
+        });
+        return this.writeChain;
+    }
+
+    /** Flushes pending writes and closes the journal file. */
+    async close() {
+        await this.writeChain;
+        if (this.fileHandle) {
+            await this.fileHandle.close().catch(error => this.logger.error(`Error closing run journal: ${error.message}`));
+            this.fileHandle = null;
+        }
+    }
+}
+
+export default RunJournal;
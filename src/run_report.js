@@ -0,0 +1,283 @@
+// src/run_report.js
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import RunJournal from './run_journal.js';
+
+/** Final outcomes of an image/prompt pair in the report. */
+export const REPORT_OUTCOMES = Object.freeze({
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    DEFERRED: 'deferred', // Stopped by a usage limit or logout and not finished in this run
+    QUEUED: 'queued', // Never started, e.g. the run was stopped
+});
+
+/**
+ * Per-image report of a run, written at its end next to the journal as
+ * `<outputDir>/runs/<runId>/report.json` and `report.html` (a gallery of every source image
+ * with its generated images and failure screenshots, filterable by outcome).
+ *
+ * Each image/prompt pair has one entry: `{imagePath, promptId, profile, platform, prompt,
+ * outcome, durationMs, attempts, retries, error, reason, screenshots, outputPaths,
+ * conversationUrl, startedAt, finishedAt}`. `attempts` counts the submissions of this run;
+ * images deferred by a usage limit or logout are retried and count again.
+ */
+class RunReport {
+    /**
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options.
+     * @param {RunJournal} journal - Journal of the run; the report is written to its run directory.
+     */
+    constructor(logger, options, journal) {
+        this.logger = logger;
+        this.options = options;
+        this.runId = journal.runId;
+        this.resumed = journal.resumed;
+        this.runDir = journal.runDir;
+        this.jsonPath = path.join(this.runDir, 'report.json');
+        this.htmlPath = path.join(this.runDir, 'report.html');
+        this.startedAt = new Date().toISOString();
+        this.entries = new Map(); // imagePath (+ promptId) -> entry, in queue order
+    }
+
+    /** Entry of an image/prompt pair, created on first use. */
+    entry(imagePath, promptId = null) {
+        const key = RunJournal.entryKey(imagePath, promptId);
+        if (!this.entries.has(key)) {
+            this.entries.set(key, {
+                imagePath, promptId: promptId ?? null, profile: null, platform: null, prompt: null,
+                outcome: REPORT_OUTCOMES.QUEUED, durationMs: null, attempts: 0, retries: 0, error: null, reason: null,
+                screenshots: [], outputPaths: [], conversationUrl: null, startedAt: null, finishedAt: null,
+            });
+        }
+        return this.entries.get(key);
+    }
+
+    /** Lists a queued image/prompt pair, so pairs the run never reached are reported too. */
+    queued(imagePath, promptId = null) {
+        this.entry(imagePath, promptId);
+    }
+
+    /**
+     * Notes that an image/prompt pair is being submitted (again).
+     * @param {string} imagePath - Source image.
+     * @param {string|null} promptId - Prompt variant.
+     * @param {{profile: string|null, platform: string, prompt: string}} details
+     */
+    started(imagePath, promptId, { profile, platform, prompt }) {
+        const entry = this.entry(imagePath, promptId);
+        entry.attempts++;
+        entry.retries = entry.attempts - 1;
+        Object.assign(entry, { profile, platform, prompt, startedAt: new Date().toISOString() });
+    }
+
+    /** Notes that an image/prompt pair was skipped, e.g. because it already has a result. */
+    skipped(imagePath, promptId, profile, reason) {
+        Object.assign(this.entry(imagePath, promptId), { outcome: REPORT_OUTCOMES.SKIPPED, profile, reason });
+    }
+
+    /** Adds a screenshot a handler took while working on an image. */
+    screenshot(imagePath, promptId, screenshotPath) {
+        this.entry(imagePath, promptId).screenshots.push(screenshotPath);
+    }
+
+    /**
+     * Records the judged outcome of an image/prompt pair.
+     * @param {import('./handlers/base_handler.js').ImageOutcome} outcome - Outcome reported by the handler.
+     * @param {string|null} profile - Browser profile that produced it.
+     * @param {boolean} exifWritten - Whether its counters were written.
+     */
+    finished(outcome, profile, exifWritten) {
+        const entry = this.entry(outcome.imagePath, outcome.context?.promptId ?? null);
+        const finishedAt = outcome.timestamp || new Date().toISOString();
+        Object.assign(entry, {
+            outcome: outcome.success ? REPORT_OUTCOMES.SUCCESS : REPORT_OUTCOMES.FAILED,
+            profile: profile ?? entry.profile,
+            platform: outcome.platform || entry.platform,
+            prompt: outcome.prompt ?? entry.prompt,
+            error: outcome.error || (exifWritten ? null : 'EXIF counters could not be written'),
+            reason: null,
+            outputPaths: outcome.outputPaths,
+            conversationUrl: outcome.conversationUrl ?? null,
+            finishedAt,
+            durationMs: entry.startedAt ? Math.max(0, Date.parse(finishedAt) - Date.parse(entry.startedAt)) : null,
+        });
+    }
+
+    /**
+     * Records an image/prompt pair a usage limit or logout stopped; it is queued again and only
+     * stays deferred if the run ends before it is retried.
+     * @param {import('./handlers/base_handler.js').ImageOutcome} outcome - Outcome carrying `usageLimit` or `loginRequired`.
+     * @param {string|null} profile - Browser profile that hit the limit.
+     */
+    deferred(outcome, profile) {
+        const reason = outcome.usageLimit ? `usage limit: ${outcome.usageLimit.message}` : `needs login: ${outcome.loginRequired.message}`;
+        Object.assign(this.entry(outcome.imagePath, outcome.context?.promptId ?? null), { outcome: REPORT_OUTCOMES.DEFERRED, profile, reason });
+    }
+
+    /**
+     * Reports a pair that the interrupted run finished before --resume, from its journal entry.
+     * @param {object} journalEntry - Latest journal entry of the pair.
+     */
+    restored(journalEntry) {
+        Object.assign(this.entry(journalEntry.imagePath, journalEntry.promptId ?? null), {
+            outcome: journalEntry.success ? REPORT_OUTCOMES.SUCCESS : REPORT_OUTCOMES.FAILED,
+            profile: journalEntry.profile ?? null, platform: journalEntry.platform ?? null, prompt: journalEntry.prompt ?? null,
+            error: journalEntry.error ?? null, outputPaths: journalEntry.outputPaths || [], conversationUrl: journalEntry.conversationUrl ?? null,
+            finishedAt: journalEntry.ts ?? null, reason: 'finished before --resume',
+        });
+    }
+
+    /** Counts of each outcome. */
+    totals() {
+        const totals = Object.fromEntries(Object.values(REPORT_OUTCOMES).map(outcome => [outcome, 0]));
+        for (const entry of this.entries.values()) totals[entry.outcome]++;
+        return { images: this.entries.size, ...totals };
+    }
+
+    /**
+     * Writes report.json and report.html. Failures are logged, not thrown: the run's results are
+     * in the images and the journal already.
+     * @param {{profiles?: object}} [extra={}] - Per-profile summaries of the run.
+     * @returns {Promise<void>}
+     */
+    async write(extra = {}) {
+        const report = {
+            runId: this.runId,
+            resumed: this.resumed,
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            mode: this.options.recurse ? 'recursive' : 'single',
+            platform: this.options.platform || null,
+            url: this.options.url || null,
+            input: this.options.input ? path.resolve(this.options.input) : null,
+            outputDir: this.options.outputDir,
+            totals: this.totals(),
+            profiles: extra.profiles || {},
+            images: [...this.entries.values()],
+        };
+        try {
+            await fs.mkdir(this.runDir, { recursive: true });
+            await fs.writeFile(this.jsonPath, `${JSON.stringify(report, null, 2)}\n`);
+            await fs.writeFile(this.htmlPath, renderHtml(report, this.runDir));
+            this.logger.info(`Run report: ${this.htmlPath} (data: ${this.jsonPath})`);
+        } catch (error) {
+            this.logger.error(`Failed to write run report to ${this.runDir}: ${error.message}`);
+        }
+    }
+}
+
+/** Escapes text for HTML content and attribute values. */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/** Link to a local file from the report directory: relative where possible, else a file:// URL. */
+function fileHref(filePath, fromDir) {
+    const relative = path.relative(fromDir, filePath);
+    if (path.isAbsolute(relative)) return pathToFileURL(filePath).href; // Another drive
+    return relative.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/** Formats milliseconds as "1 min 5 s" / "12.3 s". */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+/**
+ * Renders the report as a self-contained HTML page: one row per image/prompt pair with the
+ * source image, its generated images and failure screenshots, filterable by outcome.
+ * @param {object} report - Report data as written to report.json.
+ * @param {string} reportDir - Directory of the page, for relative image links.
+ * @returns {string}
+ */
+function renderHtml(report, reportDir) {
+    const image = (filePath, label) => {
+        const href = escapeHtml(fileHref(filePath, reportDir));
+        return `<a href="${href}" target="_blank"><img src="${href}" loading="lazy" alt="${escapeHtml(label)}" title="${escapeHtml(filePath)}"></a>`;
+    };
+    const rows = report.images.map(entry => {
+        const name = path.basename(entry.imagePath) + (entry.promptId ? ` [${entry.promptId}]` : '');
+        const details = [
+            entry.profile && `profile ${entry.profile}`,
+            entry.platform,
+            entry.durationMs !== null && formatDuration(entry.durationMs),
+            entry.retries > 0 && `${entry.retries} retr${entry.retries === 1 ? 'y' : 'ies'}`,
+        ].filter(Boolean).map(escapeHtml).join(' · ');
+        const results = entry.outputPaths.map(outputPath => image(outputPath, 'Generated image')).join('');
+        const screenshots = entry.screenshots.map(screenshotPath => image(screenshotPath, 'Screenshot')).join('');
+        return `<article class="entry" data-outcome="${entry.outcome}" data-name="${escapeHtml(name.toLowerCase())}">
+  <header><span class="badge ${entry.outcome}">${entry.outcome}</span> <strong>${escapeHtml(name)}</strong> <span class="details">${details}</span></header>
+  <div class="images">
+    <figure>${image(entry.imagePath, 'Source image')}<figcaption>source</figcaption></figure>
+    <figure class="results">${results || '<span class="none">no generated image</span>'}<figcaption>result</figcaption></figure>
+    ${screenshots ? `<figure class="screenshots">${screenshots}<figcaption>screenshots</figcaption></figure>` : ''}
+  </div>
+  ${entry.prompt ? `<p class="prompt">${escapeHtml(entry.prompt)}</p>` : ''}
+  ${entry.error ? `<p class="error">${escapeHtml(entry.error)}</p>` : ''}
+  ${entry.reason ? `<p class="reason">${escapeHtml(entry.reason)}</p>` : ''}
+  ${entry.conversationUrl ? `<p class="link"><a href="${escapeHtml(entry.conversationUrl)}" target="_blank">conversation</a></p>` : ''}
+</article>`;
+    }).join('\n');
+    const filters = ['all', ...Object.values(REPORT_OUTCOMES)].map(outcome => {
+        const count = outcome === 'all' ? report.totals.images : report.totals[outcome];
+        return `<button data-filter="${outcome}"${outcome === 'all' ? ' class="active"' : ''}>${outcome} (${count})</button>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeHtml(report.runId)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 1.5em; background: #f6f6f6; color: #222; }
+  .filters { position: sticky; top: 0; background: #f6f6f6; padding: .5em 0; z-index: 1; }
+  .filters button { margin-right: .3em; padding: .3em .8em; border: 1px solid #bbb; border-radius: 1em; background: #fff; cursor: pointer; }
+  .filters button.active { background: #333; color: #fff; }
+  .filters input { margin-left: 1em; padding: .3em; }
+  .entry { background: #fff; border-radius: 6px; padding: .8em; margin: .8em 0; box-shadow: 0 1px 2px #0002; }
+  .entry.hidden { display: none; }
+  .images { display: flex; gap: 1em; flex-wrap: wrap; align-items: flex-start; }
+  figure { margin: 0; display: flex; gap: .4em; flex-wrap: wrap; align-items: flex-start; }
+  figcaption { width: 100%; font-size: .8em; color: #777; }
+  img { max-width: 260px; max-height: 260px; border: 1px solid #ddd; }
+  .badge { padding: .1em .5em; border-radius: .3em; color: #fff; font-size: .85em; background: #888; }
+  .badge.success { background: #2e7d32; } .badge.failed { background: #c62828; } .badge.deferred { background: #ef6c00; }
+  .details, .prompt, .reason, .none { color: #666; font-size: .9em; }
+  .error { color: #c62828; font-size: .9em; }
+</style>
+</head>
+<body>
+<h1>Run ${escapeHtml(report.runId)}</h1>
+<p>${escapeHtml(report.mode)} run${report.platform ? ` on ${escapeHtml(report.platform)}` : ''}${report.input ? ` of ${escapeHtml(report.input)}` : ''}, ${escapeHtml(report.startedAt)} – ${escapeHtml(report.finishedAt)}${report.resumed ? ' (resumed)' : ''}</p>
+<div class="filters">${filters}<input type="search" placeholder="Filter by file name"></div>
+<main>
+${rows}
+</main>
+<script>
+  const buttons = document.querySelectorAll('.filters button');
+  const search = document.querySelector('.filters input');
+  let outcome = 'all';
+  const apply = () => {
+    const text = search.value.trim().toLowerCase();
+    for (const entry of document.querySelectorAll('.entry')) {
+      const shown = (outcome === 'all' || entry.dataset.outcome === outcome) && entry.dataset.name.includes(text);
+      entry.classList.toggle('hidden', !shown);
+    }
+  };
+  buttons.forEach(button => button.addEventListener('click', () => {
+    outcome = button.dataset.filter;
+    buttons.forEach(other => other.classList.toggle('active', other === button));
+    apply();
+  }));
+  search.addEventListener('input', apply);
+</script>
+</body>
+</html>
+`;
+}
+
+export default RunReport;
@@ -1,11 +1,29 @@
 // src/services/chatgpt_service.js
 import path from 'path';
+import imageDownloader from '../core/image_downloader.js';
+import SelectorSet from '../core/selector_profile.js';
+import CompletionDetector from '../core/completion_detector.js';
+import NetworkImageCapture from '../core/network_image_capture.js';
+import UsageLimitDetector, { UsageLimitError } from '../core/usage_limit.js';
+import LoginDetector, { LoginRequiredError } from '../core/login_state.js';
 
 class ChatGptService {
-    constructor(page, logger, options) {
+    /**
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options.
+     * @param {object} [completionSettings={}] - Completion detector settings (ChatGptHandler.completion).
+     * @param {object} [imageResponseSettings={}] - Network capture settings (ChatGptHandler.imageResponses).
+     * @param {object} [usageLimitSettings={}] - Usage-limit detection settings (ChatGptHandler.usageLimit).
+     * @param {object} [loginSettings={}] - Logged-out detection settings (ChatGptHandler.login).
+     * @param {function(import('puppeteer').Page, string): Promise<void>} [saveScreenshot] - Saves a failure screenshot
+     * for the image being processed (the handler's takeScreenshot, which records it in the run report).
+     */
+    constructor(page, logger, options, completionSettings = {}, imageResponseSettings = {}, usageLimitSettings = {}, loginSettings = {}, saveScreenshot = null) {
         this.page = page;
         this.logger = logger;
         this.options = options;
+        this.saveScreenshot = saveScreenshot;
         this.selectors = options.selectors?.chatgpt;
         // No imageCountBeforeLastSubmit state needed in this version
 
@@ -24,12 +42,19 @@ class ChatGptService {
                 throw new Error(`Required ChatGPT selector 'selectors.chatgpt.${key}' is missing.`);
             }
         }
+        this.selectorSet = new SelectorSet(this.selectors, logger, 'chatgpt');
+        this.completionDetector = new CompletionDetector(this.selectorSet, logger, { timeoutMs: options.generationTimeout, ...completionSettings });
+        this.networkCapture = new NetworkImageCapture(logger, imageResponseSettings);
+        this.usageLimitDetector = new UsageLimitDetector(this.selectorSet, logger, usageLimitSettings, options.usageLimitPatterns);
+        this.loginDetector = new LoginDetector(this.selectorSet, logger, loginSettings);
         this.logger.debug('ChatGptService initialized (Simple Image Count Check Flow).');
     }
 
-    /** Navigates to the configured ChatGPT URL. */
-    async navigateToUrl() {
-        const targetUrl = this.options.url || this.options.chatgptUrl;
+    /**
+     * Navigates to a ChatGPT URL.
+     * @param {string} [targetUrl=options.url] - URL to open (the handler's targetUrl()).
+     */
+    async navigateToUrl(targetUrl = this.options.url) {
         if (!targetUrl) throw new Error("Target URL not defined.");
         this.logger.info(`Navigating to ChatGPT URL: ${targetUrl}`);
         try {
@@ -42,13 +67,25 @@ class ChatGptService {
         }
     }
 
+    /**
+     * Checks that the profile is still logged in to ChatGPT.
+     * @throws {LoginRequiredError} If the page is a login page or shows the login button.
+     */
+    async ensureLoggedIn() {
+        const loginRequired = await this.loginDetector.check(this.page);
+        if (loginRequired) throw new LoginRequiredError(loginRequired);
+    }
+
     /** Uploads a single image file using the HIDDEN file input element. */
     async uploadImage(imagePath) {
         this.logger.info(`Attempting to upload image via hidden input: ${path.basename(imagePath)}`);
-        const { fileInputHidden, imagePreviewConfirmation } = this.selectors;
+        // The previous image's window ends here: the next upload's previews are not its generated images
+        this.networkCapture.close(this.page);
+        const fileInputHidden = this.selectorSet.list('fileInputHidden');
+        const imagePreviewConfirmation = this.selectorSet.list('imagePreviewConfirmation');
         try {
             this.logger.info(`Waiting for hidden file input: ${fileInputHidden}`);
-            const fileInput = await this.page.waitForSelector(fileInputHidden, { timeout: this.options.actionTimeout });
+            const fileInput = await this.selectorSet.waitFor(this.page, 'fileInputHidden', { timeout: this.options.actionTimeout });
             if (!fileInput) throw new Error(`File input element not found: ${fileInputHidden}`);
             this.logger.debug('Hidden file input found.');
 
@@ -58,7 +95,7 @@ class ChatGptService {
 
             this.logger.info(`Waiting for image preview confirmation: ${imagePreviewConfirmation}`);
             const previewTimeout = this.options.actionTimeout + 15000;
-            await this.page.waitForSelector(imagePreviewConfirmation, { visible: true, timeout: previewTimeout });
+            await this.selectorSet.waitFor(this.page, 'imagePreviewConfirmation', { visible: true, timeout: previewTimeout });
             this.logger.info('Image preview confirmed in message area.');
             await new Promise(resolve => setTimeout(resolve, 500));
         } catch (error) {
@@ -71,9 +108,9 @@ class ChatGptService {
     /** Enters the text prompt into the ChatGPT contenteditable input field. */
     async enterPrompt(prompt) {
         this.logger.info(`Entering prompt (length: ${prompt.length})...`);
-        const { promptTextarea } = this.selectors;
+        const promptTextarea = this.selectorSet.list('promptTextarea');
         try {
-            const promptInput = await this.page.waitForSelector(promptTextarea, { visible: true, timeout: this.options.actionTimeout });
+            const promptInput = await this.selectorSet.waitFor(this.page, 'promptTextarea', { visible: true, timeout: this.options.actionTimeout });
             this.logger.debug(`Visible prompt input element (${promptTextarea}) found.`);
             await promptInput.focus();
             // Clear content more reliably for contenteditable
@@ -92,72 +129,51 @@ class ChatGptService {
     }
 
     /**
-     * Waits for submit button, checks for image presence in the latest response block
-     * (determining success of the PREVIOUS prompt), and then clicks submit.
-     * @returns {Promise<boolean>} Success status of the PREVIOUS prompt.
+     * Waits for the PREVIOUS prompt's generation to complete, checks for image presence in the
+     * latest response block (determining success of the PREVIOUS prompt), saves the generated
+     * images of that block, and then clicks submit.
+     * @param {string|null} [previousImagePath=null] - Source image of the PREVIOUS prompt, used to name saved outputs.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}|null>} Success status and saved outputs of the PREVIOUS prompt (null without one).
+     * @throws {UsageLimitError} If the previous response or a banner reports the usage limit; the CURRENT prompt is not submitted.
      */
-    async checkPreviousSuccessAndSubmit() {
-        this.logger.info('Waiting for Submit button to enable before checking previous prompt success...');
-        const { submitButton, responseArea, imageInResponse } = this.selectors;
-        const enableTimeout = 360000; // 6 minutes
-        const enabledSubmitSelector = `${submitButton}:not([disabled])`;
-        let successOfPrevious = false; // Assume failure unless image found
+    async checkPreviousSuccessAndSubmit(previousImagePath = null) {
+        const submitButton = this.selectorSet.list('submitButton');
+        const enableTimeout = this.options.actionTimeout;
+        let previousResult = null;
 
         try {
-            // --- Wait for Submit button of CURRENT prompt to be ready ---
-            this.logger.debug(`Waiting up to ${enableTimeout/1000}s for submit button: ${enabledSubmitSelector}`);
-            const button = await this.page.waitForSelector(enabledSubmitSelector, { visible: true, timeout: enableTimeout });
-            this.logger.debug('Submit button is enabled.');
-
-            // --- Check the LATEST response block for success of PREVIOUS prompt ---
-            this.logger.info(`Checking latest response block ('${responseArea}') for generated image ('${imageInResponse}')...`);
-            let currentImageCount = 0;
-            try {
-                // Find the elements matching the response area selector
-                const responseElements = await this.page.$$(responseArea);
-                if (responseElements.length > 0) {
-                    // Get the handle for the very last response element on the page
-                    const latestResponseElement = responseElements[responseElements.length - 1];
-                    this.logger.debug(`Checking last of ${responseElements.length} response blocks.`);
-
-                    // Ensure the element is still attached to the DOM before evaluating
-                    const isAttached = await latestResponseElement.evaluate(el => !!(el && el.isConnected));
-                    if (!isAttached) {
-                        this.logger.warn('Latest response element became detached before image count check.');
-                        currentImageCount = 0; // Treat as 0 if detached
-                    } else {
-                        // Count images *within* the specific latest block using querySelectorAll in evaluate
-                        currentImageCount = await latestResponseElement.evaluate(
-                            (el, selector) => el.querySelectorAll(selector).length, // Function to execute in browser
-                            imageInResponse // Argument to pass to the function (the selector string)
-                        );
-                        this.logger.info(`Found ${currentImageCount} image(s) in latest block.`);
-                    }
-                } else {
-                    this.logger.warn(`No response blocks ('${responseArea}') found to check.`);
-                    currentImageCount = 0; // Set to 0 if no blocks found
-                }
-            } catch (checkError) {
-                // Catch errors during the checking process (e.g., evaluate fails)
-                this.logger.error(`Error checking/counting images in latest response block: ${checkError.message}`);
-                currentImageCount = 0; // Assume 0 on error
+            // --- Check the LATEST response block for success of PREVIOUS prompt, as soon as it is complete ---
+            if (previousImagePath) {
+                await this.completionDetector.waitForCompletion(this.page);
+                previousResult = await this.evaluateLatestResponse(previousImagePath);
+                if (previousResult.usageLimit) throw new UsageLimitError(previousResult.usageLimit);
+                this.logger.info(`Success status for PREVIOUS prompt determined as: ${previousResult.success}`);
             }
+            const usageLimit = await this.usageLimitDetector.check(this.page);
+            if (usageLimit) throw new UsageLimitError(usageLimit, previousResult);
 
-            // --- Determine Success (Simple Check: > 0 images?) ---
-            successOfPrevious = currentImageCount > 0;
-            this.logger.info(`Success status for PREVIOUS prompt determined as: ${successOfPrevious}`);
+            // --- Wait for Submit button of CURRENT prompt to be ready ---
+            this.logger.debug(`Waiting up to ${enableTimeout/1000}s for submit button: ${submitButton} (enabled)`);
+            const button = await this.selectorSet.waitFor(this.page, 'submitButton', { visible: true, timeout: enableTimeout, suffix: ':not([disabled])' });
+            this.logger.debug('Submit button is enabled.');
 
             // --- Click Submit for CURRENT prompt ---
             this.logger.debug(`Clicking Submit button...`);
+            await this.completionDetector.markSubmitted(this.page);
+            this.networkCapture.markSubmitted(this.page);
             await button.click({ delay: 100 });
             this.logger.info('Submit button clicked.');
 
-            // Return the success status determined for the *previous* prompt
-            return successOfPrevious;
+            // Return the success status and outputs determined for the *previous* prompt
+            return previousResult;
 
         } catch (error) {
+            if (error instanceof UsageLimitError) throw error;
             // Handle errors finding/clicking submit button primarily
-            if (error.name === 'TimeoutError' && error.message.includes(submitButton)) {
+            if (error.name === 'TimeoutError' && error.message.includes(this.selectorSet.alternatives('submitButton')[0])) {
+                // A usage-limit banner keeps the composer disabled
+                const usageLimit = await this.usageLimitDetector.check(this.page);
+                if (usageLimit) throw new UsageLimitError(usageLimit, previousResult);
                 this.logger.error(`Submit button ('${submitButton}') did not become enabled within ${enableTimeout/1000}s.`);
                 await this.takeScreenshot(this.page, `error_submit_disabled`);
                 // Let the handler catch this specific error message to trigger reload if implemented
@@ -171,20 +187,96 @@ class ChatGptService {
         }
     }
 
-    // No waitForResponse method needed in this workflow
+    /**
+     * Waits for the latest generation to complete (see CompletionDetector) and judges the latest block.
+     * Used when no further submission follows, e.g. for the last image of a batch.
+     * @param {string|null} [sourceImagePath=null] - Source image of the latest prompt, used to name saved outputs.
+     * @param {boolean} [reopened=false] - The conversation was just reopened, so its latest block is judged
+     * even though no submit was recorded.
+     * @returns {Promise<{success: boolean, outputPaths: string[]}>}
+     */
+    async waitForLatestResponse(sourceImagePath = null, reopened = false) {
+        if (reopened) this.completionDetector.forgetSubmission();
+        await this.completionDetector.waitForCompletion(this.page);
+
+        const result = await this.evaluateLatestResponse(sourceImagePath);
+        this.logger.info(`Success status for latest prompt determined as: ${result.success}`);
+        return result;
+    }
+
+    /**
+     * Counts generated images in the latest response block and saves them, preferring the
+     * original bytes captured from the network since the submit.
+     * @param {string|null} sourceImagePath - Source image the block belongs to; outputs are only saved when given.
+     * @returns {Promise<{success: boolean, outputPaths: string[], usageLimit?: object}>} success is true when the block
+     * holds at least one image or shows an image captured from the network; usageLimit is set when a block
+     * without image reports the usage limit.
+     */
+    async evaluateLatestResponse(sourceImagePath) {
+        const responseArea = this.selectorSet.list('responseArea');
+        this.logger.info(`Checking latest response block ('${responseArea}') for generated image ('${this.selectorSet.list('imageInResponse')}')...`);
+        let currentImageCount = 0;
+        let outputPaths = [];
+        let latestResponseElement = null;
+        let responseText = null;
+        let imageInResponse = this.selectorSet.alternatives('imageInResponse')[0];
+        const capturedImages = await this.networkCapture.take();
+        let shownCaptures = [];
+        try {
+            // Find the elements matching the response area selector (first alternative that matches)
+            const responseElements = await this.selectorSet.queryAll(this.page, 'responseArea');
+            if (responseElements.length > 0) {
+                // Get the handle for the very last response element on the page
+                latestResponseElement = responseElements[responseElements.length - 1];
+                this.logger.debug(`Checking last of ${responseElements.length} response blocks.`);
 
-    /** Helper to take screenshots */
-    async takeScreenshot(page, prefix = 'screenshot') {
-        const currentPage = page || this.page;
-        if (currentPage && !currentPage.isClosed()) {
-            try {
-                const screenshotPath = path.join(this.options.outputDir || '.', `${prefix}_${Date.now()}.png`);
-                await currentPage.screenshot({ path: screenshotPath, fullPage: true });
-                this.logger.info(`Screenshot saved to ${screenshotPath}`);
-            } catch (ssError) {
-                this.logger.error(`Failed to take screenshot (${prefix}): ${ssError.message}`);
+                // Ensure the element is still attached to the DOM before evaluating
+                const isAttached = await latestResponseElement.evaluate(el => !!(el && el.isConnected));
+                if (!isAttached) {
+                    this.logger.warn('Latest response element became detached before image count check.');
+                    currentImageCount = 0; // Treat as 0 if detached
+                    latestResponseElement = null;
+                } else {
+                    imageInResponse = await this.selectorSet.resolve(latestResponseElement, 'imageInResponse');
+                    // Count images *within* the specific latest block using querySelectorAll in evaluate
+                    currentImageCount = await latestResponseElement.evaluate(
+                        (el, selector) => el.querySelectorAll(selector).length, // Function to execute in browser
+                        imageInResponse // Argument to pass to the function (the selector string)
+                    );
+                    shownCaptures = await imageDownloader.capturesShownIn(this.page, latestResponseElement, capturedImages);
+                    this.logger.info(`Found ${currentImageCount} image(s) in latest block, ${shownCaptures.length} of ${capturedImages.length} captured from the network shown in it.`);
+                    if (currentImageCount === 0) responseText = await latestResponseElement.evaluate(el => el.innerText || el.textContent);
+                }
+            } else {
+                this.logger.warn(`No response blocks ('${responseArea}') found to check.`);
+                currentImageCount = 0; // Set to 0 if no blocks found
             }
-        } else { this.logger.warn(`Skipping screenshot (${prefix}) - page invalid.`); }
+        } catch (checkError) {
+            // Catch errors during the checking process (e.g., evaluate fails)
+            this.logger.error(`Error checking/counting images in latest response block: ${checkError.message}`);
+            currentImageCount = 0; // Assume 0 on error
+            latestResponseElement = null;
+        }
+
+        // --- Determine Success: images in the block; captures count only if the block shows them ---
+        const success = currentImageCount > 0 || shownCaptures.length > 0;
+        if (!success) {
+            const usageLimit = await this.usageLimitDetector.check(this.page, responseText);
+            if (usageLimit) return { success: false, outputPaths: [], usageLimit };
+        }
+        if (success && sourceImagePath) {
+            outputPaths = await imageDownloader.saveGeneratedImages(
+                this.page, latestResponseElement, imageInResponse, capturedImages, sourceImagePath,
+                'chatgpt', this.options, this.logger
+            );
+        }
+        return { success, outputPaths };
+    }
+
+    /** Saves a failure screenshot through the handler, so the run report lists it for the image. */
+    async takeScreenshot(page, prefix = 'screenshot') {
+        if (this.saveScreenshot) await this.saveScreenshot(page || this.page, prefix);
+        else this.logger.warn(`Skipping screenshot (${prefix}) - no handler to save it.`);
     }
 }
 
@@ -1,14 +1,32 @@
 ﻿// src/services/gemini_service.js
 import path from 'path';
+import imageDownloader from '../core/image_downloader.js';
+import SelectorSet from '../core/selector_profile.js';
+import CompletionDetector from '../core/completion_detector.js';
+import NetworkImageCapture from '../core/network_image_capture.js';
+import UsageLimitDetector, {UsageLimitError} from '../core/usage_limit.js';
+import LoginDetector, {LoginRequiredError} from '../core/login_state.js';
 
 /**
  * Provides detailed Puppeteer interaction logic for the Gemini website.
  */
 class GeminiService {
-    constructor(page, logger, options) {
+    /**
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options.
+     * @param {object} [completionSettings={}] - Completion detector settings (GeminiHandler.completion).
+     * @param {object} [imageResponseSettings={}] - Network capture settings (GeminiHandler.imageResponses).
+     * @param {object} [usageLimitSettings={}] - Usage-limit detection settings (GeminiHandler.usageLimit).
+     * @param {object} [loginSettings={}] - Logged-out detection settings (GeminiHandler.login).
+     * @param {function(import('puppeteer').Page, string): Promise<void>} [saveScreenshot] - Saves a failure screenshot
+     * for the image being processed (the handler's takeScreenshot, which records it in the run report).
+     */
+    constructor(page, logger, options, completionSettings = {}, imageResponseSettings = {}, usageLimitSettings = {}, loginSettings = {}, saveScreenshot = null) {
         this.page = page;
         this.logger = logger;
         this.options = options;
+        this.saveScreenshot = saveScreenshot;
         // Get selectors specific to Gemini from the global config
         this.selectors = options.selectors?.gemini;
         if (!this.selectors) {
@@ -21,20 +39,26 @@ class GeminiService {
             !this.selectors.uploadButtonLocalImage ||
             !this.selectors.imagePreviewConfirmation ||
             !this.selectors.responseArea ||
-            !this.selectors.imageInResponse /* || // loadingIndicator is optional
-            !this.selectors.loadingIndicator */) {
+            !this.selectors.imageInResponse) { // loadingIndicator is optional
             this.logger.error('Missing one or more required Gemini selectors in config:', this.selectors);
-            throw new Error("One or more required Gemini selectors are missing in the configuration. Please check config.js.");
+            throw new Error("One or more required Gemini selectors are missing in the configuration. Check GeminiHandler.selectors and any overrides (config.js, --selectors).");
         }
+        this.selectorSet = new SelectorSet(this.selectors, logger, 'gemini');
+        this.completionDetector = new CompletionDetector(this.selectorSet, logger, { timeoutMs: options.generationTimeout, ...completionSettings });
+        this.networkCapture = new NetworkImageCapture(logger, imageResponseSettings);
+        this.usageLimitDetector = new UsageLimitDetector(this.selectorSet, logger, usageLimitSettings, options.usageLimitPatterns);
+        this.loginDetector = new LoginDetector(this.selectorSet, logger, loginSettings);
         this.logger.debug('GeminiService initialized with selectors:', this.selectors);
     }
 
-    /** Navigates to the configured Gemini URL. */
-    async navigateToUrl() {
-        if (!this.options.url && !this.options.geminiUrl) { // Check both possible option names
-            throw new Error("Target URL (url or geminiUrl) is not defined in options.");
+    /**
+     * Navigates to a Gemini URL.
+     * @param {string} [targetUrl=options.url] - URL to open (the handler's targetUrl()).
+     */
+    async navigateToUrl(targetUrl = this.options.url) {
+        if (!targetUrl) {
+            throw new Error("Target URL is not defined.");
         }
-        const targetUrl = this.options.url || this.options.geminiUrl;
         this.logger.info(`Navigating to Gemini URL: ${targetUrl}`);
         try {
             await this.page.goto(targetUrl, {
@@ -48,14 +72,24 @@ class GeminiService {
         }
     }
 
+    /**
+     * Checks that the profile is still logged in to Gemini.
+     * @throws {LoginRequiredError} If the page is a login page or shows the login button.
+     */
+    async ensureLoggedIn() {
+        const loginRequired = await this.loginDetector.check(this.page);
+        if (loginRequired) throw new LoginRequiredError(loginRequired);
+    }
+
     /** Uploads a single image file using the Gemini interface (handles two-step click). */
     async uploadImage(imagePath) {
         this.logger.info(`Attempting to upload image: ${path.basename(imagePath)}`);
+        this.networkCapture.close(this.page); // The upload's previews are no generated images
 
         try {
             // --- Step 1: Click the initial upload button (opens menu) ---
-            this.logger.info(`Waiting for upload initiator button: ${this.selectors.uploadButtonInitiator}`);
-            const uploadInitiatorButton = await this.page.waitForSelector(this.selectors.uploadButtonInitiator, {
+            this.logger.info(`Waiting for upload initiator button: ${this.selectorSet.list('uploadButtonInitiator')}`);
+            const uploadInitiatorButton = await this.selectorSet.waitFor(this.page, 'uploadButtonInitiator', {
                 visible: true,
                 timeout: this.options.actionTimeout
             });
@@ -65,8 +99,8 @@ class GeminiService {
             await new Promise(resolve => setTimeout(resolve, 1000)); // Brief pause for menu to open
 
             // --- Step 2: Click the specific "local image" upload button ---
-            this.logger.info(`Waiting for local image upload button: ${this.selectors.uploadButtonLocalImage}`);
-            const localImageUploadButton = await this.page.waitForSelector(this.selectors.uploadButtonLocalImage, {
+            this.logger.info(`Waiting for local image upload button: ${this.selectorSet.list('uploadButtonLocalImage')}`);
+            const localImageUploadButton = await this.selectorSet.waitFor(this.page, 'uploadButtonLocalImage', {
                 visible: true,
                 timeout: this.options.actionTimeout
             });
@@ -94,9 +128,9 @@ class GeminiService {
             this.logger.info(`File chooser accepted path: ${path.basename(imagePath)}`);
 
             // --- Step 4: Wait for Image Preview Confirmation ---
-            this.logger.info(`Waiting for image preview confirmation: ${this.selectors.imagePreviewConfirmation}`);
+            this.logger.info(`Waiting for image preview confirmation: ${this.selectorSet.list('imagePreviewConfirmation')}`);
             const previewTimeout = this.options.actionTimeout + 15000; // e.g., 30s + 15s
-            await this.page.waitForSelector(this.selectors.imagePreviewConfirmation, {
+            await this.selectorSet.waitFor(this.page, 'imagePreviewConfirmation', {
                 visible: true,
                 timeout: previewTimeout
             });
@@ -106,7 +140,7 @@ class GeminiService {
 
         } catch (error) {
             this.logger.error(`Failed during image upload steps: ${error.message}`, {stack: error.stack});
-            if (error.name === 'TimeoutError' && error.message.includes(this.selectors.imagePreviewConfirmation)) {
+            if (error.name === 'TimeoutError' && error.message.includes(this.selectorSet.alternatives('imagePreviewConfirmation')[0])) {
                 throw new Error(`Image upload failed for ${path.basename(imagePath)}: Preview did not appear within timeout.`);
             }
             throw new Error(`Image upload failed for ${path.basename(imagePath)}: ${error.message}`);
@@ -118,7 +152,7 @@ class GeminiService {
         this.logger.info(`Entering prompt (length: ${prompt.length})...`);
 
         try {
-            const promptInput = await this.page.waitForSelector(this.selectors.promptTextarea, {
+            const promptInput = await this.selectorSet.waitFor(this.page, 'promptTextarea', {
                 visible: true,
                 timeout: this.options.actionTimeout
             });
@@ -139,12 +173,15 @@ class GeminiService {
         }
     }
 
-    /** Clicks the submit button. */
+    /**
+     * Clicks the submit button.
+     * @throws {UsageLimitError} If the button stays disabled because of a usage-limit banner.
+     */
     async submit() {
         this.logger.info('Clicking submit button...');
 
         try {
-            const submitButton = await this.page.waitForSelector(this.selectors.submitButton, {
+            const submitButton = await this.selectorSet.waitFor(this.page, 'submitButton', {
                 visible: true,
                 timeout: this.options.actionTimeout
             });
@@ -155,61 +192,59 @@ class GeminiService {
                 // CORRECTED DELAY:
                 await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s
                 if (await submitButton.evaluate(el => el.disabled)) {
+                    const usageLimit = await this.usageLimitDetector.check(this.page);
+                    if (usageLimit) throw new UsageLimitError(usageLimit);
                     throw new Error("Submit button remained disabled.");
                 }
                 this.logger.debug('Submit button became enabled.');
             }
 
+            await this.completionDetector.markSubmitted(this.page);
+            this.networkCapture.markSubmitted(this.page);
             await submitButton.click({delay: 100});
             this.logger.info('Submit button clicked.');
         } catch (error) {
+            if (error instanceof UsageLimitError) throw error;
             this.logger.error(`Failed to click submit button: ${error.message}`, {stack: error.stack});
             throw new Error(`Clicking submit failed: ${error.message}`);
         }
     }
 
-    /** Waits for the response and checks if it contains an image. */
-    async waitForResponse() {
+    /**
+     * Waits for the response to complete (see CompletionDetector), checks if it contains an
+     * image and saves the generated images (the original bytes captured from the network if
+     * available, see NetworkImageCapture). A response without image is checked for a usage-limit message.
+     * @param {string|null} [sourceImagePath=null] - Source image the response belongs to, used to name saved outputs.
+     * @returns {Promise<{success: boolean, responseText: string|null, outputPaths: string[], usageLimit?: object}>}
+     */
+    async waitForResponse(sourceImagePath = null) {
         this.logger.info('Waiting for AI response...');
-        const {responseArea, imageInResponse, loadingIndicator} = this.selectors;
+        const responseArea = this.selectorSet.list('responseArea');
 
         let imageFound = false;
         let responseText = null;
+        let outputPaths = [];
 
         try {
-            // 1. Wait for loading indicator (optional, based on config)
-            if (loadingIndicator && loadingIndicator !== 'progress-indicator') {
-                try {
-                    this.logger.debug(`Waiting for loading indicator ('${loadingIndicator}') to appear (optional)...`);
-                    await this.page.waitForSelector(loadingIndicator, {visible: true, timeout: 15000});
-                    this.logger.debug('Loading indicator appeared. Waiting for it to disappear...');
-                    await this.page.waitForSelector(loadingIndicator, {hidden: true, timeout: 240000}); // 4 minutes
-                    this.logger.debug('Loading indicator disappeared.');
-                } catch (e) {
-                    this.logger.warn(`Loading indicator ('${loadingIndicator}') wait condition met or timed out: ${e.message}. Proceeding...`);
-                }
-            } else {
-                this.logger.debug(`Skipping loading indicator wait (selector: '${loadingIndicator}')`);
-                // CORRECTED DELAY (if skipping spinner check):
-                await new Promise(resolve => setTimeout(resolve, 2000)); // Small fixed wait
+            // 1. Wait until a new response area ('model-response') exists, the stop button is gone,
+            // its images have loaded and it stopped changing
+            const completion = await this.completionDetector.waitForCompletion(this.page);
+            if (!completion.completed) {
+                const usageLimit = await this.usageLimitDetector.check(this.page);
+                if (usageLimit) return {success: false, responseText: null, outputPaths: [], usageLimit};
+                this.logger.error(`Timeout waiting for the response in '${responseArea}' to complete. Assuming failure.`);
+                return {success: false, responseText: null, outputPaths: []};
             }
 
-            // 2. Wait for the response area container ('model-response') to appear.
-            this.logger.debug(`Waiting for a new response area ('${responseArea}') to appear...`);
-            const responseWaitTimeout = 240000; // 4 minutes
-            await this.page.waitForSelector(responseArea, {visible: true, timeout: responseWaitTimeout});
-            this.logger.debug(`At least one response area ('${responseArea}') found. Waiting briefly for content...`);
-            // CORRECTED DELAY:
-            await new Promise(resolve => setTimeout(resolve, 1500)); // Wait slightly longer for content/image rendering
-
-            const responseElements = await this.page.$$(responseArea);
+            const responseElements = await this.selectorSet.queryAll(this.page, 'responseArea');
             if (!responseElements || responseElements.length === 0) {
                 throw new Error(`No response areas found matching selector '${responseArea}' after waiting.`);
             }
             const latestResponseElement = responseElements[responseElements.length - 1];
             this.logger.debug(`Targeting the last of ${responseElements.length} response areas.`);
 
-            // 3. Check for the image *within* the latest response area
+            // 2. Check for the image *within* the latest response area
+            const imageInResponse = await this.selectorSet.resolve(latestResponseElement, 'imageInResponse');
             this.logger.debug(`Checking for image selector ('${imageInResponse}') within the last response area...`);
             try {
                 imageFound = await latestResponseElement.$eval(imageInResponse, (img) => !!img)
@@ -220,9 +255,19 @@ class GeminiService {
                 imageFound = false;
             }
 
-            this.logger.info(`Image found in response: ${imageFound}`);
+            const capturedImages = await this.networkCapture.take();
+            const shownCaptures = await imageDownloader.capturesShownIn(this.page, latestResponseElement, capturedImages);
+            this.logger.info(`Image found in response: ${imageFound} (captured from the network: ${capturedImages.length}, shown in the response: ${shownCaptures.length})`);
+            // Only the response is evidence: captures it does not show may be the uploaded image or other page assets
+            imageFound = imageFound || shownCaptures.length > 0;
+            if (imageFound && sourceImagePath) {
+                outputPaths = await imageDownloader.saveGeneratedImages(
+                    this.page, latestResponseElement, imageInResponse, capturedImages, sourceImagePath,
+                    'gemini', this.options, this.logger
+                );
+            }
 
-            // 4. Optional: Extract text content from the latest response area
+            // 3. Optional: Extract text content from the latest response area
             try {
                 responseText = await latestResponseElement.evaluate(el => el.innerText || el.textContent);
                 this.logger.debug(`Response text length: ${responseText?.length ?? 0}`);
@@ -230,22 +275,18 @@ class GeminiService {
                 this.logger.warn(`Could not extract text content from response area: ${textError.message}`);
             }
 
-            return {success: imageFound, responseText: responseText?.trim()};
+            if (!imageFound) {
+                const usageLimit = await this.usageLimitDetector.check(this.page, responseText);
+                if (usageLimit) return {success: false, responseText: responseText?.trim(), outputPaths: [], usageLimit};
+            }
+            return {success: imageFound, responseText: responseText?.trim(), outputPaths};
 
         } catch (error) {
             this.logger.error(`Failed while waiting for or evaluating response: ${error.message}`, {stack: error.stack});
-            if (this.page && !this.page.isClosed()) {
-                try {
-                    const responseErrorPath = path.join(this.options.outputDir || '.', `error_response_wait_${Date.now()}.png`);
-                    await this.page.screenshot({path: responseErrorPath, fullPage: true});
-                    this.logger.info(`Response error screenshot saved to ${responseErrorPath}`);
-                } catch (ssError) {
-                    this.logger.error(`Failed to take screenshot on response error: ${ssError.message}`);
-                }
-            }
+            await this.saveScreenshot?.(this.page, 'error_response_wait');
             if (error.name === 'TimeoutError') {
                 this.logger.error(`Timeout waiting for response area ('${responseArea}') or elements within it. Assuming failure.`);
-                return {success: false, responseText: null}; // Treat timeout as failure
+                return {success: false, responseText: null, outputPaths: []}; // Treat timeout as failure
             }
             throw new Error(`Error during response processing: ${error.message}`);
         }
@@ -0,0 +1,230 @@
+// src/services/generic_chat_service.js
+import path from 'path';
+import imageDownloader from '../core/image_downloader.js';
+import SelectorSet from '../core/selector_profile.js';
+import CompletionDetector from '../core/completion_detector.js';
+import NetworkImageCapture from '../core/network_image_capture.js';
+import UsageLimitDetector, { UsageLimitError } from '../core/usage_limit.js';
+import LoginDetector, { LoginRequiredError } from '../core/login_state.js';
+
+/**
+ * Puppeteer interaction for a chat platform described entirely by a config block (see
+ * GenericChatHandler): each step picks one of a few common implementations.
+ */
+class GenericChatService {
+    /**
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options (selectors, timeouts, outputDir).
+     * @param {string} platformKey - Platform the service drives.
+     * @param {object} flow - Normalized flow config (upload, prompt, submit, completion).
+     * @param {object} [imageResponseSettings={}] - Network capture settings (the config's `imageResponses`).
+     * @param {object} [usageLimitSettings={}] - Usage-limit detection settings (the config's `usageLimit`).
+     * @param {object} [loginSettings={}] - Logged-out detection settings (the config's `login`).
+     */
+    constructor(page, logger, options, platformKey, flow, imageResponseSettings = {}, usageLimitSettings = {}, loginSettings = {}) {
+        this.page = page;
+        this.logger = logger;
+        this.options = options;
+        this.platformKey = platformKey;
+        this.flow = flow;
+        this.selectors = options.selectors?.[platformKey];
+        if (!this.selectors) {
+            throw new Error(`Selectors for platform '${platformKey}' not found in configuration.`);
+        }
+        this.selectorSet = new SelectorSet(this.selectors, logger, platformKey);
+        const { timeoutMs, quietMs, noImageQuietMs } = flow.completion;
+        this.completionDetector = new CompletionDetector(this.selectorSet, logger, {
+            stopIndicatorKey: this.selectors.loadingIndicator ? 'loadingIndicator' : null, timeoutMs, quietMs, noImageQuietMs,
+        });
+        this.networkCapture = new NetworkImageCapture(logger, imageResponseSettings);
+        this.usageLimitDetector = new UsageLimitDetector(this.selectorSet, logger, usageLimitSettings, options.usageLimitPatterns);
+        this.loginDetector = new LoginDetector(this.selectorSet, logger, loginSettings);
+        this.logger.debug(`GenericChatService initialized for ${platformKey}:`, flow);
+    }
+
+    /**
+     * Checks that the profile is still logged in to the platform.
+     * @throws {LoginRequiredError} If the page is a login page or shows the login button.
+     */
+    async ensureLoggedIn() {
+        const loginRequired = await this.loginDetector.check(this.page);
+        if (loginRequired) throw new LoginRequiredError(loginRequired);
+    }
+
+    /** Uploads a single image with the configured strategy and waits for its preview. */
+    async uploadImage(imagePath) {
+        const { strategy, openMenu } = this.flow.upload;
+        this.logger.info(`Uploading image via ${strategy}: ${path.basename(imagePath)}`);
+        this.networkCapture.close(this.page); // The upload's previews are no generated images
+        const timeout = this.options.actionTimeout;
+        try {
+            if (strategy === 'fileChooser') {
+                // The initiator (or the menu entry it opens) shows the native file chooser
+                let trigger = await this.selectorSet.waitFor(this.page, 'uploadButtonInitiator', { visible: true, timeout });
+                if (this.selectors.uploadButtonLocalImage) {
+                    await trigger.click();
+                    trigger = await this.selectorSet.waitFor(this.page, 'uploadButtonLocalImage', { visible: true, timeout });
+                }
+                const [fileChooser] = await Promise.all([this.page.waitForFileChooser({ timeout }), trigger.click()]);
+                await fileChooser.accept([imagePath]);
+            } else {
+                if (openMenu) {
+                    const initiator = await this.selectorSet.waitFor(this.page, 'uploadButtonInitiator', { visible: true, timeout });
+                    await initiator.click();
+                }
+                const fileInput = await this.selectorSet.waitFor(this.page, 'fileInputHidden', { timeout });
+                await fileInput.uploadFile(imagePath);
+            }
+            this.logger.info('File handed to the page.');
+
+            if (this.selectors.imagePreviewConfirmation) {
+                this.logger.info(`Waiting for image preview confirmation: ${this.selectorSet.list('imagePreviewConfirmation')}`);
+                await this.selectorSet.waitFor(this.page, 'imagePreviewConfirmation', { visible: true, timeout: timeout + 15000 });
+                this.logger.info('Image preview confirmed.');
+            }
+        } catch (error) {
+            this.logger.error(`Failed during ${this.platformKey} image upload: ${error.message}`, { stack: error.stack });
+            throw new Error(`Image upload failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Enters the prompt: `type` types it key by key, `innerText` sets the text (or value of a
+     * textarea/input) at once and fires an `input` event so the page notices.
+     */
+    async enterPrompt(prompt) {
+        this.logger.info(`Entering prompt via ${this.flow.prompt.method} (length: ${prompt.length})...`);
+        try {
+            const promptInput = await this.selectorSet.waitFor(this.page, 'promptTextarea', { visible: true, timeout: this.options.actionTimeout });
+            await promptInput.focus();
+            if (this.flow.prompt.method === 'innerText') {
+                await promptInput.evaluate((el, text) => {
+                    if ('value' in el) el.value = text;
+                    else el.innerText = text;
+                    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+                }, prompt);
+            } else {
+                await promptInput.evaluate(el => {
+                    if ('value' in el) el.value = '';
+                    else el.innerHTML = '';
+                });
+                await promptInput.type(prompt);
+            }
+            this.logger.info('Prompt entered successfully.');
+        } catch (error) {
+            this.logger.error(`Failed to enter prompt into ${this.selectorSet.list('promptTextarea')}: ${error.message}`, { stack: error.stack });
+            throw new Error(`Entering prompt failed: ${error.message}`);
+        }
+    }
+
+    /** Submits the prompt by clicking the enabled submit button or pressing Enter in the prompt field. */
+    async submit() {
+        await this.completionDetector.markSubmitted(this.page);
+        this.networkCapture.markSubmitted(this.page);
+        // The domQuiet signal keeps its state on the page; start over for this response
+        await this.page.evaluate(() => { delete window.__iffDomQuiet; });
+        try {
+            if (this.flow.submit.method === 'enter') {
+                const promptInput = await this.selectorSet.waitFor(this.page, 'promptTextarea', { visible: true, timeout: this.options.actionTimeout });
+                await promptInput.focus();
+                await this.page.keyboard.press('Enter');
+                this.logger.info('Prompt submitted with Enter.');
+                return;
+            }
+            this.logger.info('Waiting for Submit button to enable...');
+            const button = await this.selectorSet.waitFor(this.page, 'submitButton', { visible: true, timeout: this.options.actionTimeout, suffix: ':not([disabled])' });
+            await button.click();
+            this.logger.info('Submit button clicked.');
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                const usageLimit = await this.usageLimitDetector.check(this.page);
+                if (usageLimit) throw new UsageLimitError(usageLimit);
+                throw new Error(`Submit button did not become enabled within the ${this.options.actionTimeout / 1000}s timeout.`);
+            }
+            throw new Error(`Submitting failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Waits for the configured completion signal, then checks the latest response block for
+     * generated images and saves them.
+     * - `events`: the stop button (`loadingIndicator`, if configured) is gone, the new response
+     *   block's images have loaded and it stopped changing (see CompletionDetector).
+     * - `loadingIndicator`: the indicator appears (if it does within a few seconds) and disappears.
+     * - `responseImage`: a new response block contains an image (no image within the timeout = failure).
+     * - `domQuiet`: a new response block appears and stops changing for `quietMs`.
+     * A response without image is checked for a usage-limit message.
+     * @param {string|null} [sourceImagePath=null] - Source image the response belongs to, used to name saved outputs.
+     * @returns {Promise<{success: boolean, responseText: string|null, outputPaths: string[], usageLimit?: object}>}
+     */
+    async waitForResponse(sourceImagePath = null) {
+        const { signal, timeoutMs, quietMs } = this.flow.completion;
+        const responseList = this.selectorSet.list('responseArea');
+        // Read before waiting: the detector forgets the submit once it judged the completion
+        const countBefore = this.completionDetector.responseCountBeforeSubmit ?? 0;
+        this.logger.info(`Waiting up to ${timeoutMs / 1000}s for ${this.platformKey} completion (${signal})...`);
+        try {
+            if (signal === 'events') {
+                const completion = await this.completionDetector.waitForCompletion(this.page);
+                if (!completion.completed) return { success: false, responseText: null, outputPaths: [] };
+            } else if (signal === 'loadingIndicator') {
+                await this.selectorSet.waitFor(this.page, 'loadingIndicator', { visible: true, timeout: 10000 })
+                    .catch(() => this.logger.debug('Loading indicator not seen; the response may already be complete.'));
+                await this.selectorSet.waitFor(this.page, 'loadingIndicator', { hidden: true, timeout: timeoutMs });
+            } else if (signal === 'responseImage') {
+                const imageList = this.selectorSet.list('imageInResponse');
+                await this.page.waitForFunction((areas, images, countBefore) => {
+                    const blocks = document.querySelectorAll(areas);
+                    return blocks.length > countBefore && blocks[blocks.length - 1].querySelector(images) !== null;
+                }, { timeout: timeoutMs, polling: 1000 }, responseList, imageList, countBefore);
+            } else {
+                await this.page.waitForFunction((areas, countBefore, quiet) => {
+                    const blocks = document.querySelectorAll(areas);
+                    if (blocks.length <= countBefore) return false;
+                    const content = blocks[blocks.length - 1].innerHTML;
+                    const state = window.__iffDomQuiet;
+                    if (!state || state.content !== content) {
+                        window.__iffDomQuiet = { content, since: Date.now() };
+                        return false;
+                    }
+                    return Date.now() - state.since >= quiet;
+                }, { timeout: timeoutMs, polling: 500 }, responseList, countBefore, quietMs);
+            }
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            this.logger.warn(`No completion signal (${signal}) within ${timeoutMs / 1000}s.`);
+            if (signal !== 'responseImage') return { success: false, responseText: null, outputPaths: [] };
+        }
+
+        const capturedImages = await this.networkCapture.take();
+        const responseElements = await this.selectorSet.queryAll(this.page, 'responseArea');
+        if (responseElements.length <= countBefore) {
+            this.logger.warn(`No new response block ('${responseList}') found.`);
+            return { success: false, responseText: null, outputPaths: [] };
+        }
+        const latestResponseElement = responseElements[responseElements.length - 1];
+        const imageInResponse = await this.selectorSet.resolve(latestResponseElement, 'imageInResponse');
+        const imageCount = await latestResponseElement.evaluate((el, selector) => el.querySelectorAll(selector).length, imageInResponse);
+        const responseText = await latestResponseElement.evaluate(el => el.innerText || el.textContent);
+        const shownCaptures = await imageDownloader.capturesShownIn(this.page, latestResponseElement, capturedImages);
+        this.logger.info(`Found ${imageCount} image(s) in latest block, ${shownCaptures.length} of ${capturedImages.length} captured from the network shown in it.`);
+
+        // Only the block is evidence: captures it does not show may be the uploaded image or other page assets
+        const success = imageCount > 0 || shownCaptures.length > 0;
+        if (!success) {
+            const usageLimit = await this.usageLimitDetector.check(this.page, responseText);
+            if (usageLimit) return { success: false, responseText: responseText?.trim() || null, outputPaths: [], usageLimit };
+        }
+        let outputPaths = [];
+        if (success && sourceImagePath) {
+            outputPaths = await imageDownloader.saveGeneratedImages(
+                this.page, latestResponseElement, imageInResponse, capturedImages, sourceImagePath,
+                this.platformKey, this.options, this.logger
+            );
+        }
+        return { success, responseText: responseText?.trim() || null, outputPaths };
+    }
+}
+
+export default GenericChatService;
@@ -0,0 +1,157 @@
+// src/services/mock_service.js
+import path from 'path';
+import imageDownloader from '../core/image_downloader.js';
+import SelectorSet from '../core/selector_profile.js';
+import CompletionDetector from '../core/completion_detector.js';
+import NetworkImageCapture from '../core/network_image_capture.js';
+import UsageLimitDetector, { UsageLimitError } from '../core/usage_limit.js';
+import LoginDetector, { LoginRequiredError } from '../core/login_state.js';
+
+/**
+ * Provides Puppeteer interaction logic for the local mock chat platform (src/mock/mock_server.js).
+ * The flow mirrors ChatGPT's: hidden file input, preview, contenteditable prompt, send/stop buttons.
+ */
+class MockService {
+    /**
+     * @param {import('puppeteer').Page} page - The Puppeteer page object.
+     * @param {object} logger - Logger instance.
+     * @param {object} options - Effective options.
+     * @param {object} [completionSettings={}] - Completion detector settings (MockHandler.completion).
+     * @param {object} [imageResponseSettings={}] - Network capture settings (MockHandler.imageResponses).
+     * @param {object} [usageLimitSettings={}] - Usage-limit detection settings (MockHandler.usageLimit).
+     * @param {object} [loginSettings={}] - Logged-out detection settings (MockHandler.login).
+     */
+    constructor(page, logger, options, completionSettings = {}, imageResponseSettings = {}, usageLimitSettings = {}, loginSettings = {}) {
+        this.page = page;
+        this.logger = logger;
+        this.options = options;
+        this.selectors = options.selectors?.mock;
+
+        if (!this.selectors) {
+            throw new Error("Mock selectors not found in configuration.");
+        }
+        const requiredSelectors = [
+            'promptTextarea', 'submitButton', 'fileInputHidden', 'imagePreviewConfirmation',
+            'loadingIndicator', 'responseArea', 'imageInResponse'
+        ];
+        for (const key of requiredSelectors) {
+            if (!(key in this.selectors)) {
+                this.logger.error(`Missing required mock selector in config: selectors.mock.${key}`);
+                throw new Error(`Required mock selector 'selectors.mock.${key}' is missing.`);
+            }
+        }
+        this.selectorSet = new SelectorSet(this.selectors, logger, 'mock');
+        this.completionDetector = new CompletionDetector(this.selectorSet, logger, { timeoutMs: options.generationTimeout, ...completionSettings });
+        this.networkCapture = new NetworkImageCapture(logger, imageResponseSettings);
+        this.usageLimitDetector = new UsageLimitDetector(this.selectorSet, logger, usageLimitSettings, options.usageLimitPatterns);
+        this.loginDetector = new LoginDetector(this.selectorSet, logger, loginSettings);
+        this.logger.debug('MockService initialized.');
+    }
+
+    /**
+     * Checks that the profile is still logged in to the mock platform.
+     * @throws {LoginRequiredError} If the page is a login page or shows the login button.
+     */
+    async ensureLoggedIn() {
+        const loginRequired = await this.loginDetector.check(this.page);
+        if (loginRequired) throw new LoginRequiredError(loginRequired);
+    }
+
+    /** Uploads a single image file using the hidden file input element. */
+    async uploadImage(imagePath) {
+        this.logger.info(`Attempting to upload image via hidden input: ${path.basename(imagePath)}`);
+        this.networkCapture.close(this.page); // The upload's previews are no generated images
+        try {
+            const fileInput = await this.selectorSet.waitFor(this.page, 'fileInputHidden', { timeout: this.options.actionTimeout });
+            await fileInput.uploadFile(imagePath);
+            this.logger.info('File path sent to hidden input.');
+
+            this.logger.info(`Waiting for image preview confirmation: ${this.selectorSet.list('imagePreviewConfirmation')}`);
+            await this.selectorSet.waitFor(this.page, 'imagePreviewConfirmation', { visible: true, timeout: this.options.actionTimeout });
+            this.logger.info('Image preview confirmed.');
+        } catch (error) {
+            this.logger.error(`Failed during mock image upload: ${error.message}`, { stack: error.stack });
+            throw new Error(`Mock image upload failed: ${error.message}`);
+        }
+    }
+
+    /** Enters the text prompt into the contenteditable input field. */
+    async enterPrompt(prompt) {
+        this.logger.info(`Entering prompt (length: ${prompt.length})...`);
+        try {
+            const promptInput = await this.selectorSet.waitFor(this.page, 'promptTextarea', { visible: true, timeout: this.options.actionTimeout });
+            await promptInput.focus();
+            await promptInput.evaluate(el => el.innerHTML = '');
+            await promptInput.type(prompt);
+            this.logger.info('Prompt entered successfully.');
+        } catch (error) {
+            this.logger.error(`Failed to enter prompt into ${this.selectorSet.list('promptTextarea')}: ${error.message}`, { stack: error.stack });
+            throw new Error(`Entering prompt failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Waits for the submit button to become enabled and clicks it.
+     * @throws {UsageLimitError} If the button stays disabled because of a usage-limit banner.
+     */
+    async submit() {
+        this.logger.info('Waiting for Submit button to enable...');
+        try {
+            const button = await this.selectorSet.waitFor(this.page, 'submitButton', { visible: true, timeout: this.options.actionTimeout, suffix: ':not([disabled])' });
+            await this.completionDetector.markSubmitted(this.page);
+            this.networkCapture.markSubmitted(this.page);
+            await button.click();
+            this.logger.info('Submit button clicked.');
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                const usageLimit = await this.usageLimitDetector.check(this.page);
+                if (usageLimit) throw new UsageLimitError(usageLimit);
+                throw new Error(`Submit button did not become enabled within the ${this.options.actionTimeout / 1000}s timeout.`);
+            }
+            throw new Error(`Clicking submit failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Waits for the generation to complete (see CompletionDetector) and checks the latest
+     * assistant block for a generated image, saving any it finds (the served bytes if they
+     * were captured from the network, see NetworkImageCapture). A block without image is checked
+     * for a usage-limit message.
+     * @param {string|null} [sourceImagePath=null] - Source image the response belongs to, used to name saved outputs.
+     * @returns {Promise<{success: boolean, responseText: string|null, outputPaths: string[], usageLimit?: object}>}
+     */
+    async waitForResponse(sourceImagePath = null) {
+        this.logger.info('Waiting for mock generation to finish...');
+        await this.completionDetector.waitForCompletion(this.page);
+
+        const capturedImages = await this.networkCapture.take();
+        const responseElements = await this.selectorSet.queryAll(this.page, 'responseArea');
+        if (responseElements.length === 0) {
+            this.logger.warn(`No response blocks ('${this.selectorSet.list('responseArea')}') found.`);
+            return { success: false, responseText: null, outputPaths: [] };
+        }
+        const latestResponseElement = responseElements[responseElements.length - 1];
+        const imageInResponse = await this.selectorSet.resolve(latestResponseElement, 'imageInResponse');
+        const imageCount = await latestResponseElement.evaluate((el, selector) => el.querySelectorAll(selector).length, imageInResponse);
+        const responseText = await latestResponseElement.evaluate(el => el.innerText || el.textContent);
+        const shownCaptures = await imageDownloader.capturesShownIn(this.page, latestResponseElement, capturedImages);
+        this.logger.info(`Found ${imageCount} image(s) in latest block, ${shownCaptures.length} of ${capturedImages.length} captured from the network shown in it.`);
+
+        // Only the block is evidence: captures it does not show may be the uploaded image or other page assets
+        const success = imageCount > 0 || shownCaptures.length > 0;
+        if (!success) {
+            const usageLimit = await this.usageLimitDetector.check(this.page, responseText);
+            if (usageLimit) return { success: false, responseText: responseText?.trim() || null, outputPaths: [], usageLimit };
+        }
+        let outputPaths = [];
+        if (success && sourceImagePath) {
+            outputPaths = await imageDownloader.saveGeneratedImages(
+                this.page, latestResponseElement, imageInResponse, capturedImages, sourceImagePath,
+                'mock', this.options, this.logger
+            );
+        }
+        return { success, responseText: responseText?.trim() || null, outputPaths };
+    }
+}
+
+export default MockService;